@@ -0,0 +1,167 @@
+// controllers/adminController.js - Admin-only management endpoints
+const Category = require('../models/Category');
+const { loadCategories } = require('../utils/categories');
+const { isStoreReady } = require('../utils/articleStore');
+const { getCacheStats } = require('../utils/cache');
+const { getProviderStatus, resetProvider } = require('../utils/providers');
+
+const CATEGORY_FIELDS = ['name', 'query', 'providerQueries', 'feeds', 'icon', 'sortOrder', 'enabled', 'parent'];
+
+function pickCategoryFields(body) {
+  const fields = {};
+  for (const key of CATEGORY_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.parent === '') fields.parent = null;
+  return fields;
+}
+
+function storeUnavailable(res) {
+  return res.status(503).json({
+    ok: false,
+    error: 'Category storage is unavailable'
+  });
+}
+
+// Groups are one level deep: a parent must exist, be top-level itself,
+// and a category with children cannot be moved under another
+async function parentError(slug, parent) {
+  if (!parent) return null;
+  if (parent === slug) return 'A category cannot be its own parent';
+
+  const parentDoc = await Category.findOne({ slug: parent }).lean();
+  if (!parentDoc) return 'Parent category not found';
+  if (parentDoc.parent) return 'Parent must be a top-level category';
+
+  if (await Category.exists({ parent: slug })) {
+    return 'A category with children cannot have a parent';
+  }
+  return null;
+}
+
+// Every instance reloads on its own timer; this one reloads right away
+function refreshRegistry() {
+  loadCategories().catch(err => console.error('Category refresh error:', err.message));
+}
+
+// ============================================================
+// CATEGORIES
+// ============================================================
+exports.listCategories = async (req, res) => {
+  try {
+    if (!isStoreReady()) return storeUnavailable(res);
+
+    const categories = await Category.find().sort({ sortOrder: 1, slug: 1 }).lean();
+    res.json({ ok: true, data: categories });
+  } catch (error) {
+    console.error('List categories error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch categories' });
+  }
+};
+
+exports.createCategory = async (req, res) => {
+  try {
+    if (!isStoreReady()) return storeUnavailable(res);
+
+    const slug = req.body.slug;
+    const fields = pickCategoryFields(req.body);
+
+    const invalidParent = await parentError(slug, fields.parent);
+    if (invalidParent) {
+      return res.status(400).json({ ok: false, error: invalidParent });
+    }
+
+    const category = await Category.create({ slug, ...fields });
+    refreshRegistry();
+
+    res.status(201).json({ ok: true, data: category });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ ok: false, error: 'Category already exists' });
+    }
+    console.error('Create category error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to create category' });
+  }
+};
+
+exports.updateCategory = async (req, res) => {
+  try {
+    if (!isStoreReady()) return storeUnavailable(res);
+
+    const { slug } = req.params;
+    const fields = pickCategoryFields(req.body);
+
+    const invalidParent = await parentError(slug, fields.parent);
+    if (invalidParent) {
+      return res.status(400).json({ ok: false, error: invalidParent });
+    }
+
+    const category = await Category.findOneAndUpdate(
+      { slug },
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({ ok: false, error: 'Category not found' });
+    }
+
+    refreshRegistry();
+    res.json({ ok: true, data: category });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to update category' });
+  }
+};
+
+// Stored articles keep their category; disable instead to hide one
+// without losing its history
+exports.deleteCategory = async (req, res) => {
+  try {
+    if (!isStoreReady()) return storeUnavailable(res);
+
+    const { slug } = req.params;
+
+    if (await Category.exists({ parent: slug })) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Move or delete the child categories first'
+      });
+    }
+
+    const result = await Category.deleteOne({ slug });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ ok: false, error: 'Category not found' });
+    }
+
+    refreshRegistry();
+    res.json({ ok: true, deleted: slug });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to delete category' });
+  }
+};
+
+// ============================================================
+// CACHE
+// ============================================================
+exports.getCacheStats = (req, res) => {
+  res.json({ ok: true, data: getCacheStats() });
+};
+
+// ============================================================
+// PROVIDERS - circuit breaker state, error rates and latency
+// (per instance)
+// ============================================================
+exports.getProviders = (req, res) => {
+  res.json({ ok: true, data: getProviderStatus() });
+};
+
+exports.resetProvider = (req, res) => {
+  const { name } = req.params;
+
+  if (!resetProvider(name)) {
+    return res.status(404).json({ ok: false, error: 'Provider not found' });
+  }
+  res.json({ ok: true, reset: name });
+};
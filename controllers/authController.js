@@ -333,6 +333,29 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Update reading preferences stored in user.meta
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { language } = req.body;
+
+    req.user.meta = { ...(req.user.meta || {}), language };
+    req.user.markModified('meta');
+    await req.user.save();
+
+    res.json({
+      ok: true,
+      message: 'Preferences updated',
+      preferences: { language: req.user.meta.language }
+    });
+  } catch (err) {
+    console.error('Update preferences error:', err);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update preferences'
+    });
+  }
+};
+
 // Change password
 exports.changePassword = async (req, res) => {
   try {
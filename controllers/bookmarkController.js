@@ -1,5 +1,6 @@
 // controllers/bookmarkController.js
 const Bookmark = require('../models/Bookmark');
+const { resolveArticleId } = require('../utils/articleId');
 
 exports.getBookmarks = async (req, res) => {
     try {
@@ -15,7 +16,8 @@ exports.getBookmarks = async (req, res) => {
 
 exports.saveBookmark = async (req, res) => {
     try {
-        const { articleId, title, url, snippet, image } = req.body;
+        const { title, url, snippet, image } = req.body;
+        const articleId = resolveArticleId(req.body.articleId);
 
         if (!articleId || !title || !url) {
             return res.status(400).json({
@@ -54,7 +56,8 @@ exports.saveBookmark = async (req, res) => {
 
 exports.toggleBookmark = async (req, res) => {
     try {
-        const { articleId, title, snippet, url, image } = req.body;
+        const { title, snippet, url, image } = req.body;
+        const articleId = resolveArticleId(req.body.articleId);
 
         const existing = await Bookmark.findOne({
             userId: req.user._id,
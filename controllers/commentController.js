@@ -1,6 +1,7 @@
 // controllers/commentController.js - PRODUCTION READY VERSION
 const Comment = require('../models/Comment');
 const sanitizeHtml = require('sanitize-html');
+const { resolveArticleId } = require('../utils/articleId');
 
 // Sanitize comment text - remove all HTML, only allow plain text
 const sanitizeComment = (text) => {
@@ -13,7 +14,8 @@ const sanitizeComment = (text) => {
 
 exports.getComments = async (req, res) => {
     try {
-        const { articleId } = req.params;
+        // Accept legacy raw-URL IDs from older clients
+        const articleId = resolveArticleId(req.params.articleId);
         
         // Validate articleId
         if (!articleId || articleId.trim().length === 0) {
@@ -44,7 +46,8 @@ exports.getComments = async (req, res) => {
 
 exports.postComment = async (req, res) => {
     try {
-        const { articleId } = req.params;
+        // Accept legacy raw-URL IDs from older clients
+        const articleId = resolveArticleId(req.params.articleId);
         const { text } = req.body;
 
         // Validate articleId
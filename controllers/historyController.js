@@ -1,38 +1,32 @@
 // controllers/historyController.js
 const ReadingHistory = require('../models/ReadingHistory');
+const { resolveArticleId } = require('../utils/articleId');
 
 exports.addReadingHistory = async (req, res) => {
     try {
-        const { articleId, title, category, timeSpent } = req.body;
+        const { title, category, timeSpent } = req.body;
+        const articleId = resolveArticleId(req.body.articleId);
         
         if (!articleId)
             return res.status(400).json({ error: "Missing articleId" });
 
-        // Check if already tracked recently (within last 5 minutes)
-        const recentEntry = await ReadingHistory.findOne({
-            userId: req.user._id,
-            articleId,
-            viewedAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
-        });
+        // One entry per reader and article: repeat views add to it
+        const result = await ReadingHistory.findOneAndUpdate(
+            { userId: req.user._id, articleId },
+            {
+                $setOnInsert: {
+                    title: title || 'Untitled',
+                    category: category || 'General'
+                },
+                $inc: { views: 1, timeSpent: timeSpent || 0 }
+            },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
 
-        if (recentEntry) {
-            // Update existing entry
-            recentEntry.timeSpent = (recentEntry.timeSpent || 0) + (timeSpent || 0);
-            recentEntry.viewedAt = new Date();
-            await recentEntry.save();
+        if (result.lastErrorObject?.updatedExisting) {
             return res.json({ ok: true, updated: true });
         }
-
-        // Create new entry
-        const entry = await ReadingHistory.create({
-            userId: req.user._id,
-            articleId,
-            title: title || 'Untitled',
-            category: category || 'General',
-            timeSpent: timeSpent || 0
-        });
-
-        return res.json({ ok: true, entry });
+        return res.json({ ok: true, entry: result.value });
     } catch (err) {
         console.error(err);
         return res.status(500).json({ error: "Server error" });
@@ -1,6 +1,9 @@
 // controllers/migrateController.js
 const Bookmark = require('../models/Bookmark');
 const ReadingHistory = require('../models/ReadingHistory');
+const Comment = require('../models/Comment');
+const { resolveArticleId } = require('../utils/articleId');
+const { rewriteArticleIds } = require('../utils/articleIdMigration');
 
 // Migrate local bookmarks to server
 exports.migrateBookmarks = async (req, res) => {
@@ -30,7 +33,7 @@ exports.migrateBookmarks = async (req, res) => {
         // Check if already exists
         const existing = await Bookmark.findOne({
           userId: req.user._id,
-          articleId: bm.id
+          articleId: resolveArticleId(bm.id)
         });
 
         if (existing) {
@@ -41,7 +44,7 @@ exports.migrateBookmarks = async (req, res) => {
         // Create new bookmark
         await Bookmark.create({
           userId: req.user._id,
-          articleId: bm.id,
+          articleId: resolveArticleId(bm.id),
           title: bm.title,
           url: bm.url,
           snippet: bm.snippet || '',
@@ -97,29 +100,27 @@ exports.migrateHistory = async (req, res) => {
           continue;
         }
 
-        // Check if already exists
-        const existing = await ReadingHistory.findOne({
-          userId: req.user._id,
-          articleId: entry.id
-        });
-
-        if (existing) {
-          skipped++;
-          continue;
-        }
-
-        // Create new history entry
-        await ReadingHistory.create({
-          userId: req.user._id,
-          articleId: entry.id,
-          title: entry.title,
-          category: entry.category || 'General',
-          timeSpent: 0,
-          views: 1,
-          createdAt: entry.time ? new Date(entry.time) : new Date()
-        });
-
-        imported++;
+        // Insert only when missing; a single upsert cannot race a
+        // concurrent run into a duplicate row
+        const viewedAt = entry.time ? new Date(entry.time) : new Date();
+        const result = await ReadingHistory.updateOne(
+          { userId: req.user._id, articleId: resolveArticleId(entry.id) },
+          {
+            $setOnInsert: {
+              title: entry.title,
+              category: entry.category || 'General',
+              timeSpent: 0,
+              views: 1,
+              createdAt: viewedAt,
+              updatedAt: viewedAt
+            }
+          },
+          // Keep the original view time instead of stamping the import time
+          { upsert: true, timestamps: false }
+        );
+
+        if (result.upsertedCount > 0) imported++;
+        else skipped++;
       } catch (err) {
         console.error('Failed to import history:', err);
         errors++;
@@ -168,4 +169,24 @@ exports.getMigrationStatus = async (req, res) => {
       error: 'Failed to get migration status' 
     });
   }
-};
\ No newline at end of file
+};
+
+// Rewrite stored legacy article IDs (raw URLs, Guardian paths) to
+// the canonical-URL IDs used by the news API
+exports.migrateArticleIds = async (req, res) => {
+  try {
+    const results = {};
+
+    for (const [name, Model] of [['bookmarks', Bookmark], ['comments', Comment], ['history', ReadingHistory]]) {
+      results[name] = await rewriteArticleIds(Model);
+    }
+
+    res.json({ ok: true, results });
+  } catch (err) {
+    console.error('Migrate article IDs error:', err);
+    res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to migrate article IDs' 
+    });
+  }
+};
@@ -1,147 +1,247 @@
 // controllers/newsController.js
-const axios = require('axios');
 const NodeCache = require('node-cache');
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS || '300', 10);
 const cache = new NodeCache({
-  stdTTL: parseInt(process.env.CACHE_TTL_SECONDS || '300', 10)
+  stdTTL: CACHE_TTL_SECONDS
 });
 
-const { initGemini, enhanceWithGemini } = require('../utils/gemini');
+// News lists and search pools go through the shared cache layer: stale
+// lists are served while one request refreshes them
+const { createCache, getCacheBackend } = require('../utils/cache');
+const newsCache = createCache({
+  name: 'news',
+  backend: getCacheBackend(),
+  ttl: CACHE_TTL_SECONDS,
+  staleTtl: parseInt(process.env.CACHE_STALE_SECONDS || '1800', 10)
+});
+
+const { isLlmEnabled } = require('../utils/llm');
 const HARDCODED_DATA = require('../utils/hardcodedData');
-const geminiModel = initGemini();
-
-// ============================================================
-// CATEGORY MAPPING - Maps frontend categories to API queries
-// ============================================================
-const CATEGORY_MAP = {
-  general: 'latest news',
-  india: 'India news',
-  world: 'international world news',
-  business: 'business finance economy',
-  technology: 'technology AI innovation',
-  sports: 'sports cricket football',
-  environment: 'climate environment pollution',
-  education: 'education schools universities',
-  health: 'health medicine healthcare',
-  science: 'science research space',
-  economy: 'inflation economy GDP',
-  legal: 'court law judiciary',
-  culture: 'culture arts entertainment',
-  'global-politics': 'international politics diplomacy',
-  'global-finance': 'global markets finance'
-};
+const { getActiveProviders, fetchFromProviders } = require('../utils/providers');
+const {
+  INDIAN_CITIES,
+  categorySource,
+  localSource
+} = require('../utils/newsSources');
+const { resolveLocation, nearestPlace, normalizePlaceName } = require('../utils/geo');
+const { getCategory, categoryTree } = require('../utils/categories');
+const { renderFeed } = require('../utils/feedRenderer');
+const { PUBLICATION_NAME, categoryUrl } = require('../utils/sitemap');
+const {
+  isStoreReady,
+  upsertArticles,
+  findArticles,
+  searchArticles,
+  assignClusters,
+  findClusterArticles,
+  countSources,
+  findArticleById,
+  findRelatedCandidates
+} = require('../utils/articleStore');
+const { resolveArticleId, canonicalizeUrl, articleIdForUrl, hashId } = require('../utils/articleId');
+const { fetchPage } = require('../utils/safeFetch');
+const { extractArticle } = require('../utils/extractArticle');
+const { scoreArticle, highlightText } = require('../utils/search');
+const { clusterArticles, collapseClusters } = require('../utils/clustering');
+const { buildProfile, topCategories, rankForUser } = require('../utils/personalization');
+const { rankRelated } = require('../utils/related');
+const { extractEntities } = require('../utils/entities');
+const { WINDOWS: TRENDING_WINDOWS, computeTrending } = require('../utils/trending');
+const { summarize } = require('../utils/aiSummary');
+const { getSummary, getSummaries, enqueueSummary } = require('../utils/summaryQueue');
+const { saveSnapshot, loadSnapshot, snapshotAgeSeconds } = require('../utils/snapshotStore');
+const { DEFAULT_LANGUAGE, resolveLanguage, translateFields } = require('../utils/translation');
+const Bookmark = require('../models/Bookmark');
+const Comment = require('../models/Comment');
+const ReadingHistory = require('../models/ReadingHistory');
 
-// ============================================================
-// LOCATION MAPPING - Indian cities for local news
-// ============================================================
-const INDIAN_CITIES = {
-  'delhi': { name: 'Delhi', query: 'Delhi NCR news' },
-  'mumbai': { name: 'Mumbai', query: 'Mumbai news' },
-  'bangalore': { name: 'Bangalore', query: 'Bangalore Bengaluru news' },
-  'chennai': { name: 'Chennai', query: 'Chennai news' },
-  'kolkata': { name: 'Kolkata', query: 'Kolkata news' },
-  'hyderabad': { name: 'Hyderabad', query: 'Hyderabad news' },
-  'pune': { name: 'Pune', query: 'Pune news' },
-  'ahmedabad': { name: 'Ahmedabad', query: 'Ahmedabad news' }
-};
+// Index served articles by ID so the detail endpoint can find them
+function rememberArticles(articles) {
+  articles.forEach(article => cache.set(`article:${article.id}`, article));
+}
 
-// ============================================================
-// HELPER: Fetch with timeout and retry
-// ============================================================
-async function fetchWithRetry(url, options = {}, retries = 2) {
-  for (let i = 0; i <= retries; i++) {
-    try {
-      const response = await axios({
-        url,
-        method: options.method || 'GET',
-        headers: options.headers || {},
-        data: options.body,
-        timeout: 8000,
-        responseType: 'json'
+// Collapse near-duplicate coverage into one article per story,
+// keeping every member for GET /api/news/story/:clusterId
+function groupStories(articles) {
+  const clusters = clusterArticles(articles);
+
+  clusters
+    .filter(cluster => cluster.members.length > 1)
+    .forEach(cluster => cache.set(`story:${cluster.clusterId}`, cluster.members));
+
+  if (isStoreReady()) {
+    assignClusters(clusters)
+      .catch(err => console.error('Article store error:', err.message));
+  }
+
+  return collapseClusters(clusters);
+}
+
+// Top stories in a list get their summary generated in the background
+const SUMMARY_PREFETCH = 5;
+
+// Attach finished AI summaries to a copy of the list (cached lists are
+// never mutated) and queue the top stories that still need one
+async function withSummaries(articles) {
+  const summaries = await getSummaries(articles.map(article => article.id));
+
+  if (isLlmEnabled()) {
+    articles
+      .slice(0, SUMMARY_PREFETCH)
+      .filter(article => !summaries.has(article.id))
+      .forEach(article => {
+        enqueueSummary(article).catch(err => console.error('Summary queue error:', err.message));
       });
-      return response.data;
-    } catch (error) {
-      if (i === retries) throw error;
-      await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-    }
   }
+
+  return articles.map(article => (
+    summaries.has(article.id) ? { ...article, aiSummary: summaries.get(article.id) } : article
+  ));
 }
 
-// ============================================================
-// NORMALIZE ARTICLES from different sources
-// ============================================================
-function normalizeArticle(source, raw) {
-  try {
-    switch (source) {
-      case 'gnews':
-        return {
-          id: raw.url || `gnews_${Date.now()}_${Math.random()}`,
-          title: raw.title || 'Untitled',
-          snippet: raw.description || raw.content || '',
-          url: raw.url || '#',
-          image: raw.image || 'https://via.placeholder.com/600x400?text=News',
-          publishedAt: raw.publishedAt || new Date().toISOString(),
-          source: raw.source?.name || 'GNews',
-          category: raw.category || 'general',
-          aiSummary: null
-        };
-
-      case 'guardian':
-        return {
-          id: raw.id || `guardian_${Date.now()}_${Math.random()}`,
-          title: raw.webTitle || 'Untitled',
-          snippet: raw.fields?.trailText || raw.fields?.bodyText?.substring(0, 200) || '',
-          url: raw.webUrl || '#',
-          image: raw.fields?.thumbnail || 'https://via.placeholder.com/600x400?text=News',
-          publishedAt: raw.webPublicationDate || new Date().toISOString(),
-          source: 'The Guardian',
-          category: raw.sectionName || 'general',
-          aiSummary: null
-        };
-
-      default:
-        return {
-          id: raw.url || raw.id || `news_${Date.now()}_${Math.random()}`,
-          title: raw.title || 'Untitled',
-          snippet: raw.description || raw.snippet || '',
-          url: raw.url || '#',
-          image: raw.image || 'https://via.placeholder.com/600x400?text=News',
-          publishedAt: raw.publishedAt || new Date().toISOString(),
-          source: raw.source || 'Newszoid',
-          category: raw.category || 'general',
-          aiSummary: null
-        };
-    }
-  } catch (error) {
-    console.error('Error normalizing article:', error);
-    return null;
+// lang/country query params (validated in routes/news.js)
+function contentLocale(query) {
+  return {
+    lang: (query.lang || DEFAULT_LANGUAGE).toLowerCase(),
+    country: query.country ? query.country.toLowerCase() : null
+  };
+}
+
+// Snapshots and fallback data are never cached, so the next request
+// retries providers
+const cacheableNews = result => result.origin !== 'fallback' && result.origin !== 'snapshot';
+
+// Snapshot key part for a resolved place, or null. Free-text locations
+// (and towns typed next to a state) get no snapshot, so clients cannot
+// grow the snapshot store without limit.
+function placeSnapshotKey(place) {
+  return place && !place.town ? place.key : null;
+}
+
+// Keeps page one of a successful fetch as the last-known-good list
+function keepSnapshot(key, page, articles) {
+  if (!key || page !== 1 || articles.length === 0) return;
+  saveSnapshot(key, articles)
+    .catch(err => console.error('Snapshot save error:', err.message));
+}
+
+// Upstream is down: serve the last successful fetch, or the hardcoded
+// data when there has never been one (cold start)
+async function staleOrFallback(key, { page, pageSize }, coldStartArticles) {
+  const snapshot = key
+    ? await loadSnapshot(key).catch(err => {
+      console.error('Snapshot read error:', err.message);
+      return null;
+    })
+    : null;
+
+  if (snapshot) {
+    const articles = snapshot.articles.slice((page - 1) * pageSize, page * pageSize);
+    rememberArticles(articles);
+    return { articles, origin: 'snapshot', fetchedAt: snapshot.fetchedAt };
   }
+  return { articles: coldStartArticles(), origin: 'fallback' };
+}
+
+function staleFields(fetchedAt) {
+  return {
+    isStale: true,
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    ageSeconds: snapshotAgeSeconds({ fetchedAt })
+  };
 }
 
 // ============================================================
-// BUILD API REQUESTS for multiple providers
+// LOAD CATEGORY NEWS - cache, then the store, then providers,
+// then the last-known-good snapshot, then the hardcoded fallback.
+// Shared by GET /api/news and feeds.
+// Returns { articles, origin: 'cache' | 'store' | 'providers' | 'snapshot' | 'fallback',
+// fetchedAt (snapshots only) }
 // ============================================================
-function buildAPIRequests(searchQuery, page = 1, pageSize = 10) {
-  const requests = [];
-  const gnewsKey = process.env.GNEWS_API_KEY;
-  const guardianKey = process.env.GUARDIAN_API_KEY;
+async function loadCategoryNews({ category, page, pageSize, lang, country, location = '' }) {
+  const cacheKey = `category:${category}:${lang}:${country || 'any'}:${normalizePlaceName(location) || 'any'}:p${page}:s${pageSize}`;
+  const { value, cached } = await newsCache.wrap(
+    cacheKey,
+    () => fetchCategoryNews({ category, page, pageSize, lang, country, location }),
+    { cacheable: cacheableNews }
+  );
 
-  // GNews API
-  if (gnewsKey && gnewsKey !== 'your_gnews_api_key_here') {
-    requests.push({
-      provider: 'gnews',
-      url: `https://gnews.io/api/v4/search?q=${encodeURIComponent(searchQuery)}&lang=en&max=${Math.min(pageSize, 10)}&page=${page}&token=${gnewsKey}`
-    });
+  if (cached) {
+    rememberArticles(value.articles);
+    return { articles: value.articles, origin: 'cache' };
   }
+  return value;
+}
 
-  // Guardian API
-  if (guardianKey && guardianKey !== 'your_guardian_api_key_here') {
-    requests.push({
-      provider: 'guardian',
-      url: `https://content.guardianapis.com/search?api-key=${guardianKey}&q=${encodeURIComponent(searchQuery)}&show-fields=trailText,thumbnail,bodyText&page=${page}&page-size=${Math.min(pageSize, 20)}`
-    });
+async function fetchCategoryNews({ category, page, pageSize, lang, country, location }) {
+  const scope = location ? placeSnapshotKey(resolveLocation(location)) : 'any';
+  const snapshotKey = scope && `category:${category}:${lang}:${country || 'any'}:${scope}`;
+  const hardcoded = () => HARDCODED_DATA.news[category] || HARDCODED_DATA.news.general || [];
+
+  // The store holds what the ingestion worker fetched: English, any region
+  const storeScope = !location && lang === DEFAULT_LANGUAGE;
+
+  // Serve from the article store once the ingestion worker has filled it
+  if (storeScope && !country && isStoreReady()) {
+    const stored = groupStories(await findArticles({ category }, { page, pageSize }));
+
+    if (stored.length > 0) {
+      rememberArticles(stored);
+      return { articles: stored, origin: 'store' };
+    }
+  }
+
+  // Get search queries and feeds for category in the requested language
+  const source = categorySource(category, lang, getCategory(category));
+  let searchQuery = source.query;
+  let providerQueries = source.providerQueries;
+
+  // Append location to search query for higher relevance if provided
+  if (location && category !== 'general' && category !== 'world') {
+    searchQuery = `${searchQuery} ${location}`;
+    providerQueries = Object.fromEntries(
+      Object.entries(providerQueries).map(([name, value]) => [name, `${value} ${location}`])
+    );
+  }
+
+  const ctx = {
+    query: searchQuery,
+    providerQueries,
+    page,
+    pageSize,
+    category,
+    feeds: source.feeds,
+    lang,
+    country
+  };
+
+  // If no providers configured, use fallback
+  if (getActiveProviders(ctx).length === 0) {
+    console.warn('⚠️ No news providers configured. Using fallback data.');
+    return staleOrFallback(snapshotKey, { page, pageSize }, hardcoded);
+  }
+
+  // Fetch, merge and deduplicate across all providers
+  const { articles } = await fetchFromProviders(ctx);
+
+  // Keep what we fetched so the next request can be served from the store
+  if (storeScope && isStoreReady()) {
+    upsertArticles(articles, { category })
+      .catch(err => console.error('Article store error:', err.message));
+  }
+
+  // Use the last good fetch if no articles found
+  if (articles.length === 0) {
+    console.warn('⚠️ APIs returned no results. Using last snapshot or fallback data.');
+    return staleOrFallback(snapshotKey, { page, pageSize }, hardcoded);
   }
 
-  return requests;
+  // One article per story, then limit results
+  const grouped = groupStories(articles).slice(0, pageSize);
+  rememberArticles(grouped);
+  keepSnapshot(snapshotKey, page, grouped);
+
+  return { articles: grouped, origin: 'providers' };
 }
 
 // ============================================================
@@ -152,131 +252,65 @@ exports.getNews = async (req, res) => {
     const category = (req.query.category || 'general').toLowerCase().trim();
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const pageSize = Math.min(50, Math.max(1, parseInt(req.query.pageSize || '10', 10)));
+    const { lang, country } = contentLocale(req.query);
 
     // Redirect category 'local' to getLocalNews logic
     if (category === 'local') {
       return exports.getLocalNews(req, res);
     }
 
-    // Build cache key
-    const cacheKey = `news:${category}:p${page}:s${pageSize}`;
-    const cached = cache.get(cacheKey);
+    const location = (req.query.location || '').trim();
+    const { articles, origin, fetchedAt } = await loadCategoryNews({ category, page, pageSize, lang, country, location });
 
-    if (cached) {
+    if (origin === 'fallback') {
       return res.json({
         ok: true,
-        fromCache: true,
-        aiEnabled: !!geminiModel,
+        fromCache: false,
+        isFallback: true,
         category,
-        data: cached
+        data: articles
       });
     }
 
-    // Get search query for category
-    const location = (req.query.location || '').trim();
-    let searchQuery = CATEGORY_MAP[category] || category;
-
-    // Append location to search query for higher relevance if provided
-    if (location && category !== 'general' && category !== 'world') {
-      searchQuery = `${searchQuery} ${location}`;
-    }
-
-    const requests = buildAPIRequests(searchQuery, page, pageSize);
-
-    // If no API keys configured, use fallback
-    if (requests.length === 0) {
-      console.warn('⚠️ No news API keys configured. Using fallback data.');
-      const fallback = HARDCODED_DATA.news[category] || HARDCODED_DATA.news.general || [];
+    if (origin === 'snapshot') {
       return res.json({
         ok: true,
         fromCache: false,
-        isFallback: true,
+        ...staleFields(fetchedAt),
+        aiEnabled: isLlmEnabled(),
         category,
-        data: fallback
+        lang,
+        country,
+        page,
+        pageSize,
+        data: await withSummaries(articles)
       });
     }
 
-    // Fetch from all providers
-    const responses = await Promise.allSettled(
-      requests.map(async req => {
-        try {
-          const data = await fetchWithRetry(req.url);
-
-          if (req.provider === 'gnews' && Array.isArray(data.articles)) {
-            return data.articles
-              .map(a => normalizeArticle('gnews', a))
-              .filter(Boolean);
-          }
-
-          if (req.provider === 'guardian' && data.response?.results) {
-            return data.response.results
-              .map(a => normalizeArticle('guardian', a))
-              .filter(Boolean);
-          }
-
-          return [];
-        } catch (error) {
-          console.error(`API Error (${req.provider}):`, error.message);
-          return [];
-        }
-      })
-    );
-
-    // Merge results
-    let articles = responses
-      .filter(r => r.status === 'fulfilled')
-      .flatMap(r => r.value)
-      .filter(Boolean);
-
-    // Deduplicate by URL
-    const seen = new Set();
-    articles = articles.filter(article => {
-      const key = article.url;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-
-    // Use fallback if no articles found
-    if (articles.length === 0) {
-      console.warn('⚠️ APIs returned no results. Using fallback data.');
-      articles = HARDCODED_DATA.news[category] || HARDCODED_DATA.news.general || [];
-    }
-
-    // Sort by date
-    articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-
-    // Limit results
-    articles = articles.slice(0, pageSize);
-
-    // Optional: Enhance with AI summaries (async, don't wait)
-    if (geminiModel && articles.length > 0) {
-      Promise.all(
-        articles.slice(0, 5).map(async article => {
-          try {
-            const aiText = await enhanceWithGemini(
-              `${article.title}\n${article.snippet || ''}`
-            );
-            article.aiSummary = aiText || null;
-          } catch (error) {
-            console.error('Gemini enhancement error:', error.message);
-          }
-        })
-      ).catch(err => console.error('AI enhancement batch error:', err));
+    if (origin === 'cache') {
+      return res.json({
+        ok: true,
+        fromCache: true,
+        aiEnabled: isLlmEnabled(),
+        category,
+        lang,
+        country,
+        data: await withSummaries(articles)
+      });
     }
 
-    // Cache results
-    cache.set(cacheKey, articles);
-
     res.json({
       ok: true,
       fromCache: false,
-      aiEnabled: !!geminiModel,
+      ...(origin === 'store' ? { fromStore: true } : {}),
+      aiEnabled: isLlmEnabled(),
       category,
+      lang,
+      country,
       total: articles.length,
       page,
       pageSize,
-      data: articles
+      data: await withSummaries(articles)
     });
 
   } catch (error) {
@@ -296,130 +330,795 @@ exports.getNews = async (req, res) => {
   }
 };
 
+// Returns { articles, origin: 'store' | 'providers' | 'snapshot' | 'fallback', fetchedAt? }
+async function fetchLocalNews({ place, location, page, pageSize, lang, country }) {
+  const scope = placeSnapshotKey(place);
+  const snapshotKey = scope && `local:${scope}:${lang}:${country || 'any'}`;
+  // No local placeholder stories: on a cold start show national headlines
+  const hardcoded = () => HARDCODED_DATA.news.india || HARDCODED_DATA.news.general || [];
+
+  // Only the cities the ingestion worker pulls are kept in the store
+  const storeScope = place?.type === 'city' && !!INDIAN_CITIES[place.key] &&
+    lang === DEFAULT_LANGUAGE;
+
+  // Serve from the article store once the ingestion worker has filled it
+  if (storeScope && !country && isStoreReady()) {
+    const stored = groupStories(await findArticles({ location: place.key }, { page, pageSize }));
+    if (stored.length > 0) return { articles: stored, origin: 'store' };
+  }
+
+  const source = place
+    ? localSource(place, lang)
+    : { query: `${location} India local news`, feeds: [] };
+
+  const ctx = { query: source.query, page, pageSize, category: 'local', feeds: source.feeds, lang, country };
+
+  // If no providers configured, return fallback
+  if (getActiveProviders(ctx).length === 0) {
+    return staleOrFallback(snapshotKey, { page, pageSize }, hardcoded);
+  }
+
+  // Fetch, merge and deduplicate across all providers
+  const { articles } = await fetchFromProviders(ctx);
+
+  if (storeScope && isStoreReady()) {
+    upsertArticles(articles, { location: place.key })
+      .catch(err => console.error('Article store error:', err.message));
+  }
+
+  if (articles.length === 0) {
+    return staleOrFallback(snapshotKey, { page, pageSize }, hardcoded);
+  }
+
+  // One article per story, then limit results
+  const grouped = groupStories(articles).slice(0, pageSize);
+  keepSnapshot(snapshotKey, page, grouped);
+  return { articles: grouped, origin: 'providers' };
+}
+
 // ============================================================
 // GET LOCAL NEWS - City-wise news
 // ============================================================
 exports.getLocalNews = async (req, res) => {
   try {
-    const location = (req.query.location || 'Delhi').toLowerCase().trim();
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+
+    // Coordinates win over the typed location
+    const place = Number.isFinite(lat) && Number.isFinite(lon)
+      ? nearestPlace(lat, lon)
+      : resolveLocation(req.query.location || 'Delhi');
+    const location = place?.town || place?.name || (req.query.location || 'Delhi').trim();
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const pageSize = Math.min(20, Math.max(1, parseInt(req.query.pageSize || '5', 10)));
+    const { lang, country } = contentLocale(req.query);
 
     // Build cache key
-    const cacheKey = `local:${location}:p${page}:s${pageSize}`;
-    const cached = cache.get(cacheKey);
+    const cacheKey = `local:${place ? place.key : normalizePlaceName(location)}:${lang}:${country || 'any'}:p${page}:s${pageSize}`;
+    const { value, cached } = await newsCache.wrap(
+      cacheKey,
+      () => fetchLocalNews({ place, location, page, pageSize, lang, country }),
+      { cacheable: cacheableNews }
+    );
+    const { articles, origin, fetchedAt } = value;
+
+    if (origin === 'fallback') {
+      return res.json({
+        ok: true,
+        isFallback: true,
+        location,
+        data: articles
+      });
+    }
+
+    rememberArticles(articles);
+
+    if (origin === 'snapshot') {
+      return res.json({
+        ok: true,
+        fromCache: false,
+        ...staleFields(fetchedAt),
+        location,
+        place,
+        lang,
+        country,
+        data: await withSummaries(articles)
+      });
+    }
 
     if (cached) {
       return res.json({
         ok: true,
         fromCache: true,
         location,
-        data: cached
+        place,
+        lang,
+        country,
+        data: await withSummaries(articles)
       });
     }
 
-    // Get city configuration
-    const cityKey = Object.keys(INDIAN_CITIES).find(key =>
-      location.toLowerCase().includes(key) || key.includes(location.toLowerCase())
+    res.json({
+      ok: true,
+      fromCache: false,
+      ...(origin === 'store' ? { fromStore: true } : {}),
+      location,
+      place,
+      lang,
+      country,
+      total: articles.length,
+      data: await withSummaries(articles)
+    });
+
+  } catch (error) {
+    console.error('Local news fetch error:', error);
+
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch local news',
+      location: req.query.location || 'Delhi',
+      data: []
+    });
+  }
+};
+
+// ============================================================
+// GET CATEGORIES - Enabled categories grouped under their parents
+// ============================================================
+exports.getCategories = (req, res) => {
+  res.json({
+    ok: true,
+    data: categoryTree()
+  });
+};
+
+// ============================================================
+// SEARCH NEWS - Providers plus the article store
+// The full ranked result set is cached per query so every page
+// is sliced from the same list.
+// ============================================================
+const SEARCH_POOL_SIZE = 100;
+
+// A date-only upper bound covers that whole day (dates parse as UTC)
+function parseUntil(value) {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+// Returns { articles, providersDown }: providersDown when providers are
+// configured but none answered, so the result is not worth caching
+
+async function buildSearchResults({ q, from, to, source, category, sort }) {
+  const categoryConfig = category ? getCategory(category) : null;
+  const ctx = {
+    query: categoryConfig ? `${q} ${categoryConfig.query}` : q,
+    page: 1,
+    pageSize: 50,
+    search: true,
+    from,
+    to,
+    sort
+  };
+
+  const [fromProviders, fromStore] = await Promise.all([
+    fetchFromProviders(ctx),
+    isStoreReady()
+      ? searchArticles({ q, from, to, category, source }, SEARCH_POOL_SIZE)
+      : []
+  ]);
+
+  // Stored copies first: they carry categories and AI summaries
+  const seen = new Set();
+  const sourceNeedle = (source || '').toLowerCase();
+
+  const articles = [...fromStore, ...fromProviders.articles]
+    .filter(article => {
+      if (seen.has(article.id)) return false;
+      seen.add(article.id);
+
+      const published = new Date(article.publishedAt);
+      if (from && published < from) return false;
+      if (to && published > to) return false;
+      if (sourceNeedle && !article.source.toLowerCase().includes(sourceNeedle)) return false;
+      return true;
+    })
+    .map(article => ({ ...article, score: scoreArticle(article, q) }))
+    .sort((a, b) => sort === 'date'
+      ? new Date(b.publishedAt) - new Date(a.publishedAt)
+      : (b.score - a.score) || (new Date(b.publishedAt) - new Date(a.publishedAt)))
+    .slice(0, SEARCH_POOL_SIZE);
+
+  const configured = fromProviders.providers.length + fromProviders.skipped.length;
+  const answered = fromProviders.providers.length - fromProviders.failed.length;
+  return { articles, providersDown: configured > 0 && answered === 0 };
+}
+
+exports.searchNews = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? parseUntil(req.query.to) : null;
+    const source = (req.query.source || '').trim();
+    const category = (req.query.category || '').toLowerCase().trim();
+    const sort = req.query.sort === 'date' ? 'date' : 'relevance';
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(50, Math.max(1, parseInt(req.query.pageSize || '10', 10)));
+
+    const cacheKey = `search:${JSON.stringify([q.toLowerCase(), from, to, source.toLowerCase(), category, sort])}`;
+    const { value, cached: fromCache } = await newsCache.wrap(
+      cacheKey,
+      () => buildSearchResults({ q, from, to, source, category, sort }),
+      { cacheable: result => !result.providersDown }
     );
+    const results = value.articles;
+    rememberArticles(results);
 
-    const cityConfig = cityKey ? INDIAN_CITIES[cityKey] : null;
-    const searchQuery = cityConfig ? cityConfig.query : `${location} India local news`;
+    const data = results
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map(article => ({
+        ...article,
+        highlight: {
+          title: highlightText(article.title, q, 300),
+          snippet: highlightText(article.snippet, q)
+        }
+      }));
 
-    const requests = buildAPIRequests(searchQuery, page, pageSize);
+    res.json({
+      ok: true,
+      fromCache,
+      query: q,
+      sort,
+      total: results.length,
+      page,
+      pageSize,
+      totalPages: Math.ceil(results.length / pageSize),
+      data
+    });
 
-    // If no API keys, return fallback
-    if (requests.length === 0) {
-      return res.json({
-        ok: true,
-        isFallback: true,
-        location,
-        data: [
-          {
-            id: 'local_fallback_1',
-            title: `${location} Metro expansion plans announced`,
-            snippet: 'Local authorities have approved new infrastructure projects.',
-            url: '#',
-            image: 'https://via.placeholder.com/600x400?text=Local+News',
-            publishedAt: new Date().toISOString(),
-            source: 'Newszoid Local'
-          }
-        ]
+  } catch (error) {
+    console.error('News search error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Search failed'
+    });
+  }
+};
+
+// ============================================================
+// GET STORY - Every outlet's coverage of one clustered story
+// ============================================================
+exports.getStory = async (req, res) => {
+  try {
+    const { clusterId } = req.params;
+
+    let members = cache.get(`story:${clusterId}`);
+    if (!members && isStoreReady()) {
+      members = await findClusterArticles(clusterId);
+    }
+
+    if (!members || members.length === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Story not found'
       });
     }
 
-    // Fetch from providers
-    const responses = await Promise.allSettled(
-      requests.map(async req => {
-        try {
-          const data = await fetchWithRetry(req.url);
-
-          if (req.provider === 'gnews' && Array.isArray(data.articles)) {
-            return data.articles
-              .map(a => normalizeArticle('gnews', a))
-              .filter(Boolean);
-          }
-
-          if (req.provider === 'guardian' && data.response?.results) {
-            return data.response.results
-              .map(a => normalizeArticle('guardian', a))
-              .filter(Boolean);
-          }
-
-          return [];
-        } catch (error) {
-          console.error(`Local news API error (${req.provider}):`, error.message);
-          return [];
+    const coverage = [...members].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    rememberArticles(coverage);
+
+    res.json({
+      ok: true,
+      clusterId,
+      total: coverage.length,
+      sources: [...new Set(coverage.map(article => article.source))],
+      firstReportedAt: coverage[0].publishedAt,
+      data: coverage
+    });
+
+  } catch (error) {
+    console.error('Story fetch error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch story'
+    });
+  }
+};
+
+// ============================================================
+// FOR YOU - Personalized feed from reading history
+// ============================================================
+const FOR_YOU_HISTORY_DAYS = 90;
+const FOR_YOU_CACHE_SECONDS = 120;
+
+// Recent articles for a category: the store first, providers when it is empty
+async function loadCandidates(category, limit) {
+  const stored = isStoreReady() ? await findArticles({ category }, { pageSize: limit }) : [];
+  if (stored.length > 0) return stored;
+
+  const config = getCategory(category);
+  const { articles } = await fetchFromProviders({
+    query: config?.query || category,
+    providerQueries: config?.providerQueries,
+    page: 1,
+    pageSize: Math.min(limit, 20),
+    category,
+    feeds: config?.feeds
+  });
+  return articles;
+}
+
+async function buildForYouFeed(userId) {
+  const since = new Date(Date.now() - FOR_YOU_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [categoryStats, history, bookmarks] = await Promise.all([
+    ReadingHistory.aggregate([
+      { $match: { userId, updatedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $toLower: '$category' },
+          totalTime: { $sum: '$timeSpent' },
+          views: { $sum: '$views' },
+          lastViewed: { $max: '$updatedAt' }
         }
-      })
-    );
+      }
+    ]),
+    ReadingHistory.find({ userId }).sort({ updatedAt: -1 }).limit(1000).select('articleId').lean(),
+    Bookmark.find({ userId }).sort({ createdAt: -1 }).limit(500).select('articleId').lean()
+  ]);
 
-    // Merge and deduplicate
-    let articles = responses
-      .filter(r => r.status === 'fulfilled')
-      .flatMap(r => r.value)
-      .filter(Boolean);
+  const readIds = new Set(history.map(entry => entry.articleId));
 
-    const seen = new Set();
-    articles = articles.filter(article => {
-      if (seen.has(article.url)) return false;
-      seen.add(article.url);
-      return true;
+  // Sources of stories the reader opened or saved
+  const sourceCounts = isStoreReady()
+    ? await countSources([...readIds, ...bookmarks.map(bookmark => bookmark.articleId)])
+    : {};
+
+  const profile = buildProfile(categoryStats, sourceCounts);
+  const basedOn = topCategories(profile);
+  const categories = [...new Set([...basedOn, 'general'])];
+
+  const batches = await Promise.all(
+    categories.map(async category => {
+      try {
+        const articles = await loadCandidates(category, 40);
+        return articles.map(article => ({ ...article, feedCategory: category }));
+      } catch (error) {
+        console.error(`For You candidates error (${category}):`, error.message);
+        return [];
+      }
+    })
+  );
+
+  // The same article can surface in several categories; keep the strongest one
+  const seen = new Set();
+  const candidates = batches.flat().filter(article => {
+    if (seen.has(article.id)) return false;
+    seen.add(article.id);
+    return true;
+  });
+
+  return {
+    personalized: !profile.isNew,
+    basedOn,
+    articles: groupStories(rankForUser(candidates, profile, readIds))
+  };
+}
+
+exports.getForYou = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(30, Math.max(1, parseInt(req.query.pageSize || '10', 10)));
+
+    const cacheKey = `foryou:${req.user._id}`;
+    let feed = cache.get(cacheKey);
+    const fromCache = !!feed;
+
+    if (!feed) {
+      feed = await buildForYouFeed(req.user._id);
+      cache.set(cacheKey, feed, FOR_YOU_CACHE_SECONDS);
+      rememberArticles(feed.articles);
+    }
+
+    res.json({
+      ok: true,
+      fromCache,
+      personalized: feed.personalized,
+      basedOn: feed.basedOn,
+      total: feed.articles.length,
+      page,
+      pageSize,
+      data: feed.articles.slice((page - 1) * pageSize, page * pageSize)
     });
 
-    // Sort and limit
-    articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-    articles = articles.slice(0, pageSize);
+  } catch (error) {
+    console.error('For You feed error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to build your feed'
+    });
+  }
+};
 
-    // Cache results
-    cache.set(cacheKey, articles);
+// ============================================================
+// TRENDING - Most engaged-with articles on Newszoid
+// ============================================================
+exports.getTrending = async (req, res) => {
+  try {
+    const window = TRENDING_WINDOWS[req.query.window] ? req.query.window : '24h';
+    const category = (req.query.category || '').toLowerCase().trim();
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const cacheKey = `trending:${window}:${category}:${limit}`;
+    const cached = cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        ok: true,
+        fromCache: true,
+        window,
+        category: category || null,
+        data: cached
+      });
+    }
+
+    if (!isStoreReady()) {
+      return res.json({
+        ok: true,
+        fromCache: false,
+        window,
+        category: category || null,
+        data: []
+      });
+    }
+
+    const articles = await computeTrending({ window, category, limit });
+    cache.set(cacheKey, articles, TRENDING_WINDOWS[window].cacheSeconds);
+    rememberArticles(articles.filter(article => article.url));
 
     res.json({
       ok: true,
       fromCache: false,
-      location,
+      window,
+      category: category || null,
       total: articles.length,
       data: articles
     });
 
   } catch (error) {
-    console.error('Local news fetch error:', error);
+    console.error('Trending fetch error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch trending articles'
+    });
+  }
+};
+
+// ============================================================
+// ARTICLE LOOKUP - cache, article store, then the user-facing
+// records (bookmark/history) with a provider search by title
+// ============================================================
+async function findArticle(articleId) {
+  const cached = cache.get(`article:${articleId}`);
+  if (cached) return { article: cached, resolvedFrom: 'cache' };
+
+  const dbReady = isStoreReady();
+
+  if (dbReady) {
+    const stored = await findArticleById(articleId);
+    if (stored) return { article: stored, resolvedFrom: 'store' };
+  }
+
+  const record = dbReady
+    ? (await Bookmark.findOne({ articleId }).sort({ createdAt: -1 })) ||
+      (await ReadingHistory.findOne({ articleId }).sort({ createdAt: -1 }))
+    : null;
+  if (!record) return null;
+
+  // Try to recover the full article from providers by its headline
+  const { articles } = await fetchFromProviders({
+    query: record.title,
+    page: 1,
+    pageSize: 10,
+    search: true
+  });
+  const match = articles.find(article => article.id === articleId);
+  if (match) {
+    if (dbReady) {
+      upsertArticles([match], {})
+        .catch(err => console.error('Article store error:', err.message));
+    }
+    return { article: match, resolvedFrom: 'provider' };
+  }
+
+  // Reading history has no URL, so only a bookmark can stand in for the article
+  if (!record.url) return null;
 
+  return {
+    article: {
+      id: articleId,
+      title: record.title,
+      snippet: record.snippet || '',
+      url: record.url,
+      image: record.image || '',
+      publishedAt: record.createdAt.toISOString(),
+      source: 'Newszoid',
+      category: 'general',
+      aiSummary: null
+    },
+    resolvedFrom: 'bookmark'
+  };
+}
+
+// ============================================================
+// RELATED - "read next" for an article, minus what the reader has
+// already opened. The ranked list is cached per article; the
+// reading-history filter is applied per request.
+// ============================================================
+const RELATED_DAYS = 14;
+const RELATED_CACHE_SECONDS = 600;
+const RELATED_POOL_SIZE = 40;
+
+async function loadRelatedPool(article) {
+  const cacheKey = `related:${article.id}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const category = (article.category || 'general').toLowerCase();
+  const entitySlugs = (article.entities && article.entities.length > 0 ? article.entities : extractEntities(article))
+    .map(entity => entity.slug);
+
+  const stored = isStoreReady()
+    ? await findRelatedCandidates({
+      entitySlugs,
+      category,
+      since: new Date(Date.now() - RELATED_DAYS * 24 * 60 * 60 * 1000)
+    })
+    : [];
+  const candidates = stored.length > 0 ? stored : await loadCandidates(category, 40);
+
+  // Other outlets' copies of this story are not something new to read,
+  // and each other story is suggested once
+  const clusterOf = new Map();
+  clusterArticles([article, ...candidates])
+    .forEach(cluster => cluster.members.forEach(member => clusterOf.set(member.id, cluster.clusterId)));
+  const exclude = new Set(candidates
+    .filter(candidate => clusterOf.get(candidate.id) === clusterOf.get(article.id))
+    .map(candidate => candidate.id));
+
+  const seenClusters = new Set();
+  const related = rankRelated(article, candidates, { exclude, limit: RELATED_POOL_SIZE * 2 })
+    .filter(candidate => {
+      const clusterId = clusterOf.get(candidate.id);
+      if (seenClusters.has(clusterId)) return false;
+      seenClusters.add(clusterId);
+      return true;
+    })
+    .slice(0, RELATED_POOL_SIZE);
+
+  cache.set(cacheKey, related, RELATED_CACHE_SECONDS);
+  rememberArticles(related.filter(candidate => candidate.url));
+  return related;
+}
+
+async function findRelatedArticles(article, { userId, limit = 5 } = {}) {
+  const related = await loadRelatedPool(article);
+
+  const history = userId && isStoreReady()
+    ? await ReadingHistory.find({ userId }).sort({ updatedAt: -1 }).limit(1000).select('articleId').lean()
+    : [];
+  const readIds = new Set(history.map(entry => entry.articleId));
+
+  return related.filter(candidate => !readIds.has(candidate.id)).slice(0, limit);
+}
+
+// ============================================================
+// GET ARTICLE - Single article by ID with engagement details
+// ============================================================
+exports.getArticle = async (req, res) => {
+  try {
+    const articleId = resolveArticleId(req.params.id);
+    const found = await findArticle(articleId);
+
+    if (!found) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Article not found'
+      });
+    }
+
+    const article = { ...found.article };
+
+    // Attach the AI summary when ready; otherwise queue it for the next view
+    const summary = await enqueueSummary(article) || await getSummary(articleId);
+    if (summary?.status === 'done') article.aiSummary = summary.summary;
+
+    const dbReady = isStoreReady();
+    const [commentCount, bookmark, related] = await Promise.all([
+      dbReady ? Comment.countDocuments({ articleId }) : 0,
+      dbReady && req.user ? Bookmark.exists({ userId: req.user._id, articleId }) : null,
+      // Suggestions are extra; the article still loads without them
+      findRelatedArticles(article, { userId: req.user?._id }).catch(error => {
+        console.error('Related articles error:', error.message);
+        return [];
+      })
+    ]);
+
+    res.json({
+      ok: true,
+      resolvedFrom: found.resolvedFrom,
+      data: {
+        ...article,
+        summaryStatus: summary ? summary.status : null,
+        commentCount,
+        isBookmarked: !!bookmark
+      },
+      related
+    });
+
+  } catch (error) {
+    console.error('Article fetch error:', error);
     res.status(500).json({
       ok: false,
-      error: 'Failed to fetch local news',
-      location: req.query.location || 'Delhi',
-      data: []
+      error: 'Failed to fetch article'
+    });
+  }
+};
+
+// ============================================================
+// GET RELATED - Similar articles to read next, excluding ones the
+// signed-in reader has already opened
+// ============================================================
+exports.getRelated = async (req, res) => {
+  try {
+    const articleId = resolveArticleId(req.params.id);
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit || '10', 10)));
+    const found = await findArticle(articleId);
+
+    if (!found) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Article not found'
+      });
+    }
+
+    const related = await findRelatedArticles(found.article, { userId: req.user?._id, limit });
+
+    res.json({
+      ok: true,
+      articleId,
+      total: related.length,
+      data: related
+    });
+
+  } catch (error) {
+    console.error('Related articles error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch related articles'
     });
   }
 };
 
 // ============================================================
-// SUMMARY ENDPOINT (for future AI enhancement)
+// GET ARTICLE SUMMARY - Stored AI summary, queued on first request
+// 200 when done (or failed for good), 202 while pending
+// ============================================================
+exports.getArticleSummary = async (req, res) => {
+  try {
+    const articleId = resolveArticleId(req.params.id);
+    const found = await findArticle(articleId);
+
+    if (!found) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Article not found'
+      });
+    }
+
+    const summary = await enqueueSummary(found.article) || await getSummary(articleId);
+
+    if (!summary) {
+      res.set('Retry-After', '60');
+      return res.status(503).json({
+        ok: false,
+        error: isLlmEnabled() ? 'Summary queue is full, try again later' : 'AI summaries are not enabled'
+      });
+    }
+
+    if (summary.status === 'pending') {
+      res.set('Retry-After', '5');
+      return res.status(202).json({ ok: true, data: summary });
+    }
+
+    res.json({ ok: true, data: summary });
+
+  } catch (error) {
+    console.error('Article summary error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch summary'
+    });
+  }
+};
+
 // ============================================================
+// SUMMARY ENDPOINT
+// Summarizes posted text, or fetches and extracts the article at url.
+// Falls back to lead sentences (extractive: true) when the model is
+// unavailable or keeps returning output that fails the schema.
+// ============================================================
+const URL_SUMMARY_CACHE_SECONDS = 6 * 60 * 60;
+const MIN_EXTRACTED_LENGTH = 200;
+const MAX_SUMMARY_INPUT = 12000;
+
+// <link rel=canonical> is often relative to the page
+function resolveHref(href, base) {
+  try {
+    return href ? new URL(href, base).href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Cached by canonical URL and mode, so tracking-param and AMP variants share one entry
+async function summarizeUrl(url, mode) {
+  const cacheKey = `summary:url:${articleIdForUrl(url)}:${mode}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return { ...cached, cached: true };
+
+  const page = await fetchPage(url);
+  const extracted = extractArticle(page.body);
+
+  if (extracted.text.length < MIN_EXTRACTED_LENGTH) {
+    const error = new Error('Could not extract article text from the page');
+    error.status = 422;
+    error.code = 'NO_ARTICLE_TEXT';
+    throw error;
+  }
+
+  const summary = await summarize(extracted.text.slice(0, MAX_SUMMARY_INPUT), {
+    mode,
+    title: extracted.title
+  });
+
+  const result = {
+    ...summary,
+    article: {
+      url: canonicalizeUrl(resolveHref(extracted.canonicalUrl, page.url)) || canonicalizeUrl(page.url),
+      title: extracted.title,
+      siteName: extracted.siteName,
+      image: extracted.image,
+      excerpt: extracted.excerpt,
+      wordCount: extracted.wordCount
+    }
+  };
+
+  cache.set(cacheKey, result, URL_SUMMARY_CACHE_SECONDS);
+  return { ...result, cached: false };
+}
+
+// Summary and key points in the reader's language; English on failure
+async function translateSummary(result, lang) {
+  if (lang === DEFAULT_LANGUAGE) return { ...result, lang };
+
+  try {
+    const translated = await translateFields(
+      { summary: result.summary, keyPoints: result.keyPoints },
+      lang,
+      { articleId: result.article ? articleIdForUrl(result.article.url) : null }
+    );
+    return { ...result, ...translated.fields, lang };
+  } catch (error) {
+    console.error('Summary translation error:', error.message);
+    return { ...result, lang: DEFAULT_LANGUAGE, translationError: error.code || 'FAILED' };
+  }
+}
+
 exports.summary = async (req, res) => {
   try {
-    const { url, text } = req.body;
+    const { url, text, mode = 'short' } = req.body;
+    const lang = resolveLanguage(req.body.lang, req.user);
 
     if (!url && !text) {
       return res.status(400).json({
@@ -428,25 +1127,140 @@ exports.summary = async (req, res) => {
       });
     }
 
-    // If Gemini is available, use it
-    if (geminiModel && text) {
-      const summary = await enhanceWithGemini(text);
-      return res.json({
-        ok: true,
-        summary: summary || 'Summary generation in progress...'
+    const result = url ? await summarizeUrl(url, mode) : await summarize(text, { mode });
+    return res.json({ ok: true, ...(await translateSummary(result, lang)) });
+
+  } catch (error) {
+    // safeFetch and extraction errors carry a client-facing status
+    if (error.status) {
+      return res.status(error.status).json({
+        ok: false,
+        error: error.message,
+        code: error.code
       });
     }
 
-    return res.json({
+    console.error('Summary error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Summary generation failed'
+    });
+  }
+};
+
+// ============================================================
+// TRANSLATE - Article or posted fields into an Indian language
+// ============================================================
+const LLM_ERROR_STATUS = {
+  NOT_CONFIGURED: 503,
+  BUDGET_EXCEEDED: 503,
+  RATE_LIMITED: 503,
+  TIMEOUT: 504
+};
+
+exports.translate = async (req, res) => {
+  try {
+    const lang = resolveLanguage(req.body.lang, req.user);
+    let articleId = null;
+    let fields;
+
+    if (req.body.id) {
+      articleId = resolveArticleId(req.body.id);
+      const found = await findArticle(articleId);
+
+      if (!found) {
+        return res.status(404).json({
+          ok: false,
+          error: 'Article not found'
+        });
+      }
+
+      const summary = await getSummary(articleId);
+      fields = {
+        title: found.article.title,
+        snippet: found.article.snippet,
+        summary: summary?.status === 'done' ? summary.summary : found.article.aiSummary
+      };
+    } else {
+      const { title, snippet, summary } = req.body;
+      fields = { title, snippet, summary };
+    }
+
+    if (!Object.values(fields).some(Boolean)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Provide an article id or text fields to translate'
+      });
+    }
+
+    const result = await translateFields(fields, lang, { articleId });
+
+    res.json({
       ok: true,
-      summary: 'AI summary feature available with Gemini API key'
+      articleId,
+      lang: result.lang,
+      cached: result.cached,
+      data: result.fields
     });
 
   } catch (error) {
-    console.error('Summary error:', error);
-    return res.status(500).json({
+    if (error.name === 'LlmError') {
+      return res.status(LLM_ERROR_STATUS[error.code] || 502).json({
+        ok: false,
+        error: error.code === 'NOT_CONFIGURED' ? 'Translation is not enabled' : 'Translation failed',
+        code: error.code
+      });
+    }
+
+    console.error('Translate error:', error);
+    res.status(500).json({
       ok: false,
-      error: 'Summary generation failed'
+      error: 'Translation failed'
+    });
+  }
+};
+
+// ============================================================
+// GET FEED - A category as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+// The first page of GET /api/news; conditional requests
+// (If-None-Match / If-Modified-Since) get a 304
+// ============================================================
+const FEED_SIZE = 20;
+const FEED_MAX_AGE = 300;
+
+exports.getFeed = async (req, res) => {
+  try {
+    const category = req.params.category.toLowerCase();
+    const { format } = req.params;
+    const { lang, country } = contentLocale(req.query);
+
+    const { articles, origin } = await loadCategoryNews({ category, page: 1, pageSize: FEED_SIZE, lang, country });
+    const name = getCategory(category)?.name || category;
+
+    const feed = renderFeed(format, {
+      title: `${PUBLICATION_NAME} - ${name}`,
+      description: `Latest ${name} news from ${PUBLICATION_NAME}`,
+      homeUrl: categoryUrl(category),
+      feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      language: lang,
+      articles: origin === 'fallback' ? articles : await withSummaries(articles)
+    });
+
+    res.set({
+      'Content-Type': feed.contentType,
+      'Cache-Control': `public, max-age=${FEED_MAX_AGE}`,
+      'ETag': `"${hashId(feed.body)}"`,
+      'Last-Modified': feed.lastModified.toUTCString()
+    });
+
+    if (req.fresh) return res.status(304).end();
+    res.send(feed.body);
+
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to build feed'
     });
   }
 };
\ No newline at end of file
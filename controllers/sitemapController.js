@@ -0,0 +1,132 @@
+// controllers/sitemapController.js - Sitemaps built from stored articles
+const NodeCache = require('node-cache');
+const { isStoreReady, findRecentArticles } = require('../utils/articleStore');
+const { listCategories } = require('../utils/categories');
+const {
+  NEWS_WINDOW_MS,
+  NEWS_MAX_URLS,
+  MAX_URLS,
+  siteUrl,
+  categoryUrl,
+  articleUrl,
+  buildNewsSitemap,
+  buildUrlSet,
+  buildSitemapIndex
+} = require('../utils/sitemap');
+
+// Seconds crawlers and CDNs may reuse a response; the generated XML is
+// cached for the same time
+const NEWS_MAX_AGE = 300;
+const PAGES_MAX_AGE = 3600;
+// Short, so a sitemap built while Mongo was down is not served for long
+const UNAVAILABLE_MAX_AGE = 60;
+
+const STORY_DAYS = parseInt(process.env.SITEMAP_STORY_DAYS || '30', 10);
+
+const cache = new NodeCache({ useClones: false });
+
+// { xml, lastModified, maxAge } for a sitemap, built at most once per maxAge
+async function cachedSitemap(key, maxAge, build) {
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const storeReady = isStoreReady();
+  const { xml, lastModified } = await build(storeReady);
+  const entry = { xml, lastModified, maxAge: storeReady ? maxAge : UNAVAILABLE_MAX_AGE };
+
+  cache.set(key, entry, entry.maxAge);
+  return entry;
+}
+
+function newestDate(articles) {
+  return articles.length > 0 ? articles[0].publishedAt : null;
+}
+
+function newsSitemap() {
+  return cachedSitemap('news', NEWS_MAX_AGE, async storeReady => {
+    const articles = storeReady
+      ? await findRecentArticles({ since: new Date(Date.now() - NEWS_WINDOW_MS) }, NEWS_MAX_URLS)
+      : [];
+    return { xml: buildNewsSitemap(articles), lastModified: newestDate(articles) };
+  });
+}
+
+function pagesSitemap() {
+  return cachedSitemap('pages', PAGES_MAX_AGE, async storeReady => {
+    const since = new Date(Date.now() - STORY_DAYS * 24 * 60 * 60 * 1000);
+    const categories = listCategories();
+    const articles = storeReady
+      ? await findRecentArticles({ since }, MAX_URLS - categories.length - 1)
+      : [];
+    const lastModified = newestDate(articles);
+
+    const entries = [
+      { loc: siteUrl('/'), lastmod: lastModified, changefreq: 'hourly', priority: 1 },
+      ...categories.map(category => ({
+        loc: categoryUrl(category.slug),
+        lastmod: lastModified,
+        changefreq: 'hourly',
+        priority: category.parent ? 0.6 : 0.8
+      })),
+      ...articles.map(article => ({ loc: articleUrl(article), lastmod: article.publishedAt }))
+    ];
+
+    return { xml: buildUrlSet(entries), lastModified };
+  });
+}
+
+function sendXml(res, { xml, lastModified, maxAge }) {
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${maxAge}`
+  });
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  res.send(xml);
+}
+
+function sitemapError(res, error) {
+  console.error('Sitemap error:', error);
+  res.status(500).json({ ok: false, error: 'Failed to build sitemap' });
+}
+
+// ============================================================
+// GET /sitemap.xml - Index of the sitemaps below
+// ============================================================
+exports.getSitemapIndex = async (req, res) => {
+  try {
+    const [news, pages] = await Promise.all([newsSitemap(), pagesSitemap()]);
+
+    sendXml(res, {
+      xml: buildSitemapIndex([
+        { loc: siteUrl('/news-sitemap.xml'), lastmod: news.lastModified },
+        { loc: siteUrl('/sitemap-pages.xml'), lastmod: pages.lastModified }
+      ]),
+      lastModified: news.lastModified || pages.lastModified,
+      maxAge: Math.min(news.maxAge, pages.maxAge)
+    });
+  } catch (error) {
+    sitemapError(res, error);
+  }
+};
+
+// ============================================================
+// GET /news-sitemap.xml - Google News: stories from the last 48 hours
+// ============================================================
+exports.getNewsSitemap = async (req, res) => {
+  try {
+    sendXml(res, await newsSitemap());
+  } catch (error) {
+    sitemapError(res, error);
+  }
+};
+
+// ============================================================
+// GET /sitemap-pages.xml - Home, category and story pages
+// ============================================================
+exports.getPagesSitemap = async (req, res) => {
+  try {
+    sendXml(res, await pagesSitemap());
+  } catch (error) {
+    sitemapError(res, error);
+  }
+};
@@ -0,0 +1,90 @@
+// controllers/streamController.js - Server-Sent Events for new articles,
+// finished AI summaries and breaking stories
+const {
+  subscribe,
+  eventsAfter,
+  matchesCategories,
+  formatEvent
+} = require('../utils/newsEvents');
+
+const MAX_CONNECTIONS = parseInt(process.env.STREAM_MAX_CONNECTIONS || '500', 10);
+const HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || '25', 10);
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+// A client this far behind is disconnected rather than buffered for
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Open responses, so shutdown can end them
+const streams = new Set();
+
+// ============================================================
+// GET /api/news/stream
+// ============================================================
+exports.stream = (req, res) => {
+  if (streams.size >= MAX_CONNECTIONS) {
+    res.set('Retry-After', String(Math.ceil(RETRY_MS / 1000)));
+    return res.status(503).json({
+      ok: false,
+      error: 'Too many stream connections, try again shortly'
+    });
+  }
+
+  const categories = req.query.categories
+    ? req.query.categories.split(',').map(category => category.trim().toLowerCase()).filter(Boolean)
+    : [];
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  streams.add(res);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = null;
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    streams.delete(res);
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  }
+
+  function send(event) {
+    if (closed || !matchesCategories(event, categories)) return;
+    res.write(formatEvent(event));
+
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      console.warn('Stream client too slow, disconnecting');
+      cleanup();
+      res.end();
+    }
+  }
+
+  // Fires when the client goes away (req 'close' fires once the request body is read)
+  res.on('close', cleanup);
+
+  // Replay what the client missed; tell it to refetch when that is not possible
+  if (lastEventId) {
+    const missed = eventsAfter(lastEventId);
+    if (missed) missed.forEach(send);
+    else res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Cannot resume, refetch the latest news' })}\n\n`);
+  }
+
+  if (closed) return;
+  unsubscribe = subscribe(send);
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+};
+
+// Ends every stream; clients reconnect (to another instance) on their own
+exports.closeStreams = () => {
+  streams.forEach(res => res.end());
+};
@@ -0,0 +1,113 @@
+// controllers/topicController.js - Topic pages for tagged people,
+// organizations, places and topics
+const {
+  isStoreReady,
+  findEntityArticles,
+  describeEntity,
+  searchEntities
+} = require('../utils/articleStore');
+const { getKnownEntity, searchKnownEntities } = require('../utils/entities');
+const { clusterArticles, collapseClusters } = require('../utils/clustering');
+const { slugify } = require('../utils/sitemap');
+const { createCache, getCacheBackend } = require('../utils/cache');
+
+const topicCache = createCache({ name: 'topics', backend: getCacheBackend(), ttl: 120, staleTtl: 600 });
+
+// Autocomplete ranks by coverage over this window
+const AUTOCOMPLETE_DAYS = 30;
+
+// ============================================================
+// GET /api/topics?q= - Autocomplete: dictionary entries and tagged
+// entities, most covered first
+// ============================================================
+exports.searchTopics = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit || '10', 10)));
+    const prefix = slugify(q);
+
+    const { value: data, cached } = await topicCache.wrap(`search:${prefix}:${limit}`, async () => {
+      const stored = prefix && isStoreReady()
+        ? await searchEntities(prefix, { since: new Date(Date.now() - AUTOCOMPLETE_DAYS * 24 * 60 * 60 * 1000), limit })
+        : [];
+
+      // Known names fill in the list, after anything with coverage
+      const seen = new Set(stored.map(topic => topic.slug));
+      const known = searchKnownEntities(q, limit)
+        .filter(entity => !seen.has(entity.slug))
+        .map(({ slug, name, type }) => ({ slug, name, type, articleCount: 0 }));
+
+      return [...stored, ...known].slice(0, limit);
+    }, { cacheable: () => isStoreReady() });
+
+    res.json({
+      ok: true,
+      fromCache: cached,
+      query: q,
+      data
+    });
+
+  } catch (error) {
+    console.error('Topic search error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Topic search failed'
+    });
+  }
+};
+
+// ============================================================
+// GET /api/topics/:slug - Latest coverage of one topic, one
+// article per story, with related topics
+// ============================================================
+exports.getTopic = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(50, Math.max(1, parseInt(req.query.pageSize || '20', 10)));
+
+    const { value, cached } = await topicCache.wrap(`topic:${slug}:p${page}:s${pageSize}`, async () => {
+      if (!isStoreReady()) return { topic: null, articles: [] };
+
+      const [topic, articles] = await Promise.all([
+        describeEntity(slug),
+        findEntityArticles(slug, { page, pageSize })
+      ]);
+      return { topic, articles: collapseClusters(clusterArticles(articles)) };
+    }, { cacheable: result => isStoreReady() && !!result.topic });
+
+    const known = getKnownEntity(slug);
+    const topic = value.topic || (known && {
+      slug: known.slug,
+      name: known.name,
+      type: known.type,
+      articleCount: 0,
+      related: []
+    });
+
+    if (!topic) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Topic not found'
+      });
+    }
+
+    const { related, ...details } = topic;
+    res.json({
+      ok: true,
+      fromCache: cached,
+      topic: details,
+      related,
+      page,
+      pageSize,
+      data: value.articles
+    });
+
+  } catch (error) {
+    console.error('Topic fetch error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch topic'
+    });
+  }
+};
@@ -0,0 +1,18 @@
+// middleware/optionalAuth.js
+// Like auth.js, but anonymous requests continue without req.user
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+
+module.exports = async function (req, res, next) {
+  try {
+    const token = req.cookies.newszoid_token || req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) return next();
+
+    const data = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(data.userId).select('-passwordHash');
+    if (user) req.user = user;
+  } catch (err) {
+    // Invalid or expired token: treat as anonymous
+  }
+  next();
+};
@@ -0,0 +1,110 @@
+// models/Article.js
+const mongoose = require('mongoose');
+
+const ArticleSchema = new mongoose.Schema({
+  articleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  canonicalUrl: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  snippet: {
+    type: String,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    default: 'Newszoid'
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  categories: {
+    type: [String],
+    default: []
+  },
+  locations: {
+    type: [String], // city keys from INDIAN_CITIES
+    default: []
+  },
+  entities: {
+    // people, organizations, places and topics, see utils/entities
+    type: [{
+      _id: false,
+      slug: { type: String, required: true },
+      name: { type: String, required: true },
+      type: { type: String, enum: ['person', 'organization', 'place', 'topic'], required: true }
+    }],
+    default: []
+  },
+  aiSummary: {
+    type: String,
+    default: null
+  },
+  clusterId: {
+    type: String, // near-duplicate story group, see utils/clustering.js
+    default: null,
+    index: true
+  },
+  publishedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  dateEstimated: {
+    type: Boolean, // the source gave no usable date; publishedAt is when it was first fetched
+    default: false
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Feed queries: newest first within a category or city
+ArticleSchema.index({ categories: 1, publishedAt: -1 });
+ArticleSchema.index({ locations: 1, publishedAt: -1 });
+// Topic pages
+ArticleSchema.index({ 'entities.slug': 1, publishedAt: -1 });
+
+// Full-text search over headlines and snippets
+ArticleSchema.index({ title: 'text', snippet: 'text' }, { weights: { title: 3, snippet: 1 } });
+
+// Shape returned by the news API (same as provider-normalized articles)
+ArticleSchema.methods.toArticle = function () {
+  return {
+    id: this.articleId,
+    title: this.title,
+    snippet: this.snippet,
+    url: this.url,
+    image: this.image,
+    publishedAt: this.publishedAt.toISOString(),
+    dateEstimated: !!this.dateEstimated,
+    source: this.source,
+    provider: this.provider,
+    category: this.categories[0] || 'general',
+    entities: (this.entities || []).map(({ slug, name, type }) => ({ slug, name, type })),
+    aiSummary: this.aiSummary
+  };
+};
+
+module.exports = mongoose.model('Article', ArticleSchema);
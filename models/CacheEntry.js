@@ -0,0 +1,26 @@
+// models/CacheEntry.js - Shared cache entries for the Mongo cache backend
+const mongoose = require('mongoose');
+
+const CacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.Mixed, // { value, storedAt, freshUntil, staleUntil }
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+// Mongo drops expired entries in the background (roughly once a minute)
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', CacheEntrySchema);
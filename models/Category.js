@@ -0,0 +1,53 @@
+// models/Category.js - Admin-managed news categories
+const mongoose = require('mongoose');
+
+const CategorySchema = new mongoose.Schema({
+  slug: {
+    type: String, // used in URLs and stored on articles, e.g. "global-politics"
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  query: {
+    type: String, // provider search query unless overridden below
+    required: true,
+    trim: true
+  },
+  providerQueries: {
+    type: Map, // provider name -> query, e.g. { guardian: 'politics' }
+    of: String,
+    default: {}
+  },
+  feeds: {
+    type: [String], // RSS/Atom URLs for the rss provider
+    default: []
+  },
+  icon: {
+    type: String,
+    default: ''
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  parent: {
+    type: String, // parent category slug, for grouping in the frontend
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Category', CategorySchema);
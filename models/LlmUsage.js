@@ -0,0 +1,43 @@
+// models/LlmUsage.js - Daily LLM usage per backend, model and prompt
+const mongoose = require('mongoose');
+
+const LlmUsageSchema = new mongoose.Schema({
+  day: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true
+  },
+  backend: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  prompt: {
+    type: String, // template name@version
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+LlmUsageSchema.index({ day: 1, backend: 1, model: 1, prompt: 1 }, { unique: true });
+
+module.exports = mongoose.model('LlmUsage', LlmUsageSchema);
@@ -34,12 +34,16 @@ const ReadingHistorySchema = new mongoose.Schema({
     index: true
   }
 }, { 
-  timestamps: true 
+  timestamps: true,
+  // Built by ensureReadingHistoryIndexes, which merges duplicates the
+  // unique index would otherwise fail on
+  autoIndex: false
 });
 
 // Compound indexes for efficient queries
 ReadingHistorySchema.index({ userId: 1, createdAt: -1 });
 ReadingHistorySchema.index({ userId: 1, category: 1 });
-ReadingHistorySchema.index({ userId: 1, articleId: 1 });
+// One entry per reader and article; repeat views add to views and timeSpent
+ReadingHistorySchema.index({ userId: 1, articleId: 1 }, { unique: true });
 
 module.exports = mongoose.model('ReadingHistory', ReadingHistorySchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+// models/Snapshot.js - Last-known-good article list per category or city,
+// served when every provider is down
+const mongoose = require('mongoose');
+
+const SnapshotSchema = new mongoose.Schema({
+  key: {
+    type: String, // e.g. category:technology:en:any:any, local:mumbai:en:any
+    required: true,
+    unique: true
+  },
+  articles: {
+    type: [mongoose.Schema.Types.Mixed], // normalized articles as served
+    default: []
+  },
+  fetchedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Snapshot', SnapshotSchema);
@@ -0,0 +1,44 @@
+// models/Summary.js - AI summary per article, written by the summary queue
+const mongoose = require('mongoose');
+
+const SummarySchema = new mongoose.Schema({
+  articleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  input: {
+    type: String, // text sent to the model, kept so pending jobs survive a restart
+    select: false
+  },
+  summary: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: Number,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Summary', SummarySchema);
@@ -0,0 +1,35 @@
+// models/Translation.js - Translated article fields per source text and language
+const mongoose = require('mongoose');
+
+const TranslationSchema = new mongoose.Schema({
+  key: {
+    type: String, // <articleId or "text">:<lang>:<hash of the source fields>
+    required: true,
+    unique: true
+  },
+  articleId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  lang: {
+    type: String,
+    required: true
+  },
+  fields: {
+    type: Object,
+    required: true
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Translation', TranslationSchema);
@@ -0,0 +1,180 @@
+// routes/admin.js - Admin-only management endpoints
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const adminController = require('../controllers/adminController');
+const { RESERVED_SLUGS } = require('../utils/categories');
+const { getProviderNames } = require('../utils/providers');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// ============================================================
+// Validation middleware
+// ============================================================
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            ok: false,
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+router.use(auth, adminAuth);
+
+// Fields shared by create and update; all optional here,
+// create additionally requires slug, name and query
+const categoryFields = [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 60 })
+        .withMessage('Name must be 1-60 characters'),
+    body('query')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Query must be 1-200 characters'),
+    body('providerQueries')
+        .optional()
+        .isObject()
+        .withMessage('providerQueries must be an object')
+        .bail()
+        .custom(value => Object.entries(value).every(([name, query]) =>
+            getProviderNames().includes(name) && typeof query === 'string' && query.trim().length > 0 && query.length <= 200
+        ))
+        .withMessage(`providerQueries keys must be providers (${getProviderNames().join(', ')}) with non-empty queries`),
+    body('feeds')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Feeds must be an array of at most 10 URLs'),
+    body('feeds.*')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Each feed must be an http(s) URL'),
+    body('icon')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Icon must be at most 200 characters'),
+    body('sortOrder')
+        .optional()
+        .isInt({ min: -10000, max: 10000 })
+        .withMessage('sortOrder must be an integer')
+        .toInt(),
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be true or false')
+        .toBoolean(),
+    body('parent')
+        .optional({ values: 'null' })
+        .custom(value => value === '' || (typeof value === 'string' && SLUG_PATTERN.test(value)))
+        .withMessage('Parent must be a category slug')
+];
+
+// ============================================================
+// GET /api/admin/categories - All categories, including disabled ones
+// ============================================================
+router.get('/categories', adminController.listCategories);
+
+// ============================================================
+// POST /api/admin/categories - Create a category
+// Body:
+//   - slug: lowercase words joined by hyphens (required)
+//   - name: display name (required)
+//   - query: default provider query (required)
+//   - providerQueries: { <provider>: query } overrides (optional)
+//   - feeds: RSS/Atom URLs (optional)
+//   - icon, sortOrder, enabled (optional)
+//   - parent: slug of a top-level category (optional)
+// ============================================================
+router.post(
+    '/categories',
+    [
+        body('slug')
+            .isString()
+            .trim()
+            .toLowerCase()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Slug must be 2-50 characters')
+            .matches(SLUG_PATTERN)
+            .withMessage('Slug must be lowercase words joined by hyphens')
+            .not()
+            .isIn(RESERVED_SLUGS)
+            .withMessage('Slug is reserved'),
+        body('name')
+            .exists()
+            .withMessage('Name is required'),
+        body('query')
+            .exists()
+            .withMessage('Query is required'),
+        ...categoryFields
+    ],
+    validate,
+    adminController.createCategory
+);
+
+// ============================================================
+// PATCH /api/admin/categories/:slug - Update any of the fields above
+// except slug; parent: null moves a category to the top level
+// ============================================================
+router.patch(
+    '/categories/:slug',
+    [
+        param('slug')
+            .matches(SLUG_PATTERN)
+            .withMessage('Invalid category slug'),
+        ...categoryFields
+    ],
+    validate,
+    adminController.updateCategory
+);
+
+// ============================================================
+// DELETE /api/admin/categories/:slug
+// ============================================================
+router.delete(
+    '/categories/:slug',
+    [
+        param('slug')
+            .matches(SLUG_PATTERN)
+            .withMessage('Invalid category slug')
+    ],
+    validate,
+    adminController.deleteCategory
+);
+
+// ============================================================
+// GET /api/admin/cache - Hit rates and load counters per cache
+// ============================================================
+router.get('/cache', adminController.getCacheStats);
+
+// ============================================================
+// GET /api/admin/providers - Breaker state, error rate and latency
+// for each news provider
+// ============================================================
+router.get('/providers', adminController.getProviders);
+
+// ============================================================
+// POST /api/admin/providers/:name/reset - Close a provider's breaker,
+// e.g. after rotating its key or once its quota resets
+// ============================================================
+router.post(
+    '/providers/:name/reset',
+    [
+        param('name')
+            .isIn(getProviderNames())
+            .withMessage('Unknown provider')
+    ],
+    validate,
+    adminController.resetProvider
+);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const User = require('../models/user');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
 const authController = require('../controllers/authController');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('../utils/translation');
 
 // Register
 router.post('/register', [
@@ -137,11 +138,25 @@ router.get('/me', auth, async (req, res) => {
     user: {
       id: req.user._id,
       name: req.user.name,
-      email: req.user.email
+      email: req.user.email,
+      preferences: { language: req.user.meta?.language || DEFAULT_LANGUAGE }
     }
   });
 });
 
+// Update reading preferences (preferred language for translations and summaries)
+router.put('/preferences', auth, [
+  body('language')
+    .isIn(Object.keys(LANGUAGES))
+    .withMessage(`Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`)
+], (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ ok: false, errors: errors.array() });
+  }
+  next();
+}, authController.updatePreferences);
+
 // Get user statistics
 router.get('/stats', auth, adminAuth, authController.getUserStats);
 
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
 const migrateController = require('../controllers/migrateController');
 
 // Migrate local bookmarks to server
@@ -10,6 +11,9 @@ router.post('/bookmarks', auth, migrateController.migrateBookmarks);
 // Migrate reading history to server
 router.post('/history', auth, migrateController.migrateHistory);
 
+// Rewrite legacy article IDs across bookmarks, comments and history (admin)
+router.post('/article-ids', auth, adminAuth, migrateController.migrateArticleIds);
+
 // Get migration status
 router.get('/status', auth, migrateController.getMigrationStatus);
 
@@ -1,8 +1,16 @@
 // routes/news.js - PRODUCTION READY
 const express = require('express');
 const router = express.Router();
-const { query, body, validationResult } = require('express-validator');
+const { query, body, param, validationResult } = require('express-validator');
 const newsController = require('../controllers/newsController');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { SUMMARY_MODES } = require('../utils/aiSummary');
+const { LANGUAGES } = require('../utils/translation');
+const { CONTENT_LANGUAGES } = require('../utils/newsSources');
+const { isActiveCategory } = require('../utils/categories');
+const { FEED_FORMATS } = require('../utils/feedRenderer');
+const streamController = require('../controllers/streamController');
 
 // ============================================================
 // Validation middleware
@@ -21,9 +29,11 @@ const validate = (req, res, next) => {
 // ============================================================
 // GET /api/news - Fetch category-wise news
 // Query params:
-//   - category: string (optional, default: 'general')
+//   - category: an enabled category slug or 'local' (optional, default: 'general')
 //   - page: number (optional, default: 1)
 //   - pageSize: number (optional, default: 10, max: 50)
+//   - lang: en | hi | mr | ta | bn (optional, default: en)
+//   - country: ISO 3166 alpha-2 code, e.g. in (optional)
 // ============================================================
 router.get(
     '/',
@@ -32,8 +42,12 @@ router.get(
             .optional()
             .isString()
             .trim()
+            .toLowerCase()
             .isLength({ min: 1, max: 50 })
-            .withMessage('Category must be 1-50 characters'),
+            .withMessage('Category must be 1-50 characters')
+            .bail()
+            .custom(value => value === 'local' || isActiveCategory(value))
+            .withMessage('Unknown category'),
         query('page')
             .optional()
             .isInt({ min: 1, max: 100 })
@@ -41,7 +55,15 @@ router.get(
         query('pageSize')
             .optional()
             .isInt({ min: 1, max: 50 })
-            .withMessage('Page size must be between 1 and 50')
+            .withMessage('Page size must be between 1 and 50'),
+        query('lang')
+            .optional()
+            .isIn(CONTENT_LANGUAGES)
+            .withMessage(`Language must be one of: ${CONTENT_LANGUAGES.join(', ')}`),
+        query('country')
+            .optional()
+            .isISO31661Alpha2()
+            .withMessage('Country must be a two-letter ISO 3166 code')
     ],
     validate,
     newsController.getNews
@@ -50,9 +72,12 @@ router.get(
 // ============================================================
 // GET /api/news/local - Fetch city-wise local news
 // Query params:
-//   - location: string (required)
+//   - location: city, district or "town, state" (optional, default: Delhi)
+//   - lat, lon: coordinates inside India (optional, together; override location)
 //   - page: number (optional, default: 1)
 //   - pageSize: number (optional, default: 5, max: 20)
+//   - lang: en | hi | mr | ta | bn (optional, default: en)
+//   - country: ISO 3166 alpha-2 code, e.g. in (optional)
 // ============================================================
 router.get(
     '/local',
@@ -63,6 +88,18 @@ router.get(
             .trim()
             .isLength({ min: 2, max: 100 })
             .withMessage('Location must be 2-100 characters'),
+        query('lat')
+            .optional()
+            .isFloat({ min: 6, max: 38 })
+            .withMessage('Latitude must be within India (6 to 38)')
+            .custom((value, { req }) => req.query.lon !== undefined)
+            .withMessage('lat and lon must be sent together'),
+        query('lon')
+            .optional()
+            .isFloat({ min: 68, max: 98 })
+            .withMessage('Longitude must be within India (68 to 98)')
+            .custom((value, { req }) => req.query.lat !== undefined)
+            .withMessage('lat and lon must be sent together'),
         query('page')
             .optional()
             .isInt({ min: 1, max: 50 })
@@ -70,35 +107,348 @@ router.get(
         query('pageSize')
             .optional()
             .isInt({ min: 1, max: 20 })
-            .withMessage('Page size must be between 1 and 20')
+            .withMessage('Page size must be between 1 and 20'),
+        query('lang')
+            .optional()
+            .isIn(CONTENT_LANGUAGES)
+            .withMessage(`Language must be one of: ${CONTENT_LANGUAGES.join(', ')}`),
+        query('country')
+            .optional()
+            .isISO31661Alpha2()
+            .withMessage('Country must be a two-letter ISO 3166 code')
     ],
     validate,
     newsController.getLocalNews
 );
 
+// ============================================================
+// GET /api/news/categories - Enabled categories for menus
+// Top-level categories in sort order, each with its children
+// ============================================================
+router.get('/categories', newsController.getCategories);
+
+// ============================================================
+// GET /api/news/stream - Server-Sent Events
+// Events: article (newly ingested), summary (AI summary ready),
+// breaking (story several outlets just reported), reset (cannot resume)
+// Query params:
+//   - categories: comma-separated category slugs or local (optional, default: all)
+//   - lastEventId: resume point for clients that cannot send the
+//     Last-Event-ID header (optional)
+// ============================================================
+router.get(
+    '/stream',
+    [
+        query('categories')
+            .optional()
+            .isString()
+            .custom(value => value.split(',')
+                .map(category => category.trim().toLowerCase())
+                .filter(Boolean)
+                .every(category => category === 'local' || isActiveCategory(category)))
+            .withMessage('Categories must be enabled category slugs'),
+        query('lastEventId')
+            .optional()
+            .isLength({ max: 64 })
+            .withMessage('Invalid lastEventId')
+    ],
+    validate,
+    streamController.stream
+);
+
+// ============================================================
+// GET /api/news/feed/:category.:format - Category feed for feed readers
+// Path params:
+//   - category: an enabled category slug
+//   - format: rss | atom | json (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+// Query params:
+//   - lang: en | hi | mr | ta | bn (optional, default: en)
+//   - country: ISO 3166 alpha-2 code, e.g. in (optional)
+// ============================================================
+router.get(
+    '/feed/:category.:format',
+    [
+        param('category')
+            .trim()
+            .toLowerCase()
+            .custom(value => isActiveCategory(value))
+            .withMessage('Unknown category'),
+        param('format')
+            .isIn(Object.keys(FEED_FORMATS))
+            .withMessage(`Format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`),
+        query('lang')
+            .optional()
+            .isIn(CONTENT_LANGUAGES)
+            .withMessage(`Language must be one of: ${CONTENT_LANGUAGES.join(', ')}`),
+        query('country')
+            .optional()
+            .isISO31661Alpha2()
+            .withMessage('Country must be a two-letter ISO 3166 code')
+    ],
+    validate,
+    newsController.getFeed
+);
+
+// ============================================================
+// GET /api/news/search - Full-text search across providers and stored articles
+// Query params:
+//   - q: string (required)
+//   - from, to: ISO 8601 dates (optional)
+//   - source: string (optional, matches the source name)
+//   - category: string (optional)
+//   - sort: 'relevance' | 'date' (optional, default: 'relevance')
+//   - page: number (optional, default: 1)
+//   - pageSize: number (optional, default: 10, max: 50)
+// ============================================================
+router.get(
+    '/search',
+    [
+        query('q')
+            .isString()
+            .trim()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Search query must be 2-200 characters'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('from must be an ISO 8601 date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('to must be an ISO 8601 date'),
+        query('source')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Source must be 1-100 characters'),
+        query('category')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Category must be 1-50 characters'),
+        query('sort')
+            .optional()
+            .isIn(['relevance', 'date'])
+            .withMessage('Sort must be relevance or date'),
+        query('page')
+            .optional()
+            .isInt({ min: 1, max: 10 })
+            .withMessage('Page must be between 1 and 10'),
+        query('pageSize')
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage('Page size must be between 1 and 50')
+    ],
+    validate,
+    newsController.searchNews
+);
+
+// ============================================================
+// GET /api/news/for-you - Personalized feed (requires login)
+// Query params:
+//   - page: number (optional, default: 1)
+//   - pageSize: number (optional, default: 10, max: 30)
+// ============================================================
+router.get(
+    '/for-you',
+    auth,
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1, max: 10 })
+            .withMessage('Page must be between 1 and 10'),
+        query('pageSize')
+            .optional()
+            .isInt({ min: 1, max: 30 })
+            .withMessage('Page size must be between 1 and 30')
+    ],
+    validate,
+    newsController.getForYou
+);
+
+// ============================================================
+// GET /api/news/trending - Most engaged-with articles
+// Query params:
+//   - window: '1h' | '24h' | '7d' (optional, default: '24h')
+//   - category: string (optional)
+//   - limit: number (optional, default: 20, max: 50)
+// ============================================================
+router.get(
+    '/trending',
+    [
+        query('window')
+            .optional()
+            .isIn(['1h', '24h', '7d'])
+            .withMessage('Window must be 1h, 24h or 7d'),
+        query('category')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Category must be 1-50 characters'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage('Limit must be between 1 and 50')
+    ],
+    validate,
+    newsController.getTrending
+);
+
+// ============================================================
+// GET /api/news/story/:clusterId - All coverage of one story
+// Params:
+//   - clusterId: string (from an article's clusterId)
+// ============================================================
+router.get(
+    '/story/:clusterId',
+    [
+        param('clusterId')
+            .isString()
+            .matches(/^c_[\w-]{1,100}$/)
+            .withMessage('Invalid story ID')
+    ],
+    validate,
+    newsController.getStory
+);
+
 // ============================================================
 // POST /api/news/summary - Generate article summary
 // Body:
-//   - url: string (optional)
+//   - url: string (optional) - article page to fetch and summarize
 //   - text: string (optional)
-//   (at least one required)
+//   - mode: short | bullets | explain | why-it-matters | timeline
+//           (optional, default: short)
+//   - lang: en | hi | mr | ta | bn (optional, default: the signed-in
+//           user's meta.language, then en)
+//   (url or text required; url wins when both are sent)
+// Returns { summary, keyPoints, entities, readingTimeSaved, extractive }
 // ============================================================
 router.post(
     '/summary',
     [
         body('url')
             .optional()
-            .isURL()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true })
             .withMessage('Invalid URL format'),
         body('text')
             .optional()
             .isString()
             .trim()
             .isLength({ min: 10, max: 5000 })
-            .withMessage('Text must be 10-5000 characters')
+            .withMessage('Text must be 10-5000 characters'),
+        body('mode')
+            .optional()
+            .isIn(Object.keys(SUMMARY_MODES))
+            .withMessage(`Mode must be one of: ${Object.keys(SUMMARY_MODES).join(', ')}`),
+        body('lang')
+            .optional()
+            .isIn(Object.keys(LANGUAGES))
+            .withMessage(`Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`)
     ],
     validate,
+    optionalAuth,
     newsController.summary
 );
 
+// ============================================================
+// POST /api/news/translate - Translate an article or text fields
+// Body:
+//   - id: article ID (optional) - translates its title, snippet and AI summary
+//   - title, snippet, summary: strings (optional, used when id is absent)
+//   - lang: en | hi | mr | ta | bn (optional, default: the signed-in
+//           user's meta.language, then en)
+// ============================================================
+router.post(
+    '/translate',
+    [
+        body('id')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2048 })
+            .withMessage('Article ID must be 1-2048 characters'),
+        body(['title', 'snippet', 'summary'])
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 5000 })
+            .withMessage('Text fields must be at most 5000 characters'),
+        body('lang')
+            .optional()
+            .isIn(Object.keys(LANGUAGES))
+            .withMessage(`Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`)
+    ],
+    validate,
+    optionalAuth,
+    newsController.translate
+);
+
+// ============================================================
+// GET /api/news/:id/summary - AI summary for an article
+// Params:
+//   - id: article ID (legacy raw-URL IDs are also accepted)
+// Returns 202 with status 'pending' while the summary is generated
+// ============================================================
+router.get(
+    '/:id/summary',
+    [
+        param('id')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2048 })
+            .withMessage('Article ID must be 1-2048 characters')
+    ],
+    validate,
+    newsController.getArticleSummary
+);
+
+// ============================================================
+// GET /api/news/:id/related - Similar articles to read next
+// Params:
+//   - id: article ID (legacy raw-URL IDs are also accepted)
+// Query params:
+//   - limit: number (optional, default: 10, max: 20)
+// Signed-in readers do not see articles already in their reading history.
+// ============================================================
+router.get(
+    '/:id/related',
+    [
+        param('id')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2048 })
+            .withMessage('Article ID must be 1-2048 characters'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 20 })
+            .withMessage('Limit must be between 1 and 20')
+    ],
+    validate,
+    optionalAuth,
+    newsController.getRelated
+);
+
+// ============================================================
+// GET /api/news/:id - Fetch a single article
+// Params:
+//   - id: article ID (legacy raw-URL IDs are also accepted)
+// Keep this route last so it does not shadow the named routes above.
+// ============================================================
+router.get(
+    '/:id',
+    [
+        param('id')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2048 })
+            .withMessage('Article ID must be 1-2048 characters')
+    ],
+    validate,
+    optionalAuth,
+    newsController.getArticle
+);
+
 module.exports = router;
\ No newline at end of file
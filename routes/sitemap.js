@@ -0,0 +1,15 @@
+// routes/sitemap.js - XML sitemaps, served from the site root
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/sitemapController');
+
+// Sitemap index pointing at the two sitemaps below
+router.get('/sitemap.xml', sitemapController.getSitemapIndex);
+
+// Google News sitemap
+router.get('/news-sitemap.xml', sitemapController.getNewsSitemap);
+
+// Category and story pages
+router.get('/sitemap-pages.xml', sitemapController.getPagesSitemap);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+// routes/topics.js - Topic pages and topic autocomplete
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+const topicController = require('../controllers/topicController');
+
+// ============================================================
+// Validation middleware
+// ============================================================
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            ok: false,
+            errors: errors.array()
+        });
+    }
+    next();
+};
+
+// ============================================================
+// GET /api/topics - Topic autocomplete
+// Query params:
+//   - q: the start of a name or any word in it, e.g. "rbi", "kohli" (required)
+//   - limit: 1-20 (optional, default: 10)
+// ============================================================
+router.get(
+    '/',
+    [
+        query('q')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 60 })
+            .withMessage('Query must be 1-60 characters'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 20 })
+            .withMessage('Limit must be between 1 and 20')
+    ],
+    validate,
+    topicController.searchTopics
+);
+
+// ============================================================
+// GET /api/topics/:slug - Latest articles about a person,
+// organization, place or topic
+// Path params:
+//   - slug: e.g. reserve-bank-of-india, virat-kohli, bengaluru-metro
+// Query params:
+//   - page: Page number (optional, default: 1)
+//   - pageSize: 1-50 (optional, default: 20)
+// ============================================================
+router.get(
+    '/:slug',
+    [
+        param('slug')
+            .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+            .isLength({ max: 80 })
+            .withMessage('Invalid topic'),
+        query('page')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Page must be between 1 and 100'),
+        query('pageSize')
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage('Page size must be between 1 and 50')
+    ],
+    validate,
+    topicController.getTopic
+);
+
+module.exports = router;
@@ -20,6 +20,14 @@ const historyRoutes = require('./routes/history');
 const newsRoutes = require('./routes/news');
 const weatherRoutes = require('./routes/weather');
 const marketRoutes = require('./routes/market');
+const adminRoutes = require('./routes/admin');
+const topicRoutes = require('./routes/topics');
+const sitemapRoutes = require('./routes/sitemap');
+const { startIngestionWorker, stopIngestionWorker } = require('./utils/ingestionWorker');
+const { ensureReadingHistoryIndexes } = require('./utils/readingHistory');
+const { startSummaryQueue, stopSummaryQueue } = require('./utils/summaryQueue');
+const { startCategoryRegistry, stopCategoryRegistry } = require('./utils/categories');
+const { closeStreams } = require('./controllers/streamController');
 
 const app = express();
 const PORT = Number(process.env.PORT);
@@ -122,7 +130,15 @@ app.use((req, res, next) => {
 if (process.env.MONGO_URI) {
   console.log('🔌 Step 5: Attempting to connect to MongoDB...');
   mongoose.connect(process.env.MONGO_URI, { family: 4 })
-    .then(() => console.log('✅ Step 6: MongoDB Connected'))
+    .then(() => {
+      console.log('✅ Step 6: MongoDB Connected');
+      // Ingestion pulls every enabled category, so load them first
+      startCategoryRegistry()
+        .catch(err => console.error('Category registry error:', err.message))
+        .finally(startIngestionWorker);
+      startSummaryQueue().catch(err => console.error('Summary queue error:', err.message));
+      ensureReadingHistoryIndexes().catch(err => console.error('Reading history index error:', err.message));
+    })
     .catch(err => console.error('❌ Step 6: MongoDB Error:', err.message));
 }
 
@@ -138,6 +154,9 @@ app.use('/api/history', historyRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/weather', weatherRoutes);
 app.use('/api/market', marketRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/topics', topicRoutes);
+app.use('/', sitemapRoutes);
 console.log('✅ Step 8: Routes Registered');
 
 // Static files
@@ -152,7 +171,7 @@ if (require('fs').existsSync(frontendPath)) {
   });
   app.use(express.static(frontendPath));
 }
-// Also serve the backend's own public folder (for sitemaps, etc.)
+// Also serve the backend's own public folder
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Error Handling
@@ -165,6 +184,11 @@ app.use((err, req, res, next) => {
 // Graceful Shutdown
 const shutdown = (signal) => {
   console.log(`\n⚠️  ${signal} received - Closing server`);
+  stopIngestionWorker();
+  stopSummaryQueue();
+  stopCategoryRegistry();
+  // Open event streams would keep server.close() waiting
+  closeStreams();
   server.close(() => {
     mongoose.connection.close(false, () => {
       console.log('✅ Shutdown complete');
@@ -199,6 +199,83 @@ describe('News API', () => {
     expect(response.body).toHaveProperty('ok', false);
   });
 
+  test('GET /api/news/categories - Should list enabled categories', async () => {
+    const response = await request(app)
+      .get('/api/news/categories')
+      .expect(200);
+
+    expect(response.body).toHaveProperty('ok', true);
+    expect(response.body.data.map(category => category.slug)).toContain('technology');
+    expect(Array.isArray(response.body.data[0].children)).toBe(true);
+  });
+
+  test('POST /api/admin/categories - Should require authentication', async () => {
+    await request(app)
+      .post('/api/admin/categories')
+      .send({ slug: 'startups', name: 'Startups', query: 'startup funding' })
+      .expect(401);
+  });
+
+  test('GET /api/admin/cache - Should require authentication', async () => {
+    await request(app)
+      .get('/api/admin/cache')
+      .expect(401);
+  });
+
+  test('GET /api/admin/providers - Should require authentication', async () => {
+    await request(app)
+      .get('/api/admin/providers')
+      .expect(401);
+  });
+
+  test('GET /api/news/stream - Should reject unknown categories', async () => {
+    await request(app)
+      .get('/api/news/stream?categories=technology,not-a-category')
+      .expect(400);
+  });
+
+  test('GET /api/topics - Should autocomplete topics', async () => {
+    const response = await request(app)
+      .get('/api/topics?q=rbi')
+      .expect(200);
+
+    expect(response.body).toHaveProperty('ok', true);
+    expect(response.body.data.map(topic => topic.slug)).toContain('reserve-bank-of-india');
+  });
+
+  test('GET /api/topics/:slug - Should reject invalid slugs', async () => {
+    await request(app)
+      .get('/api/topics/Not_A_Slug')
+      .expect(400);
+  });
+
+  test('GET /api/news/:id/related - Should reject an invalid limit', async () => {
+    await request(app)
+      .get('/api/news/abc123/related?limit=50')
+      .expect(400);
+  });
+
+  test('GET /api/news/feed/:category.rss - Should honour If-None-Match', async () => {
+    const response = await request(app)
+      .get('/api/news/feed/technology.rss')
+      .expect('Content-Type', /application\/rss\+xml/)
+      .expect(200);
+
+    expect(response.headers).toHaveProperty('etag');
+    expect(response.headers).toHaveProperty('last-modified');
+
+    await request(app)
+      .get('/api/news/feed/technology.rss')
+      .set('If-None-Match', response.headers.etag)
+      .expect(304);
+  });
+
+  test('GET /api/news/feed/:category.:format - Should reject unknown formats', async () => {
+    await request(app)
+      .get('/api/news/feed/technology.xml')
+      .expect(400);
+  });
+
   test('GET /api/news/local - Should get local news', async () => {
     const response = await request(app)
       .get('/api/news/local?location=Delhi')
@@ -207,6 +284,84 @@ describe('News API', () => {
     expect(response.body).toHaveProperty('ok', true);
     expect(response.body).toHaveProperty('data');
   });
+
+  test('GET /api/news/search - Should require a query', async () => {
+    const response = await request(app)
+      .get('/api/news/search')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('ok', false);
+  });
+
+  test('GET /api/news/search - Should return paginated results', async () => {
+    const response = await request(app)
+      .get('/api/news/search?q=india&sort=date&pageSize=5')
+      .expect(200);
+
+    expect(response.body).toHaveProperty('ok', true);
+    expect(response.body).toHaveProperty('sort', 'date');
+    expect(Array.isArray(response.body.data)).toBe(true);
+    expect(response.body.data.length).toBeLessThanOrEqual(5);
+  });
+
+  test('GET /api/news/for-you - Should require authentication', async () => {
+    await request(app)
+      .get('/api/news/for-you')
+      .expect(401);
+  });
+
+  test('GET /api/news/:id - Should return 404 for unknown article', async () => {
+    const response = await request(app)
+      .get('/api/news/0000000000000000')
+      .expect(404);
+
+    expect(response.body).toHaveProperty('ok', false);
+    expect(response.body.error).toContain('not found');
+  });
+
+  test('POST /api/news/translate - Should reject unsupported languages', async () => {
+    const response = await request(app)
+      .post('/api/news/translate')
+      .send({ title: 'Rain in Mumbai', lang: 'fr' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('ok', false);
+  });
+
+  test('GET /api/news/:id/summary - Should return 404 for unknown article', async () => {
+    const response = await request(app)
+      .get('/api/news/0000000000000000/summary')
+      .expect(404);
+
+    expect(response.body).toHaveProperty('ok', false);
+  });
+});
+
+// ==================================
+// Sitemap Tests
+// ==================================
+
+describe('Sitemaps', () => {
+
+  test('GET /sitemap.xml - Should list the news and pages sitemaps', async () => {
+    const response = await request(app)
+      .get('/sitemap.xml')
+      .expect('Content-Type', /application\/xml/)
+      .expect(200);
+
+    expect(response.text).toContain('<sitemapindex');
+    expect(response.text).toContain('/news-sitemap.xml');
+    expect(response.headers['cache-control']).toMatch(/max-age=\d+/);
+  });
+
+  test('GET /news-sitemap.xml - Should return a Google News urlset', async () => {
+    const response = await request(app)
+      .get('/news-sitemap.xml')
+      .expect('Content-Type', /application\/xml/)
+      .expect(200);
+
+    expect(response.text).toContain('xmlns:news=');
+  });
 });
 
 // ==================================
@@ -0,0 +1,48 @@
+// test/unit/aiSummary.test.js - Structured summary validation and fallback
+const { validateSummaryOutput, summarize } = require('../../utils/aiSummary');
+
+const ARTICLE = 'The city council approved the new budget on Tuesday. ' +
+  'Spending on public transport rises by 12 percent. ' +
+  'Opposition members walked out before the vote. ' +
+  'The budget takes effect in April.';
+
+describe('validateSummaryOutput', () => {
+  test('accepts fenced JSON and normalizes entity types', () => {
+    const raw = '```json\n' + JSON.stringify({
+      summary: 'The council passed the budget.',
+      keyPoints: ['Transport spending rises 12%'],
+      entities: [{ name: 'City council', type: 'organization' }, { name: 'April', type: 'date' }]
+    }) + '\n```';
+
+    expect(validateSummaryOutput(raw).value).toEqual({
+      summary: 'The council passed the budget.',
+      keyPoints: ['Transport spending rises 12%'],
+      entities: [{ name: 'City council', type: 'organization' }, { name: 'April', type: 'other' }]
+    });
+  });
+
+  test('rejects prose, missing fields and wrong types', () => {
+    expect(validateSummaryOutput('Here is a summary of the article.').error).toMatch(/JSON/);
+    expect(validateSummaryOutput('{"keyPoints": ["a"]}').error).toMatch(/summary/);
+    expect(validateSummaryOutput('{"summary": "s", "keyPoints": "a"}').error).toMatch(/keyPoints/);
+    expect(validateSummaryOutput('{"summary": "s", "keyPoints": ["a"], "entities": [{}]}').error)
+      .toMatch(/entities/);
+  });
+});
+
+describe('summarize', () => {
+  test('falls back to lead sentences when no model is configured', async () => {
+    const result = await summarize(ARTICLE, { mode: 'bullets' });
+
+    expect(result.extractive).toBe(true);
+    expect(result.mode).toBe('bullets');
+    expect(result.summary).toMatch(/^The city council approved the new budget on Tuesday\./);
+    expect(result.keyPoints).toHaveLength(4);
+    expect(result.entities).toEqual([]);
+    expect(result.readingTimeSaved).toBe(0);
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(summarize(ARTICLE, { mode: 'poem' })).rejects.toThrow(/Unknown summary mode/);
+  });
+});
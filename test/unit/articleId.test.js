@@ -0,0 +1,58 @@
+// test/unit/articleId.test.js - URL canonicalization and article IDs
+const {
+  canonicalizeUrl,
+  articleIdForUrl,
+  isArticleId,
+  resolveArticleId
+} = require('../../utils/articleId');
+
+describe('canonicalizeUrl', () => {
+  test('normalizes scheme, host, trailing slash, fragment and param order', () => {
+    expect(canonicalizeUrl('http://WWW.Example.com:80/india/story/?b=2&a=1#comments'))
+      .toBe('https://example.com/india/story?a=1&b=2');
+  });
+
+  test('strips tracking parameters', () => {
+    expect(canonicalizeUrl('https://example.com/story?utm_source=tw&utm_medium=social&fbclid=abc&id=7'))
+      .toBe('https://example.com/story?id=7');
+  });
+
+  test('collapses AMP variants onto the main article', () => {
+    const canonical = 'https://example.com/india/story.html';
+
+    expect(canonicalizeUrl('https://m.example.com/amp/india/story.html')).toBe(canonical);
+    expect(canonicalizeUrl('https://example.com/india/story.amp.html')).toBe(canonical);
+    expect(canonicalizeUrl('https://example.com/india/story.html?outputType=amp')).toBe(canonical);
+    expect(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/india/story.html'))
+      .toBe(canonical);
+  });
+
+  test('rejects non-http URLs', () => {
+    expect(canonicalizeUrl('#')).toBeNull();
+    expect(canonicalizeUrl('javascript:alert(1)')).toBeNull();
+  });
+});
+
+describe('article IDs', () => {
+  test('the same story gets the same short ID from any variant', () => {
+    const id = articleIdForUrl('https://example.com/india/story');
+
+    expect(isArticleId(id)).toBe(true);
+    expect(articleIdForUrl('http://www.example.com/india/story/?utm_campaign=x')).toBe(id);
+    expect(articleIdForUrl('https://example.com/india/story/amp')).toBe(id);
+  });
+
+  test('resolves legacy raw-URL and Guardian path IDs', () => {
+    expect(resolveArticleId('https://www.example.com/india/story'))
+      .toBe(articleIdForUrl('https://example.com/india/story'));
+    expect(resolveArticleId('world/2024/jan/01/summit-ends'))
+      .toBe(articleIdForUrl('https://www.theguardian.com/world/2024/jan/01/summit-ends'));
+  });
+
+  test('leaves current and unresolvable IDs unchanged', () => {
+    const id = articleIdForUrl('https://example.com/a');
+
+    expect(resolveArticleId(id)).toBe(id);
+    expect(resolveArticleId('fallback_gen_1')).toBe('fallback_gen_1');
+  });
+});
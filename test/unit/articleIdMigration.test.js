@@ -0,0 +1,80 @@
+// test/unit/articleIdMigration.test.js - Legacy article ID rewrites that
+// collide with an existing row
+const { rewriteArticleIds, bookmarkMergeUpdate } = require('../../utils/articleIdMigration');
+const { historyMergeUpdate } = require('../../utils/readingHistory');
+const { articleIdForUrl } = require('../../utils/articleId');
+
+// Just enough of a Mongoose model for rewriteArticleIds, with a unique
+// { userId, articleId } pair
+function fakeModel(modelName, rows) {
+  const docs = rows.map((row, i) => ({ _id: i + 1, ...row }));
+  const byId = id => docs.find(doc => doc._id === id);
+  const chain = value => ({ lean: () => chain(value), cursor: () => value, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) });
+
+  return {
+    modelName,
+    docs,
+    find: filter => chain((async function* () {
+      for (const doc of docs.filter(row => !filter.articleId.$not.test(row.articleId))) yield { ...doc };
+    })()),
+    findOne: ({ userId, articleId }) => chain(docs.find(doc => doc.userId === userId && doc.articleId === articleId) || null),
+    async updateOne({ _id }, update) {
+      const doc = byId(_id);
+      const articleId = update.$set?.articleId;
+      if (articleId && docs.some(other => other !== doc && other.userId === doc.userId && other.articleId === articleId)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      Object.assign(doc, update.$set);
+      Object.entries(update.$inc || {}).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+      Object.entries(update.$min || {}).forEach(([field, value]) => { if (!(doc[field] <= value)) doc[field] = value; });
+      Object.entries(update.$max || {}).forEach(([field, value]) => { if (!(doc[field] >= value)) doc[field] = value; });
+    },
+    async deleteOne({ _id }) {
+      docs.splice(docs.indexOf(byId(_id)), 1);
+    }
+  };
+}
+
+// Two legacy raw-URL IDs for the same story
+const LEGACY_A = 'https://example.com/india/story?utm_source=twitter';
+const LEGACY_B = 'http://www.example.com/india/story/';
+const CANONICAL = articleIdForUrl('https://example.com/india/story');
+
+const day = n => new Date(Date.UTC(2026, 0, n));
+
+describe('rewriteArticleIds', () => {
+  test('merges reading history when two legacy IDs resolve to the same story', async () => {
+    const History = fakeModel('ReadingHistory', [
+      { userId: 'u1', articleId: LEGACY_A, views: 2, timeSpent: 40, createdAt: day(3), updatedAt: day(4) },
+      { userId: 'u1', articleId: LEGACY_B, views: 3, timeSpent: 90, createdAt: day(1), updatedAt: day(9) },
+      { userId: 'u2', articleId: LEGACY_B, views: 1, timeSpent: 5, createdAt: day(2), updatedAt: day(2) }
+    ]);
+
+    expect(await rewriteArticleIds(History)).toEqual({ updated: 2, merged: 1, unresolved: 0 });
+    expect(History.docs).toHaveLength(2);
+    expect(History.docs.find(doc => doc.userId === 'u1')).toMatchObject({
+      articleId: CANONICAL,
+      views: 5,
+      timeSpent: 130,
+      createdAt: day(1),
+      updatedAt: day(9)
+    });
+  });
+
+  test('keeps the earlier bookmark date and fills in missing fields', async () => {
+    const Bookmarks = fakeModel('Bookmark', [
+      { userId: 'u1', articleId: LEGACY_A, title: 'Story', snippet: '', image: '', createdAt: day(5) },
+      { userId: 'u1', articleId: LEGACY_B, title: 'Story', snippet: 'Saved first', image: 'https://example.com/a.jpg', createdAt: day(2) }
+    ]);
+
+    expect(await rewriteArticleIds(Bookmarks)).toEqual({ updated: 1, merged: 1, unresolved: 0 });
+    expect(Bookmarks.docs).toEqual([
+      expect.objectContaining({ articleId: CANONICAL, snippet: 'Saved first', image: 'https://example.com/a.jpg', createdAt: day(2) })
+    ]);
+  });
+
+  test('builds merge updates without empty operators', () => {
+    expect(historyMergeUpdate({ views: 1 })).toEqual({ $inc: { views: 1, timeSpent: 0 } });
+    expect(bookmarkMergeUpdate({ snippet: 'x' }, { snippet: 'kept' })).toEqual({});
+  });
+});
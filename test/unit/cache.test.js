@@ -0,0 +1,214 @@
+// test/unit/cache.test.js - Stale-while-revalidate, coalescing and the Redis backend
+const net = require('net');
+const { createCache, createTieredBackend, createMemoryBackend } = require('../../utils/cache');
+const { encodeCommand, parseReply, createRedisClient, createRedisBackend } = require('../../utils/cache/backends/redis');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createCache', () => {
+  test('serves fresh entries without loading', async () => {
+    const cache = createCache({ name: 'fresh', backend: createMemoryBackend(), ttl: 60 });
+    const loader = jest.fn().mockResolvedValue(['a']);
+
+    expect(await cache.wrap('k', loader)).toEqual({ value: ['a'], cached: false, stale: false });
+    expect(await cache.wrap('k', loader)).toEqual({ value: ['a'], cached: true, stale: false });
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, loads: 1, hitRate: 0.5 });
+  });
+
+  test('coalesces concurrent misses into one load', async () => {
+    const cache = createCache({ name: 'coalesce', backend: createMemoryBackend(), ttl: 60 });
+    let finish;
+    const loader = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+    const pending = [cache.wrap('k', loader), cache.wrap('k', loader), cache.wrap('k', loader)];
+    await tick();
+    finish('value');
+
+    const results = await Promise.all(pending);
+    expect(results.map(result => result.value)).toEqual(['value', 'value', 'value']);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toMatchObject({ misses: 3, loads: 1, coalesced: 2, inflight: 0 });
+  });
+
+  test('serves stale entries while one load refreshes them', async () => {
+    const cache = createCache({ name: 'stale', backend: createMemoryBackend(), ttl: 0, staleTtl: 60 });
+    await cache.set('k', 'old');
+
+    let finish;
+    const loader = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+    expect(await cache.wrap('k', loader)).toEqual({ value: 'old', cached: true, stale: true });
+    expect(await cache.wrap('k', loader)).toEqual({ value: 'old', cached: true, stale: true });
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    finish('new');
+    await tick();
+    expect(await cache.get('k')).toBe('new');
+    expect(cache.stats()).toMatchObject({ staleHits: 2, loads: 1, coalesced: 1 });
+  });
+
+  test('skips the write when the value is not cacheable', async () => {
+    const cache = createCache({ name: 'uncacheable', backend: createMemoryBackend(), ttl: 60 });
+    const loader = jest.fn().mockResolvedValue({ origin: 'fallback' });
+    const options = { cacheable: value => value.origin !== 'fallback' };
+
+    await cache.wrap('k', loader, options);
+    await cache.wrap('k', loader, options);
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('treats a failing backend as a miss', async () => {
+    const broken = {
+      name: 'broken',
+      get: () => Promise.reject(new Error('down')),
+      set: () => Promise.reject(new Error('down')),
+      del: () => Promise.reject(new Error('down'))
+    };
+    const cache = createCache({ name: 'broken', backend: broken, ttl: 60 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await cache.wrap('k', () => 'value')).toEqual({ value: 'value', cached: false, stale: false });
+    expect(cache.stats().backendErrors).toBe(2);
+    console.error.mockRestore();
+  });
+
+  test('does not cache failed loads', async () => {
+    const cache = createCache({ name: 'failing', backend: createMemoryBackend(), ttl: 60 });
+
+    await expect(cache.wrap('k', () => Promise.reject(new Error('upstream')))).rejects.toThrow('upstream');
+    expect(await cache.wrap('k', () => 'value')).toMatchObject({ value: 'value', cached: false });
+    expect(cache.stats().loadErrors).toBe(1);
+  });
+});
+
+describe('createTieredBackend', () => {
+  test('prefers a newer shared copy once the local one is stale', async () => {
+    const local = createMemoryBackend();
+    const shared = { ...createMemoryBackend(), name: 'shared' };
+    const tiered = createTieredBackend(local, shared);
+    const now = Date.now();
+
+    await local.set('k', { value: 'old', storedAt: now - 2000, freshUntil: now - 1000, staleUntil: now + 60000 }, 60);
+    await shared.set('k', { value: 'new', storedAt: now, freshUntil: now + 60000, staleUntil: now + 60000 }, 60);
+
+    expect((await tiered.get('k')).value).toBe('new');
+    expect((await local.get('k')).value).toBe('new');
+  });
+
+  test('keeps serving the local copy when the shared backend fails', async () => {
+    const local = createMemoryBackend();
+    const shared = { name: 'shared', get: () => Promise.reject(new Error('down')) };
+    const tiered = createTieredBackend(local, shared);
+    const now = Date.now();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await local.set('k', { value: 'old', storedAt: now, freshUntil: now - 1, staleUntil: now + 60000 }, 60);
+    expect((await tiered.get('k')).value).toBe('old');
+    console.error.mockRestore();
+  });
+});
+
+describe('RESP2 encoding', () => {
+  test('round-trips commands and replies', () => {
+    const encoded = Buffer.from(encodeCommand(['SET', 'k', 'héllo']));
+    expect(parseReply(encoded).value).toEqual(['SET', 'k', 'héllo']);
+
+    expect(parseReply(Buffer.from('+OK\r\n')).value).toBe('OK');
+    expect(parseReply(Buffer.from(':3\r\n')).value).toBe(3);
+    expect(parseReply(Buffer.from('$-1\r\n')).value).toBeNull();
+    expect(parseReply(Buffer.from('-ERR nope\r\n')).value).toEqual(new Error('ERR nope'));
+  });
+
+  test('waits for a complete reply', () => {
+    expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    expect(parseReply(Buffer.from('*2\r\n$1\r\na\r\n'))).toBeNull();
+  });
+});
+
+// A tiny in-memory Redis that understands AUTH, GET, SET and DEL, and
+// never answers GET for the key "slow"
+describe('createRedisBackend', () => {
+  let server;
+  let backend;
+  const store = new Map();
+  const commands = [];
+
+  beforeAll(done => {
+    server = net.createServer(socket => {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let request;
+        while ((request = parseReply(buffer))) {
+          buffer = buffer.subarray(request.offset);
+          const [name, key, value] = request.value;
+          commands.push(request.value);
+
+          if (name === 'AUTH') socket.write('+OK\r\n');
+          else if (name === 'SET') { store.set(key, value); socket.write('+OK\r\n'); }
+          else if (name === 'GET' && key === 'slow') continue;
+          else if (name === 'GET') {
+            const found = store.get(key);
+            socket.write(found === undefined ? '$-1\r\n' : `$${Buffer.byteLength(found)}\r\n${found}\r\n`);
+          } else if (name === 'DEL') socket.write(`:${store.delete(key) ? 1 : 0}\r\n`);
+          else socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      backend = createRedisBackend({ url: `redis://:secret@127.0.0.1:${server.address().port}`, timeoutMs: 1000 });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    backend.client.close();
+    server.close(done);
+  });
+
+  test('stores entries with an expiry and reads them back', async () => {
+    const entry = { value: ['a'], storedAt: 1, freshUntil: 2, staleUntil: 3 };
+
+    await backend.set('news:k', entry, 90.5);
+    expect(await backend.get('news:k')).toEqual(entry);
+    expect(commands[0]).toEqual(['AUTH', 'secret']);
+    expect(commands[1]).toEqual(['SET', 'news:k', JSON.stringify(entry), 'EX', '91']);
+
+    await backend.del('news:k');
+    expect(await backend.get('news:k')).toBeNull();
+  });
+
+  test('rejects error replies', async () => {
+    await expect(backend.client.command('FLUSHALL')).rejects.toThrow(/unknown command/);
+  });
+
+  test('fails commands when the handshake never completes', async () => {
+    // Accepts the connection but never speaks TLS
+    const sockets = [];
+    const silent = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => silent.listen(0, resolve));
+    const client = createRedisClient(`rediss://localhost:${silent.address().port}`, { timeoutMs: 100 });
+
+    const started = Date.now();
+    await expect(client.command('GET', 'k')).rejects.toThrow(/timed out/);
+    expect(Date.now() - started).toBeLessThan(1000);
+
+    client.close();
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => silent.close(resolve));
+  });
+
+  test('reconnects after a timed-out command', async () => {
+    const client = createRedisClient(`redis://:secret@127.0.0.1:${server.address().port}`, { timeoutMs: 100 });
+
+    await expect(client.command('GET', 'slow')).rejects.toThrow(/timed out/);
+    for (let i = 0; i < 4; i++) {
+      await client.command('SET', `k${i}`, 'v');
+      // Let the dropped socket's close event fire between commands
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(await client.command('GET', `k${i}`)).toBe('v');
+    }
+    client.close();
+  });
+});
@@ -0,0 +1,74 @@
+// test/unit/categories.test.js - Category registry and per-provider queries
+const {
+  listCategories,
+  getCategory,
+  isActiveCategory,
+  buildCategoryTree
+} = require('../../utils/categories');
+const { categorySource } = require('../../utils/newsSources');
+
+const category = (slug, extra = {}) => ({
+  slug,
+  name: slug,
+  icon: '',
+  sortOrder: 0,
+  enabled: true,
+  parent: null,
+  ...extra
+});
+
+describe('category registry', () => {
+  test('serves the built-in categories until Mongo is loaded', () => {
+    expect(listCategories().length).toBeGreaterThan(10);
+    expect(getCategory('technology')).toMatchObject({ slug: 'technology', name: 'Technology', enabled: true });
+    expect(getCategory('global-politics').name).toBe('Global Politics');
+  });
+
+  test('only enabled categories are active', () => {
+    expect(isActiveCategory('sports')).toBe(true);
+    expect(isActiveCategory('elections')).toBe(false);
+    expect(isActiveCategory('local')).toBe(false);
+  });
+
+  test('groups children under their parents in sort order', () => {
+    const tree = buildCategoryTree([
+      category('business', { sortOrder: 20 }),
+      category('startups', { parent: 'business', sortOrder: 2 }),
+      category('markets', { parent: 'business', sortOrder: 1 }),
+      category('india', { sortOrder: 10 }),
+      category('elections', { parent: 'india', enabled: false })
+    ]);
+
+    expect(tree.map(node => node.slug)).toEqual(['india', 'business']);
+    expect(tree[0].children).toEqual([]);
+    expect(tree[1].children.map(node => node.slug)).toEqual(['markets', 'startups']);
+  });
+
+  test('hides the children of a disabled parent', () => {
+    const tree = buildCategoryTree([
+      category('business', { enabled: false }),
+      category('startups', { parent: 'business' })
+    ]);
+    expect(tree).toEqual([]);
+  });
+});
+
+describe('categorySource', () => {
+  const config = {
+    query: 'election results polls',
+    providerQueries: { guardian: 'india elections' },
+    feeds: []
+  };
+
+  test('carries per-provider queries for English', () => {
+    expect(categorySource('elections', 'en', config)).toEqual({
+      query: 'election results polls',
+      providerQueries: { guardian: 'india elections' },
+      feeds: []
+    });
+  });
+
+  test('drops English provider queries for other languages', () => {
+    expect(categorySource('elections', 'hi', config).providerQueries).toEqual({});
+  });
+});
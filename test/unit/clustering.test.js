@@ -0,0 +1,49 @@
+// test/unit/clustering.test.js - Near-duplicate story clustering
+const { normalizeTitle, clusterArticles, collapseClusters } = require('../../utils/clustering');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const article = (id, title, source, hours, extra = {}) => ({
+  id,
+  title,
+  source,
+  url: `https://${source.toLowerCase().replace(/\s+/g, '')}.example/${id}`,
+  snippet: '',
+  image: '',
+  publishedAt: hoursAgo(hours),
+  ...extra
+});
+
+describe('clustering', () => {
+  test('normalizeTitle drops the outlet suffix, punctuation and stop words', () => {
+    expect(normalizeTitle('RBI keeps repo rate unchanged at 6.5% - The Hindu'))
+      .toEqual(['rbi', 'keeps', 'repo', 'rate', 'unchanged', '6', '5']);
+  });
+
+  test('groups the same wire story from several outlets', () => {
+    const articles = [
+      article('a', 'RBI keeps repo rate unchanged at 6.5% - The Hindu', 'The Hindu', 1),
+      article('b', 'India beat Australia by six wickets in Perth Test', 'ESPN', 1),
+      article('c', 'RBI keeps repo rate unchanged at 6.5 per cent', 'NDTV', 2, { snippet: 'The MPC voted 5-1.' }),
+      article('d', 'RBI keeps repo rate unchanged | Mint', 'Mint', 3)
+    ];
+
+    const stories = collapseClusters(clusterArticles(articles));
+
+    expect(stories).toHaveLength(2);
+    const [rbi, cricket] = stories;
+    expect(rbi.id).toBe('c');
+    expect(rbi.clusterId).toBe('c_d');
+    expect(rbi.alsoCoveredBy.map(other => other.source).sort()).toEqual(['Mint', 'The Hindu']);
+    expect(cricket.alsoCoveredBy).toEqual([]);
+  });
+
+  test('keeps similar headlines apart when published far apart', () => {
+    const articles = [
+      article('a', 'Heavy rain lashes Mumbai, local trains delayed', 'Mid Day', 1),
+      article('b', 'Heavy rain lashes Mumbai, local trains delayed', 'Mid Day', 24 * 7)
+    ];
+
+    expect(clusterArticles(articles)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,83 @@
+// test/unit/entities.test.js - Dictionary and heuristic entity tagging
+const {
+  extractEntities,
+  validateEntityOutput,
+  getKnownEntity,
+  searchKnownEntities
+} = require('../../utils/entities');
+
+const slugs = article => extractEntities(article).map(entity => entity.slug);
+
+describe('extractEntities', () => {
+  test('maps aliases to one dictionary entry', () => {
+    const entities = extractEntities({
+      title: 'RBI keeps rates on hold',
+      snippet: 'The Reserve Bank of India left the Repo Rate unchanged, officials said in Mumbai.'
+    });
+
+    expect(entities[0]).toEqual({ slug: 'reserve-bank-of-india', name: 'Reserve Bank of India', type: 'organization' });
+    expect(entities.map(entity => entity.slug)).toEqual(['reserve-bank-of-india', 'repo-rate', 'mumbai']);
+  });
+
+  test('tags people, places and place-qualified topics', () => {
+    expect(slugs({ title: "Kohli's century seals series in Bengaluru", snippet: '' }))
+      .toEqual(['virat-kohli', 'bengaluru']);
+    expect(slugs({ title: 'Bengaluru metro Yellow Line opens', snippet: 'Trains on the Yellow Line run every 15 minutes.' }))
+      .toEqual(['yellow-line', 'bengaluru', 'bengaluru-metro']);
+  });
+
+  test('recognises organizations by their suffix', () => {
+    const entities = extractEntities({ title: 'Tata Motors Ltd shares jump', snippet: '' });
+    expect(entities).toEqual([{ slug: 'tata-motors-ltd', name: 'Tata Motors Ltd', type: 'organization' }]);
+  });
+
+  test('needs capitals, and all caps for acronyms', () => {
+    expect(slugs({ title: 'Who will win the derby?', snippet: 'the monsoon is late in kerala' })).toEqual([]);
+    expect(slugs({ title: 'WHO warns of dengue surge', snippet: '' })).toEqual(['world-health-organization']);
+  });
+
+  test('ignores title-case words the snippet does not capitalize', () => {
+    expect(slugs({
+      title: 'Technology Sector Shows Strong Growth',
+      snippet: 'Tech companies report record revenues as the technology sector grows.'
+    })).toEqual([]);
+  });
+});
+
+describe('dictionary lookups', () => {
+  test('autocompletes on any word of a name or alias', () => {
+    expect(searchKnownEntities('rbi').map(entity => entity.slug)).toEqual(['reserve-bank-of-india']);
+    expect(searchKnownEntities('kohli').map(entity => entity.slug)).toContain('virat-kohli');
+    expect(searchKnownEntities('')).toEqual([]);
+  });
+
+  test('finds entries by slug', () => {
+    expect(getKnownEntity('isro')).toMatchObject({ name: 'ISRO', type: 'organization' });
+    expect(getKnownEntity('bengaluru')).toMatchObject({ type: 'place' });
+    expect(getKnownEntity('nobody')).toBeNull();
+  });
+});
+
+describe('validateEntityOutput', () => {
+  test('maps known names back to the dictionary and defaults unknown types', () => {
+    const reply = JSON.stringify({
+      entities: [
+        { name: 'Reserve Bank of India', type: 'organization' },
+        { name: 'Sanjay Malhotra', type: 'person' },
+        { name: 'Inflation targeting', type: 'concept' },
+        { name: '' }
+      ]
+    });
+
+    expect(validateEntityOutput(reply)).toEqual([
+      { slug: 'reserve-bank-of-india', name: 'Reserve Bank of India', type: 'organization' },
+      { slug: 'sanjay-malhotra', name: 'Sanjay Malhotra', type: 'person' },
+      { slug: 'inflation-targeting', name: 'Inflation targeting', type: 'topic' }
+    ]);
+  });
+
+  test('rejects replies without an entity list', () => {
+    expect(validateEntityOutput('no json here')).toBeNull();
+    expect(validateEntityOutput('{"names": []}')).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+// test/unit/extractArticle.test.js - Page text extraction and fetch guards
+const { extractArticle } = require('../../utils/extractArticle');
+const { isBlockedAddress, assertAllowedUrl } = require('../../utils/safeFetch');
+
+const PARAGRAPH = 'Officials said on Monday that the new metro line, which runs across the city, would open next month after final safety checks.';
+
+function page(body, head = '') {
+  return `<html><head><title>Story | Example News</title>${head}</head><body>${body}</body></html>`;
+}
+
+describe('extractArticle', () => {
+  test('keeps the article body and drops navigation, sidebars and scripts', () => {
+    const result = extractArticle(page(`
+      <nav><a href="/">Home</a> <a href="/india">India</a> and a long list of other sections</nav>
+      <div class="sidebar"><p>Trending now: a long unrelated headline about something else entirely.</p></div>
+      <article class="story-body">
+        <p>${PARAGRAPH}</p>
+        <p>${PARAGRAPH}</p>
+      </article>
+      <script>window.tracker = 'loaded';</script>
+    `));
+
+    expect(result.title).toBe('Story | Example News');
+    expect(result.text).toBe(`${PARAGRAPH}\n\n${PARAGRAPH}`);
+    expect(result.text).not.toMatch(/Trending now|tracker/);
+    expect(result.wordCount).toBeGreaterThan(30);
+  });
+
+  test('reads Open Graph metadata and the canonical link', () => {
+    const result = extractArticle(page(`<article><p>${PARAGRAPH}</p></article>`, `
+      <meta property="og:title" content="Metro line opens next month">
+      <meta property="og:site_name" content="Example News">
+      <meta property="og:image" content="https://example.com/metro.jpg">
+      <link rel="canonical" href="https://example.com/india/metro-line">
+    `));
+
+    expect(result.title).toBe('Metro line opens next month');
+    expect(result.siteName).toBe('Example News');
+    expect(result.image).toBe('https://example.com/metro.jpg');
+    expect(result.canonicalUrl).toBe('https://example.com/india/metro-line');
+  });
+
+  test('prefers a longer JSON-LD articleBody', () => {
+    const body = `${PARAGRAPH} ${PARAGRAPH} ${PARAGRAPH}`;
+    const result = extractArticle(page(`
+      <script type="application/ld+json">${JSON.stringify({ '@type': 'NewsArticle', articleBody: body })}</script>
+      <div class="paywall"><p>${PARAGRAPH}</p></div>
+    `));
+
+    expect(result.text).toBe(body);
+  });
+
+  test('returns empty text for pages without an article', () => {
+    expect(extractArticle('<html><body><p>Short.</p></body></html>').text).toBe('');
+  });
+});
+
+describe('safeFetch guards', () => {
+  test('blocks loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.0.0.1']
+      .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+
+    expect(isBlockedAddress('93.184.216.34')).toBe(false);
+    expect(isBlockedAddress('2606:4700::6810:85e5')).toBe(false);
+  });
+
+  test('decodes IPv4 addresses carried in IPv6 hex forms', () => {
+    ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '::ffff:0:a00:1', '0:0:0:0:0:ffff:c0a8:101']
+      .forEach(address => expect(isBlockedAddress(address)).toBe(true));
+
+    expect(isBlockedAddress('::ffff:5db8:d822')).toBe(false);
+  });
+
+  test('rejects unsafe URLs before any request is made', () => {
+    expect(() => assertAllowedUrl('ftp://example.com/a')).toThrow(expect.objectContaining({ code: 'BLOCKED_PROTOCOL' }));
+    expect(() => assertAllowedUrl('http://example.com:8080/a')).toThrow(expect.objectContaining({ code: 'BLOCKED_PORT' }));
+    expect(() => assertAllowedUrl('http://localhost/a')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => assertAllowedUrl('http://[::1]/a')).toThrow(expect.objectContaining({ code: 'BLOCKED_HOST' }));
+    ['http://[::ffff:127.0.0.1]/a', 'http://[::ffff:a9fe:a9fe]/a', 'http://[::7f00:1]/a']
+      .forEach(url => expect(() => assertAllowedUrl(url)).toThrow(expect.objectContaining({ code: 'BLOCKED_HOST' })));
+    expect(assertAllowedUrl('https://example.com/a').hostname).toBe('example.com');
+  });
+});
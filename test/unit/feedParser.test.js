@@ -0,0 +1,91 @@
+// test/unit/feedParser.test.js - RSS/Atom parsing
+const { parseFeedXml } = require('../../utils/feedParser');
+const rss = require('../../utils/providers/rss');
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>City Desk</title>
+    <item>
+      <title><![CDATA[Metro line opens in Pune]]></title>
+      <link>https://example.com/pune/metro</link>
+      <description><![CDATA[<p>The new <b>metro</b> line opens &amp; runs daily.</p><img src="https://example.com/inline.jpg">]]></description>
+      <enclosure url="https://example.com/metro.jpg" type="image/jpeg" length="1000" />
+      <pubDate>Mon, 01 Jan 2024 10:00:00 +0530</pubDate>
+    </item>
+    <item>
+      <title>Rain alert issued</title>
+      <guid isPermaLink="true">https://example.com/pune/rain</guid>
+      <description>Heavy rain expected.</description>
+      <media:content url="https://example.com/rain.webp" medium="image" />
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>Regional Wire</title>
+  <entry>
+    <id>tag:example.com,2024:1</id>
+    <title type="html">Budget &lt;em&gt;session&lt;/em&gt; begins</title>
+    <link rel="self" href="https://example.com/api/1" />
+    <link rel="alternate" type="text/html" href="https://example.com/budget" />
+    <summary>Lawmakers meet today.</summary>
+    <media:thumbnail url="https://example.com/budget.png" />
+    <published>2024-02-01T09:00:00Z</published>
+    <updated>2024-02-01T12:00:00Z</updated>
+  </entry>
+</feed>`;
+
+describe('feedParser', () => {
+  test('parses RSS 2.0 items with enclosures, media and HTML descriptions', () => {
+    const feed = parseFeedXml(RSS_FEED);
+
+    expect(feed.type).toBe('rss');
+    expect(feed.title).toBe('City Desk');
+    expect(feed.items).toHaveLength(2);
+
+    const [metro, rain] = feed.items;
+    expect(metro.title).toBe('Metro line opens in Pune');
+    expect(metro.link).toBe('https://example.com/pune/metro');
+    expect(metro.description).toBe('The new metro line opens & runs daily.');
+    expect(metro.image).toBe('https://example.com/metro.jpg');
+    expect(metro.pubDate).toBe('2024-01-01T04:30:00.000Z');
+
+    expect(rain.link).toBe('https://example.com/pune/rain');
+    expect(rain.image).toBe('https://example.com/rain.webp');
+    expect(rain.pubDate).toBeNull();
+  });
+
+  test('parses Atom entries using the alternate link and published date', () => {
+    const feed = parseFeedXml(ATOM_FEED);
+
+    expect(feed.type).toBe('atom');
+    expect(feed.items[0]).toEqual({
+      id: 'tag:example.com,2024:1',
+      title: 'Budget session begins',
+      link: 'https://example.com/budget',
+      description: 'Lawmakers meet today.',
+      image: 'https://example.com/budget.png',
+      pubDate: '2024-02-01T09:00:00.000Z'
+    });
+  });
+
+  test('returns null for documents that are not feeds', () => {
+    expect(parseFeedXml('<html><body>Not a feed</body></html>')).toBeNull();
+    expect(parseFeedXml('')).toBeNull();
+  });
+
+  test('RSS provider maps items into the normalized article shape', () => {
+    const [article] = rss.parse(RSS_FEED).map(item => rss.normalize(item, { category: 'local' }));
+
+    expect(article).toMatchObject({
+      title: 'Metro line opens in Pune',
+      url: 'https://example.com/pune/metro',
+      image: 'https://example.com/metro.jpg',
+      source: 'City Desk',
+      provider: 'rss',
+      category: 'local'
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// test/unit/feedRenderer.test.js - Category feeds in RSS, Atom and JSON Feed
+const { renderFeed } = require('../../utils/feedRenderer');
+const { parseFeedXml } = require('../../utils/feedParser');
+
+const FEED = {
+  title: 'Newszoid - Technology',
+  description: 'Latest Technology news from Newszoid',
+  homeUrl: 'https://www.newszoid.com/technology',
+  feedUrl: 'https://api.newszoid.com/api/news/feed/technology.rss',
+  language: 'en',
+  articles: [
+    {
+      id: 'a1b2c3d4e5f60718',
+      title: 'Chipmaker opens plant in Gujarat & hires 2,000',
+      url: 'https://example.com/tech/chip-plant',
+      snippet: 'The plant will make <b>display</b> chips.',
+      image: 'https://example.com/chip.png',
+      publishedAt: '2026-03-10T09:00:00.000Z',
+      source: 'Example Times',
+      aiSummary: 'A new chip plant opens in Gujarat.'
+    },
+    {
+      id: 'b1b2c3d4e5f60718',
+      title: 'Older story',
+      url: 'https://example.com/tech/older',
+      snippet: '',
+      image: '',
+      publishedAt: '2026-03-09T09:00:00.000Z',
+      source: 'Example Times'
+    },
+    {
+      id: 'fallback_tech_1',
+      title: 'Placeholder',
+      url: '#',
+      publishedAt: '2026-03-11T09:00:00.000Z'
+    }
+  ]
+};
+
+describe('renderFeed', () => {
+  test('RSS 2.0 round-trips through the feed parser', () => {
+    const { body, contentType, lastModified } = renderFeed('rss', FEED);
+    const parsed = parseFeedXml(body);
+
+    expect(contentType).toMatch(/^application\/rss\+xml/);
+    expect(lastModified.toISOString()).toBe('2026-03-10T09:00:00.000Z');
+    expect(parsed.type).toBe('rss');
+    expect(parsed.items).toHaveLength(2);
+    expect(parsed.items[0]).toMatchObject({
+      title: 'Chipmaker opens plant in Gujarat & hires 2,000',
+      link: 'https://example.com/tech/chip-plant',
+      image: 'https://example.com/chip.png',
+      pubDate: '2026-03-10T09:00:00.000Z'
+    });
+    expect(body).toContain('<enclosure url="https://example.com/chip.png" type="image/png" length="0"/>');
+    expect(body).toContain('<source url="https://example.com">Example Times</source>');
+    expect(body).toContain('A new chip plant opens in Gujarat.');
+  });
+
+  test('Atom 1.0 round-trips through the feed parser', () => {
+    const { body, contentType } = renderFeed('atom', FEED);
+    const parsed = parseFeedXml(body);
+
+    expect(contentType).toMatch(/^application\/atom\+xml/);
+    expect(parsed.type).toBe('atom');
+    expect(parsed.items.map(item => item.link)).toEqual([
+      'https://example.com/tech/chip-plant',
+      'https://example.com/tech/older'
+    ]);
+    expect(body).toContain('<updated>2026-03-10T09:00:00Z</updated>');
+  });
+
+  test('JSON Feed 1.1 carries the AI summary and source', () => {
+    const { body, contentType } = renderFeed('json', FEED);
+    const parsed = JSON.parse(body);
+
+    expect(contentType).toMatch(/^application\/feed\+json/);
+    expect(parsed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(parsed.items).toHaveLength(2);
+    expect(parsed.items[0]).toMatchObject({
+      id: 'a1b2c3d4e5f60718',
+      content_text: 'A new chip plant opens in Gujarat.',
+      image: 'https://example.com/chip.png',
+      authors: [{ name: 'Example Times' }],
+      date_published: '2026-03-10T09:00:00Z'
+    });
+    expect(parsed.items[1].content_text).toBe('Older story');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => renderFeed('xml', FEED)).toThrow('Unknown feed format');
+  });
+});
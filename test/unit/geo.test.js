@@ -0,0 +1,56 @@
+// test/unit/geo.test.js - Place lookup for local news
+const { resolveLocation, nearestPlace, CITIES, STATES } = require('../../utils/geo');
+
+describe('resolveLocation', () => {
+  test('matches names and aliases exactly', () => {
+    expect(resolveLocation('Bangalore')).toMatchObject({ type: 'city', key: 'bangalore', name: 'Bengaluru' });
+    expect(resolveLocation('bengaluru')).toMatchObject({ key: 'bangalore' });
+    expect(resolveLocation('Gurgaon')).toMatchObject({ key: 'gurugram', state: { code: 'HR' } });
+    expect(resolveLocation('New Delhi')).toMatchObject({ key: 'delhi' });
+  });
+
+  test('does not collapse neighbouring cities into a metro', () => {
+    expect(resolveLocation('Navi Mumbai')).toMatchObject({ key: 'navi-mumbai', state: { code: 'MH' } });
+    expect(resolveLocation('Noida')).toMatchObject({ key: 'noida', state: { code: 'UP' } });
+    expect(resolveLocation('Greater Noida')).toMatchObject({ key: 'greater-noida' });
+  });
+
+  test('finds a known place inside longer text', () => {
+    expect(resolveLocation('Sector 62, Noida, India')).toMatchObject({ key: 'noida' });
+    expect(resolveLocation('Ernakulam district')).toMatchObject({ key: 'kochi', matchedBy: 'district' });
+  });
+
+  test('falls back to the state for small towns', () => {
+    expect(resolveLocation('Kasauli, Himachal Pradesh')).toMatchObject({
+      type: 'state',
+      key: 'state-hp',
+      name: 'Himachal Pradesh',
+      town: 'Kasauli'
+    });
+    expect(resolveLocation('Orissa')).toMatchObject({ key: 'state-or', town: null });
+  });
+
+  test('returns null for unknown places', () => {
+    expect(resolveLocation('Atlantis')).toBeNull();
+    expect(resolveLocation('')).toBeNull();
+  });
+});
+
+describe('nearestPlace', () => {
+  test('picks the nearest city', () => {
+    const place = nearestPlace(28.57, 77.32);
+    expect(place).toMatchObject({ type: 'city', key: 'noida', matchedBy: 'coordinates' });
+    expect(place.distanceKm).toBeLessThan(10);
+  });
+
+  test('falls back to the state when no city is close', () => {
+    // Rural Rajasthan, well away from the listed cities
+    expect(nearestPlace(27.9, 71.0)).toMatchObject({ type: 'state', state: { code: 'RJ' } });
+  });
+});
+
+test('every city belongs to a listed state', () => {
+  const codes = new Set(STATES.map(state => state.code));
+  expect(CITIES.filter(city => !codes.has(city.state))).toEqual([]);
+  expect(new Set(CITIES.map(city => city.key)).size).toBe(CITIES.length);
+});
@@ -0,0 +1,146 @@
+// test/unit/llmClient.test.js - LLM client against a local OpenAI-compatible server
+const http = require('http');
+const { createLlmClient } = require('../../utils/llm');
+const { createOpenAiBackend } = require('../../utils/llm/backends/openai');
+const { renderPrompt } = require('../../utils/llm/prompts');
+
+// Replies are queued per test: { status, body, delay }
+let replies = [];
+let requests = [];
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const reply = replies.shift() || { status: 200, text: 'ok' };
+
+      setTimeout(() => {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.status === 200
+          ? { choices: [{ message: { content: reply.text } }], usage: { prompt_tokens: 12, completion_tokens: 3 } }
+          : { error: { message: `status ${reply.status}` } }));
+      }, reply.delay || 0);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+});
+
+function client(options = {}) {
+  return createLlmClient({
+    backend: createOpenAiBackend({ baseUrl, model: 'test-model' }),
+    retryDelayMs: 1,
+    ...options
+  });
+}
+
+describe('LLM client', () => {
+  test('renders the prompt template and reports usage', async () => {
+    const usage = [];
+    replies = [{ status: 200, text: 'Two lines.' }];
+
+    const result = await client({ onUsage: entry => usage.push(entry) })
+      .generate('summary.brief', { text: 'Markets rallied.' });
+
+    expect(result).toMatchObject({
+      text: 'Two lines.',
+      prompt: 'summary.brief',
+      promptVersion: renderPrompt('summary.brief').version,
+      backend: 'openai',
+      model: 'test-model',
+      promptTokens: 12,
+      completionTokens: 3
+    });
+    expect(requests[0].messages[0].content).toContain('Markets rallied.');
+    expect(usage).toEqual([expect.objectContaining({ prompt: `summary.brief@${result.promptVersion}`, failed: false })]);
+  });
+
+  test('retries server errors and rate limits, then succeeds', async () => {
+    replies = [{ status: 503 }, { status: 429 }, { status: 200, text: 'done' }];
+    const llm = client({ maxRetries: 2 });
+
+    await expect(llm.generate('summary.brief', { text: 'x' })).resolves.toMatchObject({ text: 'done' });
+    expect(requests).toHaveLength(3);
+    expect(llm.getUsage()).toMatchObject({ requests: 3, failures: 2 });
+  });
+
+  test('does not retry client errors', async () => {
+    replies = [{ status: 400 }];
+
+    await expect(client().generate('summary.brief', { text: 'x' }))
+      .rejects.toMatchObject({ code: 'UPSTREAM_ERROR', status: 400 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('times out slow calls', async () => {
+    replies = [{ status: 200, text: 'late', delay: 200 }];
+
+    await expect(client({ timeoutMs: 50, maxRetries: 0 }).generate('summary.brief', { text: 'x' }))
+      .rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('caps concurrent calls', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const backend = {
+      name: 'fake',
+      model: 'fake',
+      async generate() {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return { text: 'ok' };
+      }
+    };
+    const llm = createLlmClient({ backend, maxConcurrency: 2 });
+
+    await Promise.all(Array.from({ length: 6 }, () => llm.generate('summary.brief', { text: 'x' })));
+    expect(peak).toBe(2);
+  });
+
+  test('keeps the slot until a timed-out call settles, and aborts it', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const signals = [];
+    const backend = {
+      name: 'fake',
+      model: 'fake',
+      // Ignores the abort, like a backend whose SDK cannot cancel
+      async generate(prompt, { signal }) {
+        signals.push(signal);
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        inFlight--;
+        return { text: 'late' };
+      }
+    };
+    const llm = createLlmClient({ backend, timeoutMs: 20, maxRetries: 0, maxConcurrency: 1 });
+
+    const results = await Promise.allSettled(Array.from({ length: 3 }, () => llm.generate('summary.brief', { text: 'x' })));
+    expect(results.every(result => result.status === 'rejected' && result.reason.code === 'TIMEOUT')).toBe(true);
+    expect(peak).toBe(1);
+    expect(signals.every(signal => signal.aborted)).toBe(true);
+  });
+
+  test('refuses calls once the daily token budget is spent', async () => {
+    const llm = client({ dailyTokenBudget: 10 });
+
+    await llm.generate('summary.brief', { text: 'x' });
+    await expect(llm.generate('summary.brief', { text: 'x' })).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+  });
+});
@@ -0,0 +1,133 @@
+// test/unit/newsEvents.test.js - Event hub, breaking detection and the SSE endpoint
+const http = require('http');
+const express = require('express');
+const { publishEvent, eventsAfter, matchesCategories, formatEvent } = require('../../utils/newsEvents');
+const { findBreakingStories, takeNewBreaking } = require('../../utils/breakingNews');
+const streamController = require('../../controllers/streamController');
+
+describe('event hub', () => {
+  test('replays events after a known ID', () => {
+    const first = publishEvent('article', { article: { id: 'a' } }, { categories: ['sports'] });
+    const second = publishEvent('summary', { articleId: 'a', summary: 'Done.' });
+
+    expect(eventsAfter(first.id)).toEqual([second]);
+    expect(eventsAfter(second.id)).toEqual([]);
+  });
+
+  test('cannot resume IDs from another instance', () => {
+    expect(eventsAfter('zzz-1')).toBeNull();
+    expect(eventsAfter('garbage')).toBeNull();
+  });
+
+  test('filters by category, broadcasting uncategorized events', () => {
+    const sports = { categories: ['sports'] };
+    const everyone = { categories: [] };
+
+    expect(matchesCategories(sports, ['sports', 'business'])).toBe(true);
+    expect(matchesCategories(sports, ['business'])).toBe(false);
+    expect(matchesCategories(sports, [])).toBe(true);
+    expect(matchesCategories(everyone, ['business'])).toBe(true);
+  });
+
+  test('formats SSE messages', () => {
+    expect(formatEvent({ id: 'x-1', type: 'summary', data: { text: 'a\nb' } }))
+      .toBe('id: x-1\nevent: summary\ndata: {"text":"a\\nb"}\n\n');
+  });
+});
+
+describe('breaking news', () => {
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  const story = (id, source, minutesAgo) => ({
+    id,
+    title: 'Earthquake of magnitude 6.1 strikes off the coast of Andaman islands',
+    source,
+    url: `https://${source}.example.com/${id}`,
+    publishedAt: new Date(now - minutesAgo * 60 * 1000).toISOString()
+  });
+
+  test('flags a story three outlets reported within the window', () => {
+    const articles = [story('a', 'one', 5), story('b', 'two', 10), story('c', 'three', 20)];
+    const [breaking] = findBreakingStories(articles, { now, minSources: 3, windowMinutes: 60 });
+
+    expect(breaking.sources).toHaveLength(3);
+    expect(breaking.clusterId).toBe('c_c');
+  });
+
+  test('ignores single-outlet and old coverage', () => {
+    const sameOutlet = [story('a', 'one', 5), story('b', 'one', 10), story('c', 'one', 20)];
+    const old = [story('a', 'one', 5), story('b', 'two', 90), story('c', 'three', 120)];
+
+    expect(findBreakingStories(sameOutlet, { now, minSources: 3, windowMinutes: 60 })).toEqual([]);
+    expect(findBreakingStories(old, { now, minSources: 3, windowMinutes: 60 })).toEqual([]);
+  });
+
+  test('announces each story once', () => {
+    const stories = [{ clusterId: 'c_once' }];
+    expect(takeNewBreaking(stories)).toHaveLength(1);
+    expect(takeNewBreaking(stories)).toHaveLength(0);
+  });
+});
+
+describe('GET stream', () => {
+  let server;
+  let base;
+
+  beforeAll(done => {
+    const app = express();
+    app.get('/stream', streamController.stream);
+    server = app.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    streamController.closeStreams();
+    server.close(done);
+  });
+
+  // Collects the stream body until `until` matches, then disconnects
+  function readStream(path, headers, until) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(`${base}${path}`, { headers }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (until.test(body)) {
+            req.destroy();
+            resolve({ res, body });
+          }
+        });
+      });
+      req.on('error', reject);
+    });
+  }
+
+  test('pushes matching events to connected clients', async () => {
+    const reading = readStream('/stream?categories=business', {}, /event: article/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    publishEvent('article', { article: { id: 'sport' } }, { categories: ['sports'] });
+    publishEvent('article', { article: { id: 'biz' } }, { categories: ['business'] });
+
+    const { res, body } = await reading;
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(body).toMatch(/^retry: 5000/);
+    expect(body).toContain('"id":"biz"');
+    expect(body).not.toContain('"id":"sport"');
+  });
+
+  test('replays missed events from Last-Event-ID', async () => {
+    const seen = publishEvent('article', { article: { id: 'seen' } });
+    publishEvent('article', { article: { id: 'missed' } });
+
+    const { body } = await readStream('/stream', { 'Last-Event-ID': seen.id }, /missed/);
+    expect(body).not.toContain('"id":"seen"');
+  });
+
+  test('asks clients to refetch when it cannot resume', async () => {
+    const { body } = await readStream('/stream', { 'Last-Event-ID': 'old-7' }, /event: reset/);
+    expect(body).toContain('event: reset');
+  });
+});
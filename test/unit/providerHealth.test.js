@@ -0,0 +1,192 @@
+// test/unit/providerHealth.test.js - Provider circuit breakers and health stats
+const http = require('http');
+const { classifyError, createProviderHealth } = require('../../utils/providers/health');
+const { registerProvider, fetchFromProviders, getProviderStatus, resetProvider } = require('../../utils/providers');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('classifyError', () => {
+  test('separates auth, quota and other failures', () => {
+    expect(classifyError(httpError(401)).kind).toBe('auth');
+    expect(classifyError(httpError(429, { 'retry-after': '30' }))).toEqual({ kind: 'quota', status: 429, retryAfterMs: 30000 });
+    expect(classifyError(httpError(503)).kind).toBe('error');
+    expect(classifyError(new Error('ECONNRESET'))).toEqual({ kind: 'error', status: null });
+  });
+});
+
+describe('createProviderHealth', () => {
+  let clock;
+  let health;
+
+  beforeEach(() => {
+    clock = 1000000;
+    health = createProviderHealth({
+      failureThreshold: 3,
+      cooldownMs: 10000,
+      quotaCooldownMs: 60000,
+      authCooldownMs: 600000,
+      now: () => clock
+    });
+  });
+
+  test('opens after consecutive failures and probes once after the cooldown', () => {
+    for (let i = 0; i < 3; i++) {
+      expect(health.canRequest('gnews')).toBe(true);
+      health.recordFailure('gnews', httpError(500), 100);
+    }
+
+    expect(health.status('gnews').state).toBe('open');
+    expect(health.canRequest('gnews')).toBe(false);
+
+    clock += 10000;
+    expect(health.canRequest('gnews')).toBe(true);
+    expect(health.status('gnews').state).toBe('half-open');
+    expect(health.canRequest('gnews')).toBe(false);
+
+    health.recordSuccess('gnews', 50);
+    expect(health.status('gnews')).toMatchObject({ state: 'closed', consecutiveFailures: 0, skipped: 2 });
+  });
+
+  test('reopens when the probe fails', () => {
+    for (let i = 0; i < 3; i++) health.recordFailure('gnews', httpError(500), 100);
+    clock += 10000;
+
+    expect(health.canRequest('gnews')).toBe(true);
+    health.recordFailure('gnews', httpError(500), 100);
+    expect(health.status('gnews').state).toBe('open');
+    expect(health.canRequest('gnews')).toBe(false);
+  });
+
+  test('releases a probe that sent no request without closing the breaker', () => {
+    for (let i = 0; i < 3; i++) health.recordFailure('gnews', httpError(500), 100);
+    clock += 10000;
+
+    expect(health.canRequest('gnews')).toBe(true);
+    health.releaseProbe('gnews');
+    expect(health.status('gnews')).toMatchObject({ state: 'half-open', requests: 3, consecutiveFailures: 3 });
+    expect(health.canRequest('gnews')).toBe(true);
+  });
+
+  test('opens at once on auth and quota errors', () => {
+    health.recordFailure('newsapi', httpError(401), 20);
+    expect(health.status('newsapi')).toMatchObject({ state: 'open', reason: 'auth' });
+
+    health.recordFailure('newsdata', httpError(429, { 'retry-after': '120' }), 20);
+    expect(health.status('newsdata')).toMatchObject({
+      state: 'open',
+      reason: 'quota',
+      openUntil: new Date(clock + 120000).toISOString()
+    });
+
+    health.reset('newsapi');
+    expect(health.canRequest('newsapi')).toBe(true);
+  });
+
+  test('reports error rate and latency over recent calls', () => {
+    health.recordSuccess('guardian', 100);
+    health.recordSuccess('guardian', 300);
+    health.recordFailure('guardian', httpError(500), 200);
+
+    expect(health.status('guardian')).toMatchObject({
+      requests: 3,
+      failures: 1,
+      errorRate: 0.333,
+      latencyMs: { avg: 200, p50: 200, p95: 300 },
+      lastError: { status: 500, kind: 'error' }
+    });
+  });
+});
+
+describe('fetchFromProviders', () => {
+  let server;
+  let hits = 0;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      hits++;
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'invalid key' }));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/search`;
+      registerProvider({
+        name: 'revoked',
+        label: 'Revoked',
+        weight: 1,
+        maxPageSize: 10,
+        isConfigured: () => true,
+        buildRequests: () => [{ url }],
+        parse: data => data.articles || [],
+        normalize: raw => raw
+      });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('skips a provider whose key was rejected until it is reset', async () => {
+    const ctx = { query: 'budget', page: 1, pageSize: 5 };
+
+    const first = await fetchFromProviders(ctx);
+    expect(first.providers).toContain('revoked');
+    expect(first.failed).toContain('revoked');
+    expect(hits).toBe(1);
+
+    const second = await fetchFromProviders(ctx);
+    expect(second.skipped).toContain('revoked');
+    expect(hits).toBe(1);
+
+    expect(getProviderStatus().find(provider => provider.name === 'revoked'))
+      .toMatchObject({ state: 'open', reason: 'auth', configured: true });
+
+    expect(resetProvider('revoked')).toBe(true);
+    expect(resetProvider('missing')).toBe(false);
+    await fetchFromProviders(ctx);
+    expect(hits).toBe(2);
+  });
+
+  test('keeps a half-open breaker waiting for a probe when the provider builds no requests', async () => {
+    registerProvider({
+      name: 'paged',
+      label: 'Paged',
+      weight: 1,
+      maxPageSize: 10,
+      isConfigured: () => true,
+      // Only one page of results
+      buildRequests: ctx => (ctx.page > 1 ? [] : [{ url: `http://127.0.0.1:${server.address().port}/search` }]),
+      parse: data => data.articles || [],
+      normalize: raw => raw
+    });
+
+    const ctx = { query: 'budget', pageSize: 5 };
+    await fetchFromProviders({ ...ctx, page: 1 });
+    const paged = () => getProviderStatus().find(provider => provider.name === 'paged');
+    expect(paged()).toMatchObject({ state: 'open', requests: 1 });
+
+    // Past the auth cooldown
+    const later = Date.now() + 7 * 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const empty = await fetchFromProviders({ ...ctx, page: 2 });
+    expect(empty.failed).not.toContain('paged');
+    expect(paged()).toMatchObject({ state: 'half-open', requests: 1, failures: 1 });
+
+    const before = hits;
+    const probe = await fetchFromProviders({ ...ctx, page: 1 });
+    expect(probe.providers).toContain('paged');
+    expect(hits).toBeGreaterThan(before);
+    expect(paged()).toMatchObject({ state: 'open', requests: 2 });
+  });
+});
@@ -0,0 +1,87 @@
+// test/unit/providers.test.js - Language and region mapping for provider queries
+const gnews = require('../../utils/providers/gnews');
+const guardian = require('../../utils/providers/guardian');
+const newsapi = require('../../utils/providers/newsapi');
+const newsdata = require('../../utils/providers/newsdata');
+const { getActiveProviders } = require('../../utils/providers');
+const { normalizeArticle } = require('../../utils/providers/normalize');
+const { categorySource, localSource } = require('../../utils/newsSources');
+const { resolveLocation } = require('../../utils/geo');
+
+const KEYS = {
+  GNEWS_API_KEY: 'g',
+  GUARDIAN_API_KEY: 'gu',
+  NEWSAPI_API_KEY: 'n',
+  NEWSDATA_API_KEY: 'nd'
+};
+
+function paramsOf(adapter, ctx) {
+  return new URL(adapter.buildRequests({ query: 'q', page: 1, pageSize: 10, ...ctx })[0].url).searchParams;
+}
+
+beforeEach(() => Object.assign(process.env, KEYS));
+afterEach(() => Object.keys(KEYS).forEach(key => delete process.env[key]));
+
+describe('provider locale parameters', () => {
+  test('maps lang and country to each provider\'s own parameters', () => {
+    const ctx = { lang: 'hi', country: 'in' };
+
+    expect(paramsOf(gnews, ctx).get('lang')).toBe('hi');
+    expect(paramsOf(gnews, ctx).get('country')).toBe('in');
+    expect(paramsOf(newsdata, ctx).get('language')).toBe('hi');
+    expect(paramsOf(newsdata, ctx).get('country')).toBe('in');
+    expect(paramsOf(newsapi, { lang: 'de' }).get('language')).toBe('de');
+    expect(paramsOf(guardian, { country: 'gb' }).get('production-office')).toBe('uk');
+    expect(paramsOf(guardian, { country: 'in' }).has('production-office')).toBe(false);
+  });
+
+  test('defaults to English without a region', () => {
+    expect(paramsOf(gnews, {}).get('lang')).toBe('en');
+    expect(paramsOf(gnews, {}).has('country')).toBe(false);
+  });
+
+  test('skips providers that cannot return the requested language', () => {
+    const names = ctx => getActiveProviders(ctx).map(adapter => adapter.name);
+
+    expect(names({ lang: 'en' })).toEqual(expect.arrayContaining(['gnews', 'guardian', 'newsapi', 'newsdata']));
+    expect(names({ lang: 'hi' })).toEqual(['gnews', 'newsdata']);
+    expect(names({ lang: 'bn' })).toEqual(['newsdata']);
+  });
+});
+
+describe('localized sources', () => {
+  test('uses per-language category keywords and drops English feeds', () => {
+    expect(categorySource('sports').query).toBe('sports cricket football');
+    expect(categorySource('sports').feeds.length).toBeGreaterThan(0);
+    expect(categorySource('sports', 'hi')).toEqual({ query: 'खेल क्रिकेट', providerQueries: {}, feeds: [] });
+    expect(categorySource('global-finance', 'ta').query).toBe('global markets finance');
+  });
+
+  test('names cities in the requested language', () => {
+    const mumbai = resolveLocation('Mumbai');
+    expect(localSource(mumbai, 'mr')).toEqual({ query: 'मुंबई बातम्या', feeds: [] });
+    expect(localSource(mumbai).query).toBe('Mumbai news');
+    expect(localSource(mumbai).feeds.length).toBeGreaterThan(0);
+  });
+
+  test('searches places without configured feeds by name', () => {
+    expect(localSource(resolveLocation('Noida'))).toEqual({ query: 'Noida news', feeds: [] });
+    expect(localSource(resolveLocation('Kasauli, Himachal Pradesh')).query).toBe('Himachal Pradesh news');
+  });
+});
+
+describe('normalizeArticle', () => {
+  test('keeps a real publication date', () => {
+    const article = normalizeArticle('rss', { url: 'https://example.com/a', publishedAt: 'Tue, 10 Mar 2026 09:30:00 GMT' });
+    expect(article.publishedAt).toBe('2026-03-10T09:30:00.000Z');
+    expect(article.dateEstimated).toBe(false);
+  });
+
+  test('flags a missing or unreadable date as estimated', () => {
+    ['', 'not a date'].forEach(publishedAt => {
+      const article = normalizeArticle('rss', { url: 'https://example.com/a', publishedAt });
+      expect(article.dateEstimated).toBe(true);
+      expect(Date.now() - Date.parse(article.publishedAt)).toBeLessThan(5000);
+    });
+  });
+});
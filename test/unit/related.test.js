@@ -0,0 +1,69 @@
+// test/unit/related.test.js - "Read next" ranking
+const { rankRelated } = require('../../utils/related');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+const article = (id, title, snippet, extra = {}) => ({
+  id,
+  title,
+  snippet,
+  url: `https://news.example/${id}`,
+  source: 'Example',
+  category: 'business',
+  publishedAt: hoursAgo(1),
+  ...extra
+});
+
+describe('related articles', () => {
+  const target = article('t', 'RBI keeps repo rate unchanged at 6.5%', 'The Reserve Bank held rates as inflation eased.');
+
+  test('ranks shared keywords and entities above the same category alone', () => {
+    const candidates = [
+      article('sensex', 'Sensex climbs 400 points as IT stocks rally', 'Infosys and TCS led gains.'),
+      article('repo', 'What the repo rate pause means for your home loan EMI', 'Borrowers get relief as the RBI holds.'),
+      article('rbi', 'RBI governor flags food inflation risks', 'The central bank will watch vegetable prices.')
+    ];
+
+    const ranked = rankRelated(target, candidates, { now: NOW });
+    expect(ranked.map(item => item.id)).toEqual(['repo', 'rbi']);
+    expect(ranked[0].relatedScore).toBeGreaterThan(ranked[1].relatedScore);
+  });
+
+  test('uses stored entity tags when an article has them', () => {
+    const tagged = article('tagged', 'Home loans may get cheaper', 'Lenders wait on the policy review.', {
+      entities: [{ slug: 'reserve-bank-of-india', name: 'Reserve Bank of India', type: 'organization' }]
+    });
+
+    expect(rankRelated(target, [tagged], { now: NOW }).map(item => item.id)).toEqual(['tagged']);
+  });
+
+  test('prefers the same category and fresher stories when relevance ties', () => {
+    const candidates = [
+      article('old', 'RBI policy review next week', '', { publishedAt: hoursAgo(96) }),
+      article('other', 'RBI policy review next week', '', { category: 'politics' }),
+      article('fresh', 'RBI policy review next week', '')
+    ];
+
+    const scores = Object.fromEntries(rankRelated(target, candidates, { now: NOW }).map(item => [item.id, item.relatedScore]));
+    expect(scores.fresh).toBeGreaterThan(scores.old);
+    expect(scores.fresh).toBeGreaterThan(scores.other);
+  });
+
+  test('leaves out the article itself and excluded IDs', () => {
+    const candidates = [
+      target,
+      article('read', 'RBI repo rate decision explained', ''),
+      article('next', 'RBI repo rate and your savings', '')
+    ];
+
+    const ranked = rankRelated(target, candidates, { exclude: new Set(['read']), now: NOW });
+    expect(ranked.map(item => item.id)).toEqual(['next']);
+  });
+
+  test('honours the limit', () => {
+    const candidates = ['a', 'b', 'c'].map(id => article(id, `RBI repo rate update ${id}`, ''));
+    expect(rankRelated(target, candidates, { limit: 2, now: NOW })).toHaveLength(2);
+    expect(rankRelated(target, [], { now: NOW })).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+// test/unit/search.test.js - Relevance scoring and highlighting
+const { queryTerms, scoreArticle, highlightText } = require('../../utils/search');
+
+describe('search helpers', () => {
+  test('queryTerms drops stop words and duplicates', () => {
+    expect(queryTerms('The RBI and the repo RATE rate')).toEqual(['rbi', 'repo', 'rate']);
+    expect(queryTerms('the')).toEqual(['the']);
+  });
+
+  test('title matches outrank snippet-only matches', () => {
+    const inTitle = { title: 'RBI holds repo rate', snippet: '' };
+    const inSnippet = { title: 'Markets today', snippet: 'RBI holds repo rate' };
+
+    expect(scoreArticle(inTitle, 'repo rate')).toBeGreaterThan(scoreArticle(inSnippet, 'repo rate'));
+    expect(scoreArticle({ title: 'Cricket', snippet: '' }, 'repo rate')).toBe(0);
+  });
+
+  test('highlightText escapes HTML and marks matched terms', () => {
+    expect(highlightText('RBI <b>holds</b> rate & amp', 'rbi amp'))
+      .toBe('<mark>RBI</mark> &lt;b&gt;holds&lt;/b&gt; rate &amp; <mark>amp</mark>');
+  });
+
+  test('highlightText trims long text around the first match', () => {
+    const text = `${'a '.repeat(200)}budget ${'b '.repeat(200)}`;
+    const highlighted = highlightText(text, 'budget', 100);
+
+    expect(highlighted.startsWith('…')).toBe(true);
+    expect(highlighted).toContain('<mark>budget</mark>');
+  });
+});
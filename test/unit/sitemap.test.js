@@ -0,0 +1,64 @@
+// test/unit/sitemap.test.js - Sitemap XML builders
+const {
+  articleUrl,
+  slugify,
+  buildNewsSitemap,
+  buildUrlSet,
+  buildSitemapIndex
+} = require('../../utils/sitemap');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const article = (id, hoursAgo, extra = {}) => ({
+  id,
+  title: `Story ${id}`,
+  category: 'india',
+  publishedAt: new Date(NOW - hoursAgo * HOUR).toISOString(),
+  ...extra
+});
+
+describe('sitemap builders', () => {
+  test('story URLs carry the category, a title slug and the article ID', () => {
+    expect(slugify('Rain lashes Mumbai: trains delayed, schools shut!')).toBe('rain-lashes-mumbai-trains-delayed-schools-shut');
+    expect(articleUrl(article('abc123', 1, { title: 'Café opens in Pune' })))
+      .toBe('https://www.newszoid.com/india/cafe-opens-in-pune-abc123');
+  });
+
+  test('news sitemap keeps only the last 48 hours, newest first', () => {
+    const xml = buildNewsSitemap([
+      article('old', 50),
+      article('recent', 2),
+      article('newest', 1),
+      article('future', -3),
+      article('undated', 1, { dateEstimated: true })
+    ], { now: NOW });
+
+    expect(xml).toContain('xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"');
+    expect(xml).not.toContain('-old<');
+    expect(xml).not.toContain('-future<');
+    expect(xml).not.toContain('-undated<');
+    expect(xml.indexOf('-newest<')).toBeLessThan(xml.indexOf('-recent<'));
+    expect(xml).toContain('<news:publication_date>2026-03-10T11:00:00Z</news:publication_date>');
+    expect(xml).toContain('<news:language>en</news:language>');
+  });
+
+  test('escapes titles and URLs', () => {
+    const xml = buildNewsSitemap([article('x1', 1, { title: 'Tata & Sons <update>' })], { now: NOW });
+    expect(xml).toContain('<news:title>Tata &amp; Sons &lt;update&gt;</news:title>');
+  });
+
+  test('regular sitemap and index list every entry', () => {
+    const urlset = buildUrlSet([
+      { loc: 'https://www.newszoid.com/', changefreq: 'hourly', priority: 1 },
+      { loc: 'https://www.newszoid.com/india/story-1', lastmod: NOW }
+    ]);
+    expect(urlset).toContain('<priority>1.0</priority>');
+    expect(urlset).toContain('<lastmod>2026-03-10T12:00:00Z</lastmod>');
+    expect(urlset.match(/<url>/g)).toHaveLength(2);
+
+    const index = buildSitemapIndex([{ loc: 'https://www.newszoid.com/news-sitemap.xml' }]);
+    expect(index).toContain('<sitemapindex');
+    expect(index).toContain('<loc>https://www.newszoid.com/news-sitemap.xml</loc>');
+  });
+});
@@ -0,0 +1,51 @@
+// test/unit/snapshotStore.test.js - Last-known-good lists without Mongo
+const { saveSnapshot, loadSnapshot, snapshotAgeSeconds } = require('../../utils/snapshotStore');
+
+const article = id => ({ id, title: `Story ${id}`, url: `https://example.com/${id}`, publishedAt: '2026-01-02T10:00:00Z' });
+
+describe('snapshot store', () => {
+  test('returns null before the first successful fetch', async () => {
+    expect(await loadSnapshot('category:science:en:any:any')).toBeNull();
+  });
+
+  test('keeps the latest list for a key', async () => {
+    await saveSnapshot('category:sports:en:any:any', [article('a')]);
+    await saveSnapshot('category:sports:en:any:any', [article('b'), article('c')]);
+
+    const snapshot = await loadSnapshot('category:sports:en:any:any');
+    expect(snapshot.articles.map(item => item.id)).toEqual(['b', 'c']);
+    expect(snapshot.fetchedAt).toBeInstanceOf(Date);
+  });
+
+  test('ignores empty fetches so an outage never replaces good data', async () => {
+    await saveSnapshot('local:pune:en:any', [article('a')]);
+    expect(await saveSnapshot('local:pune:en:any', [])).toBeNull();
+
+    expect((await loadSnapshot('local:pune:en:any')).articles).toHaveLength(1);
+  });
+
+  test('keeps refreshing snapshots once the memory copy is full', async () => {
+    process.env.SNAPSHOT_MEMORY_KEYS = '2';
+    let store;
+    jest.isolateModules(() => {
+      store = require('../../utils/snapshotStore');
+    });
+    delete process.env.SNAPSHOT_MEMORY_KEYS;
+
+    await store.saveSnapshot('a', [article('a1')]);
+    await store.saveSnapshot('b', [article('b1')]);
+    await store.saveSnapshot('a', [article('a2')]);
+    expect((await store.loadSnapshot('a')).articles[0].id).toBe('a2');
+
+    // Room for c comes from b, the key written longest ago
+    await store.saveSnapshot('c', [article('c1')]);
+    expect((await store.loadSnapshot('c')).articles[0].id).toBe('c1');
+    expect((await store.loadSnapshot('a')).articles[0].id).toBe('a2');
+    expect(await store.loadSnapshot('b')).toBeNull();
+  });
+
+  test('reports age in seconds', () => {
+    const fetchedAt = new Date('2026-01-02T10:00:00Z');
+    expect(snapshotAgeSeconds({ fetchedAt }, fetchedAt.getTime() + 90500)).toBe(91);
+  });
+});
@@ -0,0 +1,96 @@
+// test/unit/summaryQueue.test.js - Background summary jobs against a local model server
+const http = require('http');
+
+let server;
+let replyStatus = 200;
+let summaryQueue;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(replyStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(replyStatus === 200
+        ? { choices: [{ message: { content: 'Council passes budget.' } }] }
+        : { error: { message: 'bad request' } }));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    // The default LLM client reads its backend from the environment on first use
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.LLM_MAX_RETRIES = '0';
+    summaryQueue = require('../../utils/summaryQueue');
+    done();
+  });
+});
+
+afterAll(done => {
+  summaryQueue.stopSummaryQueue();
+  delete process.env.LLM_BASE_URL;
+  delete process.env.LLM_MAX_RETRIES;
+  server.close(done);
+});
+
+async function waitForStatus(articleId, status) {
+  for (let i = 0; i < 50; i++) {
+    const record = await summaryQueue.getSummary(articleId);
+    if (record?.status === status) return record;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`${articleId} never reached ${status}`);
+}
+
+const article = id => ({ id, title: 'Council passes budget', snippet: 'Transport spending rises.' });
+
+describe('summary queue', () => {
+  test('queues a job and stores the finished summary', async () => {
+    replyStatus = 200;
+
+    const queued = await summaryQueue.enqueueSummary(article('a1'));
+    expect(queued.status).toBe('pending');
+
+    const done = await waitForStatus('a1', 'done');
+    expect(done).toMatchObject({ summary: 'Council passes budget.', attempts: 1, promptVersion: expect.any(Number) });
+    expect((await summaryQueue.getSummaries(['a1', 'missing'])).get('a1')).toBe('Council passes budget.');
+
+    // Finished summaries are returned, not regenerated
+    expect(await summaryQueue.enqueueSummary(article('a1'))).toMatchObject({ status: 'done', attempts: 1 });
+  });
+
+  test('records failures without retrying them straight away', async () => {
+    replyStatus = 400;
+
+    await summaryQueue.enqueueSummary(article('b1'));
+    const failed = await waitForStatus('b1', 'failed');
+
+    expect(failed).toMatchObject({ summary: null, attempts: 1, error: 'UPSTREAM_ERROR' });
+    expect(await summaryQueue.enqueueSummary(article('b1'))).toMatchObject({ status: 'failed' });
+    expect((await summaryQueue.getSummaries(['b1'])).has('b1')).toBe(false);
+  });
+
+  test('keeps recording summaries once the memory cache is full', async () => {
+    replyStatus = 200;
+    process.env.SUMMARY_MEMORY_KEYS = '2';
+    let bounded;
+    jest.isolateModules(() => {
+      bounded = require('../../utils/summaryQueue');
+    });
+    delete process.env.SUMMARY_MEMORY_KEYS;
+
+    try {
+      for (const id of ['c1', 'c2', 'c3']) {
+        await bounded.enqueueSummary(article(id));
+        for (let i = 0; i < 50 && (await bounded.getSummary(id))?.status !== 'done'; i++) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+      }
+
+      // c3 went from pending to done in a full cache
+      expect(await bounded.getSummary('c3')).toMatchObject({ status: 'done' });
+      const found = await bounded.getSummaries(['c1', 'c2', 'c3']);
+      expect(found.get('c3')).toBe('Council passes budget.');
+    } finally {
+      bounded.stopSummaryQueue();
+    }
+  });
+});
@@ -0,0 +1,94 @@
+// test/unit/translation.test.js - Field translation against a local model server
+const http = require('http');
+
+let server;
+let replies = [];
+let calls = 0;
+let translation;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      calls++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: replies.shift() || '' } }] }));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    // The default LLM client reads its backend from the environment on first use
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    translation = require('../../utils/translation');
+    done();
+  });
+});
+
+afterAll(done => {
+  delete process.env.LLM_BASE_URL;
+  server.close(done);
+});
+
+beforeEach(() => {
+  replies = [];
+  calls = 0;
+});
+
+describe('translation', () => {
+  test('prefers the requested language, then the saved one, then English', () => {
+    const user = { meta: { language: 'ta' } };
+
+    expect(translation.resolveLanguage('hi', user)).toBe('hi');
+    expect(translation.resolveLanguage(undefined, user)).toBe('ta');
+    expect(translation.resolveLanguage(undefined, null)).toBe('en');
+    expect(translation.resolveLanguage('fr', null)).toBe('en');
+  });
+
+  test('returns English fields without calling the model', async () => {
+    const result = await translation.translateFields({ title: 'Rain in Mumbai', snippet: '' }, 'en');
+
+    expect(result.fields).toEqual({ title: 'Rain in Mumbai' });
+    expect(calls).toBe(0);
+  });
+
+  test('translates once per article and language, then serves the cached copy', async () => {
+    const fields = { title: 'Rain in Mumbai', keyPoints: ['Schools shut', 'Trains delayed'] };
+    replies = ['```json\n{"title": "मुंबई में बारिश", "keyPoints": ["स्कूल बंद", "ट्रेनें देर से"]}\n```'];
+
+    const first = await translation.translateFields(fields, 'hi', { articleId: 'abc' });
+    const second = await translation.translateFields(fields, 'hi', { articleId: 'abc' });
+
+    expect(first).toEqual({
+      lang: 'hi',
+      cached: false,
+      fields: { title: 'मुंबई में बारिश', keyPoints: ['स्कूल बंद', 'ट्रेनें देर से'] }
+    });
+    expect(second).toMatchObject({ cached: true, fields: first.fields });
+    expect(calls).toBe(1);
+  });
+
+  test('retries replies that change the structure, then gives up', async () => {
+    replies = ['{"heading": "মুম্বাইয়ে বৃষ্টি"}', 'not json'];
+
+    await expect(translation.translateFields({ title: 'Rain in Mumbai' }, 'bn'))
+      .rejects.toMatchObject({ code: 'INVALID_OUTPUT' });
+    expect(calls).toBe(2);
+  });
+
+  test('keeps translating once the memory cache is full', async () => {
+    process.env.TRANSLATION_MEMORY_KEYS = '2';
+    let bounded;
+    jest.isolateModules(() => {
+      bounded = require('../../utils/translation');
+    });
+    delete process.env.TRANSLATION_MEMORY_KEYS;
+
+    for (const city of ['Pune', 'Delhi', 'Agra']) {
+      replies = [`{"title": "${city} में बारिश"}`];
+      const result = await bounded.translateFields({ title: `Rain in ${city}` }, 'hi');
+      expect(result).toMatchObject({ cached: false, fields: { title: `${city} में बारिश` } });
+    }
+
+    expect(await bounded.translateFields({ title: 'Rain in Agra' }, 'hi')).toMatchObject({ cached: true });
+    expect(calls).toBe(3);
+  });
+});
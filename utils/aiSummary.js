@@ -0,0 +1,175 @@
+// utils/aiSummary.js - Summary modes and schema-checked structured output
+const llm = require('./llm');
+
+const MAX_ATTEMPTS = 3;
+const WORDS_PER_MINUTE = 200;
+
+const SUMMARY_MODES = {
+  short: {
+    label: 'Short summary',
+    instructions: 'Write a 2-3 sentence neutral summary. Give 3 key points.'
+  },
+  bullets: {
+    label: 'Key points',
+    instructions: 'Write a one-sentence summary. Give 4-6 key points, one fact each.'
+  },
+  explain: {
+    label: "Explain like I'm new",
+    instructions: 'Write a summary a reader new to this topic can follow: plain words, ' +
+      'define any jargon, and include one sentence of background. Give 3-5 key points.'
+  },
+  'why-it-matters': {
+    label: 'Why it matters',
+    instructions: 'Write a 2-3 sentence summary of what happened and who is affected. ' +
+      'Give 3-4 key points on why it matters, each stating a concrete consequence from the text.'
+  },
+  timeline: {
+    label: 'Timeline',
+    instructions: 'Write a one-sentence summary. Give the key points as events in ' +
+      'chronological order, each starting with its date or time if the text states one.'
+  }
+};
+
+const ENTITY_TYPES = ['person', 'organization', 'location', 'event', 'other'];
+
+// Shape sent to the model and checked on the way back
+const SUMMARY_SCHEMA = {
+  summary: 'string',
+  keyPoints: 'string[]',
+  entities: `[{ "name": string, "type": ${ENTITY_TYPES.map(t => `"${t}"`).join(' | ')} }]`
+};
+
+// ============================================================
+// VALIDATION - returns { value } or { error }
+// ============================================================
+function validateSummaryOutput(raw) {
+  const data = llm.parseJsonReply(raw);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'reply is not a JSON object' };
+  }
+
+  if (typeof data.summary !== 'string' || !data.summary.trim()) {
+    return { error: '"summary" must be a non-empty string' };
+  }
+  if (!Array.isArray(data.keyPoints) || data.keyPoints.length === 0 ||
+      !data.keyPoints.every(point => typeof point === 'string' && point.trim())) {
+    return { error: '"keyPoints" must be a non-empty array of strings' };
+  }
+
+  const entities = data.entities === undefined ? [] : data.entities;
+  if (!Array.isArray(entities) ||
+      !entities.every(entity => entity && typeof entity.name === 'string' && entity.name.trim())) {
+    return { error: '"entities" must be an array of { name, type } objects' };
+  }
+
+  return {
+    value: {
+      summary: data.summary.trim(),
+      keyPoints: data.keyPoints.map(point => point.trim()).slice(0, 10),
+      entities: entities.slice(0, 20).map(entity => ({
+        name: entity.name.trim(),
+        type: ENTITY_TYPES.includes(entity.type) ? entity.type : 'other'
+      }))
+    }
+  };
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// Seconds a reader saves by reading the summary instead of the source
+function readingTimeSaved(sourceText, result) {
+  const summaryWords = countWords(result.summary) + countWords(result.keyPoints.join(' '));
+  const saved = (countWords(sourceText) - summaryWords) / WORDS_PER_MINUTE * 60;
+  return Math.max(0, Math.round(saved));
+}
+
+function splitSentences(text) {
+  return text.replace(/\s+/g, ' ').match(/[^.!?।]+[.!?।]+(\s|$)/g) || [text];
+}
+
+// Lead sentences, used when no model is configured or its output is rejected
+function extractiveSummary(text, sentences = 3) {
+  const parts = splitSentences(text).map(sentence => sentence.trim());
+  return {
+    summary: parts.slice(0, sentences).join(' ').slice(0, 600),
+    keyPoints: parts.slice(0, 5).map(sentence => sentence.slice(0, 240)),
+    entities: []
+  };
+}
+
+// ============================================================
+// ENTRY POINT
+// Returns { mode, summary, keyPoints, entities, readingTimeSaved, extractive,
+//           model, promptVersion }
+// ============================================================
+async function summarize(text, { mode = 'short', title = '' } = {}) {
+  if (!SUMMARY_MODES[mode]) throw new Error(`Unknown summary mode: ${mode}`);
+
+  let previousError = null;
+  let result = null;
+  let generatedBy = null;
+
+  for (let attempt = 1; llm.isLlmEnabled() && attempt <= MAX_ATTEMPTS && !result; attempt++) {
+    let reply;
+    try {
+      reply = await llm.generate('summary.structured', {
+        instructions: SUMMARY_MODES[mode].instructions,
+        schema: SUMMARY_SCHEMA,
+        previousError,
+        title,
+        text
+      });
+    } catch (error) {
+      // The client already retried transient failures
+      console.error(`AI summary failed: ${error.code || ''} ${error.message}`);
+      break;
+    }
+
+    const checked = validateSummaryOutput(reply.text);
+    if (checked.value) {
+      result = checked.value;
+      generatedBy = { model: reply.model, promptVersion: reply.promptVersion };
+    } else {
+      previousError = checked.error;
+      console.warn(`AI summary rejected (attempt ${attempt}): ${checked.error}`);
+    }
+  }
+
+  const extractive = !result;
+  const output = result || extractiveSummary(text);
+
+  return {
+    mode,
+    ...output,
+    readingTimeSaved: readingTimeSaved(text, output),
+    extractive,
+    model: generatedBy ? generatedBy.model : null,
+    promptVersion: generatedBy ? generatedBy.promptVersion : null
+  };
+}
+
+// 2-3 line summary stored with an article, or null when no model is available
+async function briefSummary(text) {
+  if (!llm.isLlmEnabled()) return null;
+
+  try {
+    const reply = await llm.generate('summary.brief', { text });
+    return reply.text.trim() || null;
+  } catch (error) {
+    console.error(`AI brief summary failed: ${error.code || ''} ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  SUMMARY_MODES,
+  validateSummaryOutput,
+  extractiveSummary,
+  summarize,
+  briefSummary
+};
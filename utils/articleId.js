@@ -0,0 +1,129 @@
+// utils/articleId.js - Canonical URLs and stable article IDs
+const crypto = require('crypto');
+
+// Query parameters that only identify the referrer/campaign, never the story
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'yclid', 'twclid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'ref', 'ref_src', 'ref_url', 'referrer',
+  'cmpid', 'cmp', 'ito', 'ocid', 'taid', 'amp', 'amp_js_v', 'amp_gsa', 'usqp'
+]);
+const TRACKING_PREFIXES = ['utm_', 'ns_', 'at_', 'pk_', 'mtm_', 'hsa_'];
+
+// Host prefixes that serve the same story as the main site
+const HOST_PREFIXES = /^(www|m|mobile|amp)\./;
+
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+const GUARDIAN_PATH = /^[a-z-]+(\/[a-z0-9-]+)*\/\d{4}\/[a-z]{3}\/\d{2}\/[a-z0-9-]+$/;
+
+function isTrackingParam(name, value) {
+  const key = name.toLowerCase();
+  if (TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+    return true;
+  }
+  // ?outputType=amp / ?output=amp select the AMP rendering of the same page
+  return (key === 'outputtype' || key === 'output') && value.toLowerCase() === 'amp';
+}
+
+// Google AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/story
+function unwrapAmpCache(url) {
+  if (!url.hostname.endsWith('.cdn.ampproject.org')) return url;
+
+  const match = url.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  if (!match) return url;
+
+  return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}`);
+}
+
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(\/|$)/, '/')
+    .replace(/\/amp\/?$/, '/')
+    .replace(/\.amp(\.html?)?$/, '$1')
+    .replace(/\/amp(\.html?)$/, '$1');
+}
+
+// ============================================================
+// CANONICALIZE - same story, same string
+//   https, lowercase host without www/m/amp prefixes, no default
+//   port, no fragment, no tracking params, no AMP variant, no
+//   trailing slash, remaining params sorted
+// Returns null for anything that is not an http(s) URL.
+// ============================================================
+function canonicalizeUrl(rawUrl) {
+  if (typeof rawUrl !== 'string' || !rawUrl.trim()) return null;
+
+  let url;
+  try {
+    url = unwrapAmpCache(new URL(rawUrl.trim()));
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const host = url.hostname.toLowerCase().replace(HOST_PREFIXES, '');
+  let pathname = stripAmpPath(decodeURIComponentSafe(url.pathname)).replace(/\/{2,}/g, '/');
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name, value]) => !isTrackingParam(name, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return `https://${host}${encodeURI(pathname)}${query ? `?${query}` : ''}`;
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// ============================================================
+// ARTICLE ID - first 16 hex chars of sha256(canonical URL)
+// ============================================================
+function hashId(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+function articleIdForUrl(url) {
+  const canonical = canonicalizeUrl(url);
+  return canonical ? hashId(canonical) : null;
+}
+
+function isArticleId(value) {
+  return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+// ============================================================
+// LEGACY IDs - earlier builds used the raw article URL, or the
+// Guardian content path ("world/2024/jan/01/slug"), as the ID.
+// Maps those to the current ID; returns the input unchanged when
+// it cannot be resolved (e.g. the old random gnews_<time>_<rand>).
+// ============================================================
+function resolveArticleId(id) {
+  if (typeof id !== 'string') return id;
+
+  const value = id.trim();
+  if (isArticleId(value)) return value;
+
+  if (/^https?:\/\//i.test(value)) {
+    return articleIdForUrl(value) || value;
+  }
+
+  if (GUARDIAN_PATH.test(value)) {
+    return articleIdForUrl(`https://www.theguardian.com/${value}`);
+  }
+
+  return value;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  articleIdForUrl,
+  hashId,
+  isArticleId,
+  resolveArticleId
+};
@@ -0,0 +1,73 @@
+// utils/articleIdMigration.js - Rewrites stored legacy article IDs (raw
+// URLs, Guardian paths) to the canonical-URL IDs used by the news API
+const { isArticleId, resolveArticleId } = require('./articleId');
+const { historyMergeUpdate } = require('./readingHistory');
+
+// A bookmark saved twice keeps the earlier save date and fills in
+// whatever the kept copy is missing
+function bookmarkMergeUpdate(duplicate, kept) {
+  const update = {};
+  if (duplicate.createdAt) update.$min = { createdAt: duplicate.createdAt };
+
+  const fill = {};
+  ['snippet', 'image'].forEach(field => {
+    if (!kept[field] && duplicate[field]) fill[field] = duplicate[field];
+  });
+  if (Object.keys(fill).length > 0) update.$set = fill;
+  return update;
+}
+
+// Collections whose { userId, articleId } is unique, and how a row is
+// folded into the one the user already has under the new ID
+const MERGE_UPDATES = {
+  Bookmark: bookmarkMergeUpdate,
+  ReadingHistory: historyMergeUpdate
+};
+
+/**
+ * Rewrites every non-canonical articleId in a collection.
+ * Returns { updated, merged, unresolved }
+ */
+async function rewriteArticleIds(Model) {
+  let updated = 0;
+  let merged = 0;
+  let unresolved = 0;
+
+  const cursor = Model.find({ articleId: { $not: /^[0-9a-f]{16}$/ } }).lean().cursor();
+
+  for await (const doc of cursor) {
+    const articleId = resolveArticleId(doc.articleId);
+
+    if (!isArticleId(articleId)) {
+      unresolved++;
+      continue;
+    }
+
+    try {
+      await Model.updateOne({ _id: doc._id }, { $set: { articleId } });
+      updated++;
+    } catch (err) {
+      // The user already has the same story under its new ID (or another
+      // legacy ID that resolved to it first): merge rather than lose it
+      const mergeUpdate = MERGE_UPDATES[Model.modelName];
+      if (err.code !== 11000 || !mergeUpdate) throw err;
+
+      const kept = await Model.findOne({ userId: doc.userId, articleId }).lean();
+      if (kept) {
+        const update = mergeUpdate(doc, kept);
+        if (Object.keys(update).length > 0) {
+          await Model.updateOne({ _id: kept._id }, update, { timestamps: false });
+        }
+      }
+      await Model.deleteOne({ _id: doc._id });
+      merged++;
+    }
+  }
+
+  return { updated, merged, unresolved };
+}
+
+module.exports = {
+  bookmarkMergeUpdate,
+  rewriteArticleIds
+};
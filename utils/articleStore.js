@@ -0,0 +1,298 @@
+// utils/articleStore.js - Persistence for normalized articles
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const { canonicalizeUrl } = require('./articleId');
+const { escapeRegExp } = require('./search');
+const { extractEntities } = require('./entities');
+
+function isStoreReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// ============================================================
+// UPSERT normalized articles by canonical URL
+// scope: { category, location } - added to the article's sets
+// Returns { upserted, modified, inserted } - inserted: the articles
+// that were new to the store
+// ============================================================
+async function upsertArticles(articles, scope = {}) {
+  const entries = articles
+    .map(article => ({ article, canonicalUrl: canonicalizeUrl(article.url) }))
+    .filter(({ canonicalUrl }) => canonicalUrl);
+
+  const operations = entries
+    .map(({ article, canonicalUrl }) => {
+      // A real date always applies; an estimated one (the first fetch time)
+      // only on insert, or undated items would look fresh on every run
+      const dated = { publishedAt: new Date(article.publishedAt), dateEstimated: !!article.dateEstimated };
+      // Added to, never replaced, so LLM-enriched tags survive re-ingestion
+      const addToSet = { entities: { $each: extractEntities(article) } };
+      if (scope.category) addToSet.categories = scope.category;
+      if (scope.location) addToSet.locations = scope.location;
+
+      return {
+        updateOne: {
+          filter: { canonicalUrl },
+          update: {
+            $set: {
+              url: article.url,
+              title: article.title,
+              snippet: article.snippet,
+              image: article.image,
+              source: article.source,
+              provider: article.provider,
+              fetchedAt: new Date(),
+              ...(article.dateEstimated ? {} : dated)
+            },
+            $setOnInsert: { articleId: article.id, ...(article.dateEstimated ? dated : {}) },
+            $addToSet: addToSet
+          },
+          upsert: true
+        }
+      };
+    });
+
+  if (operations.length === 0) return { upserted: 0, modified: 0, inserted: [] };
+
+  const result = await Article.bulkWrite(operations, { ordered: false });
+  return {
+    upserted: result.upsertedCount,
+    modified: result.modifiedCount,
+    // upsertedIds is keyed by operation index
+    inserted: Object.keys(result.upsertedIds || {}).map(index => entries[index].article)
+  };
+}
+
+// ============================================================
+// FIND stored articles for a category or city, newest first
+// ============================================================
+async function findArticles({ category, location }, { page = 1, pageSize = 10 } = {}) {
+  const filter = {};
+  if (category) filter.categories = category;
+  if (location) filter.locations = location;
+
+  const docs = await Article.find(filter)
+    .sort({ publishedAt: -1 })
+    .skip((page - 1) * pageSize)
+    .limit(pageSize);
+
+  return docs.map(doc => doc.toArticle());
+}
+
+// ============================================================
+// RECENT stored articles since a date, newest first, one per story
+// (sitemaps list each story once, not every outlet's copy)
+// ============================================================
+async function findRecentArticles({ since }, limit = 1000) {
+  const docs = await Article.find({ publishedAt: { $gte: since } })
+    .sort({ publishedAt: -1 })
+    .limit(limit);
+
+  const seenClusters = new Set();
+  return docs
+    .filter(doc => {
+      if (!doc.clusterId) return true;
+      if (seenClusters.has(doc.clusterId)) return false;
+      seenClusters.add(doc.clusterId);
+      return true;
+    })
+    .map(doc => doc.toArticle());
+}
+
+// ============================================================
+// SEARCH stored articles with the Mongo text index
+// filters: { q, from, to, category, source }
+// ============================================================
+async function searchArticles({ q, from, to, category, source }, limit = 100) {
+  const filter = { $text: { $search: q } };
+  if (category) filter.categories = category;
+  if (source) filter.source = new RegExp(escapeRegExp(source), 'i');
+  if (from || to) {
+    filter.publishedAt = {};
+    if (from) filter.publishedAt.$gte = from;
+    if (to) filter.publishedAt.$lte = to;
+  }
+
+  const docs = await Article.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+
+  return docs.map(doc => doc.toArticle());
+}
+
+// ============================================================
+// STORY CLUSTERS - remember which stored articles cover the same story
+// ============================================================
+async function assignClusters(clusters) {
+  const operations = clusters
+    .filter(cluster => cluster.members.length > 1)
+    .map(cluster => ({
+      updateMany: {
+        filter: { articleId: { $in: cluster.members.map(member => member.id) } },
+        update: { $set: { clusterId: cluster.clusterId } }
+      }
+    }));
+
+  if (operations.length > 0) {
+    await Article.bulkWrite(operations, { ordered: false });
+  }
+}
+
+async function findClusterArticles(clusterId) {
+  const docs = await Article.find({ clusterId }).sort({ publishedAt: 1 });
+  return docs.map(doc => doc.toArticle());
+}
+
+// How often each source appears among the given articles
+async function countSources(articleIds) {
+  if (articleIds.length === 0) return {};
+
+  const rows = await Article.aggregate([
+    { $match: { articleId: { $in: articleIds } } },
+    { $group: { _id: '$source', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map(row => [row._id, row.count]));
+}
+
+async function findArticleById(articleId) {
+  const doc = await Article.findOne({ articleId });
+  return doc ? doc.toArticle() : null;
+}
+
+async function setArticleSummary(articleId, aiSummary) {
+  await Article.updateOne({ articleId }, { $set: { aiSummary } });
+}
+
+// ============================================================
+// ENTITIES - topic pages and autocomplete
+// ============================================================
+async function addArticleEntities(articleId, entities) {
+  if (entities.length === 0) return;
+  await Article.updateOne({ articleId }, { $addToSet: { entities: { $each: entities } } });
+}
+
+async function findEntityArticles(slug, { page = 1, pageSize = 10 } = {}) {
+  const docs = await Article.find({ 'entities.slug': slug })
+    .sort({ publishedAt: -1 })
+    .skip((page - 1) * pageSize)
+    .limit(pageSize);
+
+  return docs.map(doc => doc.toArticle());
+}
+
+/**
+ * { slug, name, type, articleCount, related } for a tagged entity, or
+ * null when no stored article carries it. related: the entities most
+ * often tagged alongside it.
+ */
+async function describeEntity(slug, { relatedLimit = 8 } = {}) {
+  const [summary] = await Article.aggregate([
+    { $match: { 'entities.slug': slug } },
+    { $unwind: '$entities' },
+    { $match: { 'entities.slug': slug } },
+    { $sort: { publishedAt: -1 } },
+    {
+      $group: {
+        _id: '$entities.slug',
+        name: { $first: '$entities.name' },
+        type: { $first: '$entities.type' },
+        articleCount: { $sum: 1 }
+      }
+    }
+  ]);
+  if (!summary) return null;
+
+  const related = await Article.aggregate([
+    { $match: { 'entities.slug': slug } },
+    { $sort: { publishedAt: -1 } },
+    { $limit: 500 },
+    { $unwind: '$entities' },
+    { $match: { 'entities.slug': { $ne: slug } } },
+    {
+      $group: {
+        _id: '$entities.slug',
+        name: { $first: '$entities.name' },
+        type: { $first: '$entities.type' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: relatedLimit }
+  ]);
+
+  return {
+    slug,
+    name: summary.name,
+    type: summary.type,
+    articleCount: summary.articleCount,
+    related: related.map(row => ({ slug: row._id, name: row.name, type: row.type, articleCount: row.count }))
+  };
+}
+
+// Tagged entities with a slug word starting with prefix, most covered
+// first, counting articles since the given date
+async function searchEntities(prefix, { since, limit = 10 } = {}) {
+  const pattern = new RegExp(`(^|-)${escapeRegExp(prefix)}`);
+  const match = { 'entities.slug': pattern };
+  if (since) match.publishedAt = { $gte: since };
+
+  const rows = await Article.aggregate([
+    { $match: match },
+    { $unwind: '$entities' },
+    { $match: { 'entities.slug': pattern } },
+    {
+      $group: {
+        _id: '$entities.slug',
+        name: { $first: '$entities.name' },
+        type: { $first: '$entities.type' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => ({ slug: row._id, name: row.name, type: row.type, articleCount: row.count }));
+}
+
+// ============================================================
+// RELATED - recent articles sharing a tag or the category with
+// an article, newest first
+// ============================================================
+async function findRelatedCandidates({ entitySlugs = [], category, since }, limit = 200) {
+  const or = [];
+  if (entitySlugs.length > 0) or.push({ 'entities.slug': { $in: entitySlugs } });
+  if (category) or.push({ categories: category });
+  if (or.length === 0) return [];
+
+  const docs = await Article.find({ $or: or, publishedAt: { $gte: since } })
+    .sort({ publishedAt: -1 })
+    .limit(limit);
+
+  return docs.map(doc => doc.toArticle());
+}
+
+// Drops articles older than the retention window
+async function pruneArticles(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const result = await Article.deleteMany({ publishedAt: { $lt: cutoff } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  isStoreReady,
+  upsertArticles,
+  findArticles,
+  findRecentArticles,
+  searchArticles,
+  assignClusters,
+  findClusterArticles,
+  countSources,
+  findArticleById,
+  setArticleSummary,
+  addArticleEntities,
+  findEntityArticles,
+  describeEntity,
+  searchEntities,
+  findRelatedCandidates,
+  pruneArticles
+};
@@ -0,0 +1,49 @@
+// utils/breakingNews.js - Flags a story as breaking when several outlets
+// report it within a short window
+const NodeCache = require('node-cache');
+const { clusterArticles } = require('./clustering');
+
+const MIN_SOURCES = parseInt(process.env.BREAKING_MIN_SOURCES || '3', 10);
+const WINDOW_MINUTES = parseInt(process.env.BREAKING_WINDOW_MINUTES || '60', 10);
+
+// Stories already flagged, so each one is announced once
+const flagged = new NodeCache({ stdTTL: 24 * 60 * 60, maxKeys: 10000 });
+
+/**
+ * Stories in articles with at least minSources distinct outlets
+ * publishing in the last windowMinutes:
+ *   [{ clusterId, article, sources }]
+ */
+function findBreakingStories(articles, { now = Date.now(), minSources = MIN_SOURCES, windowMinutes = WINDOW_MINUTES } = {}) {
+  const windowMs = windowMinutes * 60 * 1000;
+
+  return clusterArticles(articles)
+    .map(cluster => {
+      const sources = new Set(cluster.members
+        .filter(member => {
+          const published = new Date(member.publishedAt).getTime();
+          return published <= now && now - published <= windowMs;
+        })
+        .map(member => member.source));
+      return { clusterId: cluster.clusterId, article: cluster.representative, sources: [...sources] };
+    })
+    .filter(story => story.sources.length >= minSources);
+}
+
+// The stories not announced before; marks them as announced
+function takeNewBreaking(stories) {
+  return stories.filter(story => {
+    if (flagged.has(story.clusterId)) return false;
+    try {
+      flagged.set(story.clusterId, true);
+    } catch (error) {
+      if (error.name !== 'ECACHEFULL') throw error;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  findBreakingStories,
+  takeNewBreaking
+};
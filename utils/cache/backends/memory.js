@@ -0,0 +1,30 @@
+// utils/cache/backends/memory.js - In-process cache backend (per replica)
+const NodeCache = require('node-cache');
+
+function createMemoryBackend({ maxKeys = 5000 } = {}) {
+  const store = new NodeCache({ useClones: false, checkperiod: 120, maxKeys });
+
+  return {
+    name: 'memory',
+    shared: false,
+    async get(key) {
+      return store.get(key) ?? null;
+    },
+    async set(key, entry, ttlSeconds) {
+      try {
+        store.set(key, entry, ttlSeconds);
+      } catch (error) {
+        // node-cache throws once maxKeys is reached; drop the write
+        if (error.name !== 'ECACHEFULL') throw error;
+      }
+    },
+    async del(key) {
+      store.del(key);
+    },
+    stats() {
+      return { keys: store.keys().length };
+    }
+  };
+}
+
+module.exports = { createMemoryBackend };
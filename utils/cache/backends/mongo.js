@@ -0,0 +1,38 @@
+// utils/cache/backends/mongo.js - Cache backend on a Mongo collection,
+// shared by every replica. Misses while Mongo is disconnected.
+const mongoose = require('mongoose');
+const CacheEntry = require('../../../models/CacheEntry');
+
+function isReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function createMongoBackend() {
+  return {
+    name: 'mongo',
+    shared: true,
+    async get(key) {
+      if (!isReady()) return null;
+
+      const doc = await CacheEntry.findOne({ key }).lean();
+      // The TTL monitor lags, so check expiry here too
+      if (!doc || doc.expiresAt.getTime() <= Date.now()) return null;
+      return doc.entry;
+    },
+    async set(key, entry, ttlSeconds) {
+      if (!isReady()) return;
+
+      await CacheEntry.updateOne(
+        { key },
+        { $set: { entry, expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+        { upsert: true }
+      );
+    },
+    async del(key) {
+      if (!isReady()) return;
+      await CacheEntry.deleteOne({ key });
+    }
+  };
+}
+
+module.exports = { createMongoBackend };
@@ -0,0 +1,199 @@
+// utils/cache/backends/redis.js - Cache backend for any Redis-protocol
+// store (Redis, Valkey, KeyDB, Upstash...), shared by every replica.
+// Speaks just enough RESP2 for GET/SET/DEL over one pipelined connection.
+const net = require('net');
+const tls = require('tls');
+
+// ============================================================
+// RESP2 encoding and parsing
+// ============================================================
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('')}`;
+}
+
+// One reply from buffer at offset: { value, offset } with the offset past
+// the reply, or null when the buffer does not hold a full reply yet.
+// Error replies come back as Error values.
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+// ============================================================
+// CLIENT - connects lazily, reconnects on the next command after
+// an error, and fails every queued command when the link drops
+// url: redis://[user:password@]host[:port][/db], rediss:// for TLS
+// ============================================================
+function createRedisClient(url, { timeoutMs = 2000 } = {}) {
+  const target = new URL(url);
+  const secure = target.protocol === 'rediss:';
+  const pending = [];
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let ready = null;
+
+  function reset(error) {
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    pending.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject } = pending.shift();
+        if (reply.value instanceof Error) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      reset(error);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      if (!socket) {
+        reject(new Error('Redis connection closed'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        // Replies arrive in order, so a lost one poisons the connection
+        reset(new Error(`Redis ${args[0]} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      pending.push({
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      const options = { host: target.hostname, port: Number(target.port) || 6379 };
+      const current = secure
+        ? tls.connect({ ...options, servername: target.hostname })
+        : net.connect(options);
+      socket = current;
+
+      // Fails commands still waiting for this connection (a no-op once it
+      // is up); a dropped connection's late events must not tear down its
+      // replacement
+      const drop = error => {
+        reject(error);
+        if (socket === current) reset(error);
+        else current.destroy();
+      };
+
+      current.setTimeout(timeoutMs, () => drop(new Error('Redis connection timed out')));
+      current.on('data', chunk => {
+        if (socket === current) onData(chunk);
+      });
+      current.on('error', drop);
+      current.on('close', () => drop(new Error('Redis connection closed')));
+
+      current.once(secure ? 'secureConnect' : 'connect', async () => {
+        current.setTimeout(0);
+        try {
+          const password = decodeURIComponent(target.password || '');
+          const username = decodeURIComponent(target.username || '');
+          if (password) await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+
+          const db = parseInt(target.pathname.slice(1), 10);
+          if (db > 0) await send(['SELECT', db]);
+          resolve();
+        } catch (error) {
+          drop(error);
+        }
+      });
+    });
+
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+    close() {
+      if (socket) socket.end();
+      socket = null;
+      ready = null;
+    }
+  };
+}
+
+function createRedisBackend({ url, timeoutMs } = {}) {
+  const client = createRedisClient(url, { timeoutMs });
+
+  return {
+    name: 'redis',
+    shared: true,
+    client,
+    async get(key) {
+      const raw = await client.command('GET', key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, entry, ttlSeconds) {
+      await client.command('SET', key, JSON.stringify(entry), 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+    },
+    async del(key) {
+      await client.command('DEL', key);
+    }
+  };
+}
+
+module.exports = {
+  encodeCommand,
+  parseReply,
+  createRedisClient,
+  createRedisBackend
+};
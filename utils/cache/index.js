@@ -0,0 +1,219 @@
+// utils/cache/index.js - Cache layer: pluggable backends, stale-while-revalidate
+// and request coalescing
+const { createMemoryBackend } = require('./backends/memory');
+const { createMongoBackend } = require('./backends/mongo');
+const { createRedisBackend } = require('./backends/redis');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Every named cache, for admin stats
+const caches = new Map();
+
+// ============================================================
+// TIERED BACKEND - a per-replica memory copy in front of a shared
+// backend. A fresh local copy is served without a round trip; once
+// it goes stale the shared copy (maybe refreshed by another
+// replica) is checked first.
+// ============================================================
+function createTieredBackend(local, shared) {
+  return {
+    name: shared.name,
+    shared: true,
+    async get(key) {
+      const near = await local.get(key);
+      if (near && Date.now() < near.freshUntil) return near;
+
+      let far = null;
+      try {
+        far = await shared.get(key);
+      } catch (error) {
+        // Keep serving the local copy while the shared store is unreachable
+        if (!near) throw error;
+        console.error(`Shared cache read error (${shared.name}):`, error.message);
+      }
+
+      if (far && (!near || far.storedAt > near.storedAt)) {
+        await local.set(key, far, Math.max(1, (far.staleUntil - Date.now()) / 1000));
+        return far;
+      }
+      return near;
+    },
+    async set(key, entry, ttlSeconds) {
+      await local.set(key, entry, ttlSeconds);
+      await shared.set(key, entry, ttlSeconds);
+    },
+    async del(key) {
+      await local.del(key);
+      await shared.del(key);
+    },
+    stats: () => local.stats()
+  };
+}
+
+// ============================================================
+// CACHE FACTORY
+// backend: { name, get(key), set(key, entry, ttlSeconds), del(key), stats?() }
+// ttl: seconds an entry is fresh
+// staleTtl: further seconds a stale entry is served while it refreshes
+// ============================================================
+function createCache({ name, backend, ttl = 300, staleTtl = 0 }) {
+  const inflight = new Map();
+  const counters = { hits: 0, staleHits: 0, misses: 0, loads: 0, coalesced: 0, loadErrors: 0, backendErrors: 0 };
+  const prefix = `${name}:`;
+
+  // A backend failure is a miss, never a failed request
+  async function read(key) {
+    try {
+      return await backend.get(prefix + key);
+    } catch (error) {
+      counters.backendErrors++;
+      console.error(`Cache read error (${name}):`, error.message);
+      return null;
+    }
+  }
+
+  async function set(key, value, { ttl: freshSeconds = ttl, staleTtl: staleSeconds = staleTtl } = {}) {
+    const now = Date.now();
+    const entry = {
+      value,
+      storedAt: now,
+      freshUntil: now + freshSeconds * 1000,
+      staleUntil: now + (freshSeconds + staleSeconds) * 1000
+    };
+
+    try {
+      await backend.set(prefix + key, entry, freshSeconds + staleSeconds);
+    } catch (error) {
+      counters.backendErrors++;
+      console.error(`Cache write error (${name}):`, error.message);
+    }
+  }
+
+  async function get(key) {
+    const entry = await read(key);
+    return entry && Date.now() < entry.staleUntil ? entry.value : undefined;
+  }
+
+  async function del(key) {
+    try {
+      await backend.del(prefix + key);
+    } catch (error) {
+      counters.backendErrors++;
+      console.error(`Cache delete error (${name}):`, error.message);
+    }
+  }
+
+  // One upstream load per key at a time; later callers share its promise
+  function load(key, loader, options) {
+    if (inflight.has(key)) {
+      counters.coalesced++;
+      return inflight.get(key);
+    }
+
+    counters.loads++;
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(async value => {
+        if (options.cacheable(value)) await set(key, value, options);
+        return value;
+      })
+      .catch(error => {
+        counters.loadErrors++;
+        throw error;
+      })
+      .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Returns { value, cached, stale }. Fresh entries are returned as-is;
+   * stale ones are returned immediately while one background load
+   * refreshes them; misses wait for the (coalesced) load.
+   * options: { ttl, staleTtl, cacheable(value) } - cacheable false skips the write
+   */
+  async function wrap(key, loader, { ttl: freshSeconds = ttl, staleTtl: staleSeconds = staleTtl, cacheable = () => true } = {}) {
+    const options = { ttl: freshSeconds, staleTtl: staleSeconds, cacheable };
+    const entry = await read(key);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+      counters.hits++;
+      return { value: entry.value, cached: true, stale: false };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      counters.staleHits++;
+      load(key, loader, options)
+        .catch(err => console.error(`Cache refresh error (${name} ${key}):`, err.message));
+      return { value: entry.value, cached: true, stale: true };
+    }
+
+    counters.misses++;
+    return { value: await load(key, loader, options), cached: false, stale: false };
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.staleHits + counters.misses;
+    return {
+      name,
+      backend: backend.name,
+      ttl,
+      staleTtl,
+      ...counters,
+      hitRate: lookups > 0 ? Math.round(((counters.hits + counters.staleHits) / lookups) * 1000) / 1000 : null,
+      inflight: inflight.size,
+      ...(backend.stats ? backend.stats() : {})
+    };
+  }
+
+  const cache = { name, get, set, del, wrap, stats };
+  caches.set(name, cache);
+  return cache;
+}
+
+// ============================================================
+// DEFAULT BACKEND - configured from the environment
+//   CACHE_BACKEND: memory | mongo | redis (default: memory)
+//   CACHE_REDIS_URL or REDIS_URL: redis:// or rediss:// URL
+//   CACHE_TIMEOUT_MS: shared backend timeout (default: 500)
+// ============================================================
+let defaultBackend;
+
+function backendFromEnv() {
+  const kind = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  const local = createMemoryBackend();
+
+  if (kind === 'mongo') {
+    return createTieredBackend(local, createMongoBackend());
+  }
+  if (kind === 'redis') {
+    const url = process.env.CACHE_REDIS_URL || process.env.REDIS_URL;
+    if (url) {
+      return createTieredBackend(local, createRedisBackend({ url, timeoutMs: envInt('CACHE_TIMEOUT_MS', 500) }));
+    }
+    console.error('CACHE_BACKEND=redis but no CACHE_REDIS_URL/REDIS_URL set; using memory');
+  }
+  return local;
+}
+
+function getCacheBackend() {
+  if (!defaultBackend) defaultBackend = backendFromEnv();
+  return defaultBackend;
+}
+
+function getCacheStats() {
+  return [...caches.values()].map(cache => cache.stats());
+}
+
+module.exports = {
+  createCache,
+  createTieredBackend,
+  createMemoryBackend,
+  getCacheBackend,
+  getCacheStats
+};
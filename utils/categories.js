@@ -0,0 +1,140 @@
+// utils/categories.js - Category registry: admin-managed categories from
+// Mongo, kept in memory so request validation stays synchronous
+const Category = require('../models/Category');
+const { CATEGORY_MAP } = require('./newsSources');
+const { isStoreReady } = require('./articleStore');
+
+const REFRESH_MINUTES = parseInt(process.env.CATEGORY_REFRESH_MINUTES || '5', 10);
+
+// Handled by the local news endpoint, never stored as a category
+const RESERVED_SLUGS = ['local'];
+
+let timer = null;
+
+function titleCase(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// The built-in CATEGORY_MAP: seeds an empty collection and serves
+// until Mongo is reachable
+function builtInCategories() {
+  return Object.entries(CATEGORY_MAP).map(([slug, config], index) => ({
+    slug,
+    name: titleCase(slug),
+    query: config.query,
+    providerQueries: {},
+    feeds: config.feeds,
+    icon: '',
+    sortOrder: (index + 1) * 10,
+    enabled: true,
+    parent: null
+  }));
+}
+
+function toRecord(doc) {
+  const { slug, name, query, providerQueries, feeds, icon, sortOrder, enabled, parent } = doc;
+  return {
+    slug,
+    name,
+    query,
+    providerQueries: providerQueries instanceof Map
+      ? Object.fromEntries(providerQueries)
+      : { ...(providerQueries || {}) },
+    feeds: feeds || [],
+    icon: icon || '',
+    sortOrder: sortOrder || 0,
+    enabled: enabled !== false,
+    parent: parent || null
+  };
+}
+
+function bySortOrder(a, b) {
+  return (a.sortOrder - b.sortOrder) || a.slug.localeCompare(b.slug);
+}
+
+let categories = builtInCategories();
+let bySlug = new Map(categories.map(category => [category.slug, category]));
+
+function setCategories(list) {
+  categories = list.map(toRecord).sort(bySortOrder);
+  bySlug = new Map(categories.map(category => [category.slug, category]));
+}
+
+// ============================================================
+// READ
+// ============================================================
+function listCategories({ includeDisabled = false } = {}) {
+  return includeDisabled ? categories : categories.filter(category => category.enabled);
+}
+
+function getCategory(slug) {
+  return bySlug.get(slug) || null;
+}
+
+function isActiveCategory(slug) {
+  return !!getCategory(slug)?.enabled;
+}
+
+// Enabled top-level categories with their enabled children, for menus.
+// Children of a disabled parent are hidden with it.
+function buildCategoryTree(list) {
+  const enabled = list.filter(category => category.enabled).sort(bySortOrder);
+  const node = ({ slug, name, icon, sortOrder }) => ({ slug, name, icon, sortOrder });
+
+  return enabled
+    .filter(category => !category.parent)
+    .map(category => ({
+      ...node(category),
+      children: enabled
+        .filter(child => child.parent === category.slug)
+        .map(node)
+    }));
+}
+
+function categoryTree() {
+  return buildCategoryTree(categories);
+}
+
+// ============================================================
+// LOAD - seed an empty collection, then read everything
+// ============================================================
+async function loadCategories() {
+  if (!isStoreReady()) return categories;
+
+  if (await Category.estimatedDocumentCount() === 0) {
+    await Category.insertMany(builtInCategories(), { ordered: false })
+      .catch(err => console.error('Category seed error:', err.message));
+  }
+
+  setCategories(await Category.find().lean());
+  return categories;
+}
+
+// Other instances pick up admin edits on the next refresh
+async function startCategoryRegistry() {
+  await loadCategories();
+  console.log(`🗂️  ${categories.length} categories loaded`);
+
+  if (timer || REFRESH_MINUTES <= 0) return;
+  timer = setInterval(() => {
+    loadCategories().catch(err => console.error('Category refresh error:', err.message));
+  }, REFRESH_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+function stopCategoryRegistry() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RESERVED_SLUGS,
+  listCategories,
+  getCategory,
+  isActiveCategory,
+  buildCategoryTree,
+  categoryTree,
+  loadCategories,
+  startCategoryRegistry,
+  stopCategoryRegistry
+};
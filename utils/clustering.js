@@ -0,0 +1,195 @@
+// utils/clustering.js - Near-duplicate story clustering across providers
+const { PLACEHOLDER_IMAGE } = require('./providers/normalize');
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.CLUSTER_SIMILARITY || '0.5');
+const MAX_TIME_GAP_MS = parseInt(process.env.CLUSTER_WINDOW_HOURS || '36', 10) * 60 * 60 * 1000;
+
+// MinHash signature of NUM_HASHES values, split into BANDS for LSH
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'over', 'says', 'the', 'to', 'was', 'with'
+]);
+
+// ============================================================
+// TITLE NORMALIZATION AND SHINGLES
+// ============================================================
+
+// "Sensex rises 300 points - The Hindu" -> "sensex rises 300 points"
+function normalizeTitle(title) {
+  return (title || '')
+    .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Word bigrams, plus single words so short headlines still overlap
+function shingles(title) {
+  const words = normalizeTitle(title);
+  const set = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) {
+    set.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// ============================================================
+// MINHASH + LSH - candidate pairs without comparing every pair
+// ============================================================
+
+// FNV-1a string hash
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer: cheap, well-mixed 32-bit permutation
+function mix32(x) {
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(i + 0x9e3779b9));
+
+function minHash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(base ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+function candidatePairs(signatures) {
+  const pairs = new Set();
+
+  for (let band = 0; band < BANDS; band++) {
+    const buckets = new Map();
+    signatures.forEach((signature, index) => {
+      if (!signature) return;
+      const key = signature.slice(band * ROWS, (band + 1) * ROWS).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.add(`${members[i]}:${members[j]}`);
+        }
+      }
+    }
+  }
+
+  return [...pairs].map(pair => pair.split(':').map(Number));
+}
+
+// ============================================================
+// CLUSTER - union-find over similar, close-in-time pairs
+// ============================================================
+function findRoot(parent, i) {
+  while (parent[i] !== i) {
+    parent[i] = parent[parent[i]];
+    i = parent[i];
+  }
+  return i;
+}
+
+// The most complete copy represents the story: has an image, then longest snippet, then newest
+function pickRepresentative(members) {
+  return [...members].sort((a, b) =>
+    (hasImage(b) - hasImage(a)) ||
+    ((b.snippet || '').length - (a.snippet || '').length) ||
+    (new Date(b.publishedAt) - new Date(a.publishedAt))
+  )[0];
+}
+
+function hasImage(article) {
+  return article.image && article.image !== PLACEHOLDER_IMAGE ? 1 : 0;
+}
+
+// The earliest report names the cluster, so the ID survives later coverage
+function clusterIdFor(members) {
+  const earliest = [...members].sort((a, b) =>
+    (new Date(a.publishedAt) - new Date(b.publishedAt)) || a.id.localeCompare(b.id)
+  )[0];
+  return `c_${earliest.id}`;
+}
+
+/**
+ * Groups near-duplicate articles (same wire story from several outlets).
+ * Returns clusters in the input order of their first member:
+ *   [{ clusterId, representative, members }]
+ */
+function clusterArticles(articles) {
+  const sets = articles.map(article => shingles(article.title));
+  const signatures = sets.map(set => (set.size ? minHash(set) : null));
+  const parent = articles.map((_, i) => i);
+
+  for (const [i, j] of candidatePairs(signatures)) {
+    const gap = Math.abs(new Date(articles[i].publishedAt) - new Date(articles[j].publishedAt));
+    if (gap > MAX_TIME_GAP_MS) continue;
+    if (jaccard(sets[i], sets[j]) < SIMILARITY_THRESHOLD) continue;
+
+    parent[findRoot(parent, j)] = findRoot(parent, i);
+  }
+
+  const groups = new Map();
+  articles.forEach((article, i) => {
+    const root = findRoot(parent, i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  return [...groups.values()].map(members => ({
+    clusterId: clusterIdFor(members),
+    representative: pickRepresentative(members),
+    members
+  }));
+}
+
+/**
+ * One article per story, annotated with the other outlets covering it.
+ */
+function collapseClusters(clusters) {
+  return clusters.map(({ clusterId, representative, members }) => ({
+    ...representative,
+    clusterId,
+    alsoCoveredBy: members
+      .filter(member => member !== representative)
+      .map(member => ({ id: member.id, source: member.source, url: member.url }))
+  }));
+}
+
+module.exports = {
+  normalizeTitle,
+  shingles,
+  jaccard,
+  clusterArticles,
+  collapseClusters
+};
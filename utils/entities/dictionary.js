@@ -0,0 +1,109 @@
+// utils/entities/dictionary.js - Known people, organizations and topics
+// for the entity tagger. Places come from utils/geo.
+//
+// type: person | organization | topic
+// aliases: other ways headlines write the name. Matching ignores case, but
+// the first word must be capitalized in the text, and all-caps names
+// (RBI, WHO) must be all caps there too.
+
+const ENTITIES = [
+  // People
+  { name: 'Narendra Modi', type: 'person', aliases: ['PM Modi', 'Modi'] },
+  { name: 'Droupadi Murmu', type: 'person', aliases: ['President Murmu'] },
+  { name: 'Rahul Gandhi', type: 'person', aliases: [] },
+  { name: 'Amit Shah', type: 'person', aliases: [] },
+  { name: 'Nirmala Sitharaman', type: 'person', aliases: ['Sitharaman'] },
+  { name: 'Arvind Kejriwal', type: 'person', aliases: ['Kejriwal'] },
+  { name: 'Mamata Banerjee', type: 'person', aliases: [] },
+  { name: 'Yogi Adityanath', type: 'person', aliases: [] },
+  { name: 'Mallikarjun Kharge', type: 'person', aliases: ['Kharge'] },
+  { name: 'S Jaishankar', type: 'person', aliases: ['Jaishankar'] },
+  { name: 'Virat Kohli', type: 'person', aliases: ['Kohli'] },
+  { name: 'Rohit Sharma', type: 'person', aliases: [] },
+  { name: 'Jasprit Bumrah', type: 'person', aliases: ['Bumrah'] },
+  { name: 'Shubman Gill', type: 'person', aliases: [] },
+  { name: 'MS Dhoni', type: 'person', aliases: ['Dhoni', 'Mahendra Singh Dhoni'] },
+  { name: 'Neeraj Chopra', type: 'person', aliases: [] },
+  { name: 'Mukesh Ambani', type: 'person', aliases: [] },
+  { name: 'Gautam Adani', type: 'person', aliases: [] },
+  { name: 'Ratan Tata', type: 'person', aliases: [] },
+  { name: 'Sundar Pichai', type: 'person', aliases: [] },
+  { name: 'Elon Musk', type: 'person', aliases: ['Musk'] },
+  { name: 'Donald Trump', type: 'person', aliases: ['Trump'] },
+  { name: 'Vladimir Putin', type: 'person', aliases: ['Putin'] },
+  { name: 'Xi Jinping', type: 'person', aliases: [] },
+
+  // Organizations
+  { name: 'Reserve Bank of India', type: 'organization', aliases: ['RBI', 'Reserve Bank'] },
+  { name: 'SEBI', type: 'organization', aliases: ['Securities and Exchange Board of India'] },
+  { name: 'ISRO', type: 'organization', aliases: ['Indian Space Research Organisation'] },
+  { name: 'DRDO', type: 'organization', aliases: [] },
+  { name: 'BCCI', type: 'organization', aliases: ['Board of Control for Cricket in India'] },
+  { name: 'ICC', type: 'organization', aliases: ['International Cricket Council'] },
+  { name: 'Supreme Court', type: 'organization', aliases: ['SC', 'Apex Court'] },
+  { name: 'Election Commission', type: 'organization', aliases: ['ECI', 'Election Commission of India'] },
+  { name: 'Parliament', type: 'organization', aliases: ['Lok Sabha', 'Rajya Sabha'] },
+  { name: 'BJP', type: 'organization', aliases: ['Bharatiya Janata Party'] },
+  { name: 'Congress', type: 'organization', aliases: ['Indian National Congress', 'INC'] },
+  { name: 'Aam Aadmi Party', type: 'organization', aliases: ['AAP'] },
+  { name: 'Trinamool Congress', type: 'organization', aliases: ['TMC'] },
+  { name: 'NITI Aayog', type: 'organization', aliases: [] },
+  { name: 'Indian Railways', type: 'organization', aliases: [] },
+  { name: 'Reliance Industries', type: 'organization', aliases: ['Reliance', 'RIL'] },
+  { name: 'Tata Group', type: 'organization', aliases: ['Tata Sons'] },
+  { name: 'Adani Group', type: 'organization', aliases: [] },
+  { name: 'Infosys', type: 'organization', aliases: [] },
+  { name: 'TCS', type: 'organization', aliases: ['Tata Consultancy Services'] },
+  { name: 'Wipro', type: 'organization', aliases: [] },
+  { name: 'HDFC Bank', type: 'organization', aliases: [] },
+  { name: 'State Bank of India', type: 'organization', aliases: ['SBI'] },
+  { name: 'NSE', type: 'organization', aliases: ['National Stock Exchange'] },
+  { name: 'BSE', type: 'organization', aliases: ['Bombay Stock Exchange'] },
+  { name: 'United Nations', type: 'organization', aliases: ['UN'] },
+  { name: 'World Health Organization', type: 'organization', aliases: ['WHO'] },
+  { name: 'IMF', type: 'organization', aliases: ['International Monetary Fund'] },
+  { name: 'NASA', type: 'organization', aliases: [] },
+  { name: 'Google', type: 'organization', aliases: ['Alphabet'] },
+  { name: 'Apple', type: 'organization', aliases: [] },
+  { name: 'Microsoft', type: 'organization', aliases: [] },
+  { name: 'OpenAI', type: 'organization', aliases: [] },
+
+  // Topics
+  { name: 'IPL', type: 'topic', aliases: ['Indian Premier League'] },
+  { name: 'Sensex', type: 'topic', aliases: [] },
+  { name: 'Nifty', type: 'topic', aliases: ['Nifty 50'] },
+  { name: 'GST', type: 'topic', aliases: ['Goods and Services Tax'] },
+  { name: 'UPI', type: 'topic', aliases: ['Unified Payments Interface'] },
+  { name: 'Union Budget', type: 'topic', aliases: [] },
+  { name: 'Repo Rate', type: 'topic', aliases: [] },
+  { name: 'Monsoon', type: 'topic', aliases: [] },
+  { name: 'Chandrayaan', type: 'topic', aliases: ['Chandrayaan-3', 'Chandrayaan-4'] },
+  { name: 'Gaganyaan', type: 'topic', aliases: [] },
+  { name: 'Artificial Intelligence', type: 'topic', aliases: ['AI', 'GenAI', 'Generative AI'] },
+  { name: 'Climate Change', type: 'topic', aliases: ['Global Warming'] },
+  { name: 'Air Pollution', type: 'topic', aliases: ['AQI', 'Air Quality'] },
+  { name: 'Stock Market', type: 'topic', aliases: ['Dalal Street'] },
+  { name: 'NEET', type: 'topic', aliases: [] },
+  { name: 'JEE', type: 'topic', aliases: ['JEE Main', 'JEE Advanced'] },
+  { name: 'World Cup', type: 'topic', aliases: [] },
+  { name: 'Olympics', type: 'topic', aliases: ['Olympic Games'] }
+];
+
+// A place followed by one of these makes a local topic: "Bengaluru Metro"
+const PLACE_TOPIC_NOUNS = [
+  'metro', 'airport', 'police', 'floods', 'rains', 'traffic', 'elections',
+  'assembly', 'high court', 'municipal corporation'
+];
+
+// A run of capitalized words ending in one of these names an organization
+const ORGANIZATION_SUFFIXES = [
+  'ltd', 'limited', 'inc', 'corp', 'corporation', 'bank', 'ministry', 'party',
+  'court', 'council', 'board', 'authority', 'university', 'institute', 'group',
+  'commission', 'agency', 'association', 'federation', 'foundation'
+];
+
+module.exports = {
+  ENTITIES,
+  PLACE_TOPIC_NOUNS,
+  ORGANIZATION_SUFFIXES
+};
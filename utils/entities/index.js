@@ -0,0 +1,248 @@
+// utils/entities/index.js - Tags articles with people, organizations,
+// places and topics: a local dictionary and capitalization heuristics,
+// with optional LLM enrichment
+const llm = require('../llm');
+const { STATES, CITIES, normalizePlaceName } = require('../geo');
+const { slugify } = require('../sitemap');
+const { ENTITIES, PLACE_TOPIC_NOUNS, ORGANIZATION_SUFFIXES } = require('./dictionary');
+
+const ENTITY_TYPES = ['person', 'organization', 'place', 'topic'];
+const MAX_ENTITIES = 8;
+const MAX_PHRASE_WORDS = 6;
+
+// Capitalized words that start headlines and sentences without naming anything
+const RUN_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'in', 'on', 'at', 'of', 'for', 'to', 'and', 'but', 'as', 'after',
+  'breaking', 'live', 'watch', 'update', 'exclusive', 'explained', 'opinion',
+  'mr', 'mrs', 'ms', 'dr', 'shri', 'smt',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+function titleCase(text) {
+  return text.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// ============================================================
+// DICTIONARY - normalized phrase -> { entity, allCaps }
+// Earlier entries win, so a city beats the state of the same name
+// ============================================================
+const PHRASES = new Map();
+const BY_SLUG = new Map();
+
+function addEntity(entity, phrases) {
+  if (!BY_SLUG.has(entity.slug)) BY_SLUG.set(entity.slug, entity);
+
+  for (const phrase of phrases) {
+    const key = normalizePlaceName(phrase);
+    if (!key || PHRASES.has(key)) continue;
+    PHRASES.set(key, { entity: BY_SLUG.get(entity.slug), allCaps: /^[A-Z0-9 ]+$/.test(phrase) && /[A-Z]/.test(phrase) });
+  }
+}
+
+ENTITIES.forEach(({ name, type, aliases }) => addEntity({ slug: slugify(name), name, type }, [name, ...aliases]));
+CITIES.forEach(({ name, aliases }) => addEntity({ slug: slugify(name), name, type: 'place' }, [name, ...aliases]));
+STATES.forEach(({ name, aliases }) => addEntity({ slug: slugify(name), name, type: 'place' }, [name, ...aliases]));
+
+const PLACE_NOUNS = PLACE_TOPIC_NOUNS.map(noun => noun.split(' '));
+
+// ============================================================
+// TOKENS - words with their case; hyphens split words the way
+// normalizePlaceName does ("Chandrayaan-3" -> chandrayaan, 3)
+// ============================================================
+function tokenize(text) {
+  const tokens = [];
+  for (const [match] of String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+    const raw = match.replace(/['’]s$/i, '');
+    const word = normalizePlaceName(raw);
+    if (!word || word.includes(' ')) continue;
+
+    tokens.push({
+      raw,
+      word,
+      capitalized: /^[\p{Lu}\p{N}]/u.test(raw),
+      upper: raw === raw.toUpperCase() && /\p{L}/u.test(raw)
+    });
+  }
+  return tokens;
+}
+
+// Longest dictionary phrase starting at tokens[i], or null
+function phraseAt(tokens, i) {
+  if (!tokens[i].capitalized) return null;
+
+  for (let length = Math.min(MAX_PHRASE_WORDS, tokens.length - i); length >= 1; length--) {
+    const found = PHRASES.get(tokens.slice(i, i + length).map(token => token.word).join(' '));
+    if (found && (!found.allCaps || tokens[i].upper)) return { entity: found.entity, length };
+  }
+  return null;
+}
+
+// "Bengaluru metro" -> the bengaluru-metro topic
+function placeTopicAt(place, tokens, i) {
+  for (const noun of PLACE_NOUNS) {
+    const words = tokens.slice(i, i + noun.length).map(token => token.word);
+    if (words.length === noun.length && words.every((word, k) => word === noun[k])) {
+      const name = `${place.name} ${titleCase(noun.join(' '))}`;
+      return { entity: { slug: slugify(name), name, type: 'topic' }, length: noun.length };
+    }
+  }
+  return null;
+}
+
+function runEntity(phrase, type) {
+  return { slug: slugify(phrase), name: phrase, type };
+}
+
+// A capitalized run from tokens[i] ending in an organization suffix:
+// "Bengaluru Metro Rail Corporation", "Tata Motors Ltd"
+function organizationAt(tokens, i) {
+  if (RUN_STOP_WORDS.has(tokens[i].word)) return null;
+
+  let length = 0;
+  for (let j = i; j < tokens.length && j < i + 5 && tokens[j].capitalized; j++) {
+    if (ORGANIZATION_SUFFIXES.includes(tokens[j].word)) length = j - i + 1;
+  }
+  return length >= 2 ? { entity: runEntity(tokens.slice(i, i + length).map(token => token.raw).join(' '), 'organization'), length } : null;
+}
+
+/**
+ * Dictionary matches in text, plus the capitalized runs left over:
+ * { matches: [entity], runs: [phrase] }
+ */
+function scanText(text) {
+  const tokens = tokenize(text);
+  const matches = [];
+  const runs = [];
+  let run = [];
+
+  const endRun = () => {
+    while (run.length > 0 && RUN_STOP_WORDS.has(run[0].word)) run.shift();
+    if (run.length >= 2 && run.length <= 4) runs.push(run.map(token => token.raw).join(' '));
+    run = [];
+  };
+
+  for (let i = 0; i < tokens.length;) {
+    const organization = organizationAt(tokens, i);
+    const phrase = phraseAt(tokens, i);
+    // The longer name wins: "Bengaluru Metro Rail Corporation" over
+    // Bengaluru, but "Reserve Bank of India" over "Reserve Bank"
+    const found = organization && (!phrase || organization.length > phrase.length) ? organization : phrase;
+
+    if (found) {
+      endRun();
+      matches.push(found.entity);
+      i += found.length;
+
+      const topic = found.entity.type === 'place' && i < tokens.length ? placeTopicAt(found.entity, tokens, i) : null;
+      if (topic) {
+        matches.push(topic.entity);
+        i += topic.length;
+      }
+      continue;
+    }
+
+    if (tokens[i].capitalized && !/^\d+$/.test(tokens[i].word)) run.push(tokens[i]);
+    else endRun();
+    i++;
+  }
+  endRun();
+
+  return { matches, runs };
+}
+
+// ============================================================
+// EXTRACT - [{ slug, name, type }], most mentioned first; title
+// mentions count double
+// ============================================================
+function extractEntities({ title = '', snippet = '' } = {}, { max = MAX_ENTITIES } = {}) {
+  const scores = new Map();
+  const add = (entity, weight) => {
+    if (!entity.slug) return;
+    const current = scores.get(entity.slug);
+    if (current) current.score += weight;
+    else scores.set(entity.slug, { entity, score: weight, order: scores.size });
+  };
+
+  const inTitle = scanText(title);
+  const inSnippet = scanText(snippet);
+
+  inTitle.matches.forEach(entity => add(entity, 2));
+  inSnippet.matches.forEach(entity => add(entity, 1));
+
+  // Other capitalized names only count when both the (often title-case)
+  // headline and the sentence-case snippet capitalize them
+  const snippetRuns = new Set(inSnippet.runs.map(run => run.toLowerCase()));
+  inTitle.runs
+    .filter(run => snippetRuns.has(run.toLowerCase()))
+    .forEach(run => add(runEntity(run, 'topic'), 3));
+
+  return [...scores.values()]
+    .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+    .slice(0, max)
+    .map(({ entity }) => ({ slug: entity.slug, name: entity.name, type: entity.type }));
+}
+
+// ============================================================
+// LOOKUPS
+// ============================================================
+function getKnownEntity(slug) {
+  return BY_SLUG.get(slug) || null;
+}
+
+// Dictionary entries whose name or an alias has a word starting with q
+function searchKnownEntities(q, limit = 10) {
+  const needle = normalizePlaceName(q);
+  if (!needle) return [];
+
+  const found = new Map();
+  for (const [phrase, { entity }] of PHRASES) {
+    if (phrase.startsWith(needle) || phrase.includes(` ${needle}`)) {
+      found.set(entity.slug, entity);
+      if (found.size >= limit) break;
+    }
+  }
+  return [...found.values()];
+}
+
+// ============================================================
+// LLM ENRICHMENT - entities the dictionary does not know; names it
+// does know are mapped back to their dictionary entries
+// ============================================================
+function validateEntityOutput(raw) {
+  const data = llm.parseJsonReply(raw);
+  if (!data || !Array.isArray(data.entities)) return null;
+
+  return data.entities
+    .filter(entity => entity && typeof entity.name === 'string' && entity.name.trim())
+    .slice(0, 10)
+    .map(entity => {
+      const name = entity.name.trim().slice(0, 80);
+      const known = PHRASES.get(normalizePlaceName(name));
+      if (known) return known.entity;
+      return {
+        slug: slugify(name),
+        name,
+        type: ENTITY_TYPES.includes(entity.type) ? entity.type : 'topic'
+      };
+    })
+    .filter(entity => entity.slug);
+}
+
+async function enrichEntities({ title = '', snippet = '' }) {
+  if (!llm.isLlmEnabled()) return [];
+
+  const reply = await llm.generate('entities.extract', { types: ENTITY_TYPES, title, text: snippet });
+  const entities = validateEntityOutput(reply.text);
+  if (!entities) throw new Error('Model returned no entity list');
+
+  return entities.map(({ slug, name, type }) => ({ slug, name, type }));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  extractEntities,
+  enrichEntities,
+  validateEntityOutput,
+  getKnownEntity,
+  searchKnownEntities
+};
@@ -0,0 +1,176 @@
+// utils/extractArticle.js - Readability-style main text extraction
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Never part of the article body
+const STRIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'form', 'nav', 'header', 'footer',
+  'aside', 'svg', 'button', 'select', 'input', 'textarea', 'template', 'object', 'embed'
+]);
+
+const UNLIKELY = /comment|sidebar|footer|nav|menu|share|social|related|recommend|promo|advert|\bads?\b|sponsor|subscribe|newsletter|cookie|consent|popup|modal|breadcrumb|byline|caption|widget|outbrain|taboola/i;
+const LIKELY = /article|body|content|entry|main|post|story|text|detail/i;
+
+const BLOCK_TEXT_TAGS = new Set(['p', 'h2', 'h3', 'h4', 'li', 'blockquote', 'pre']);
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function textOf(node) {
+  return DomUtils.textContent(node).replace(/\s+/g, ' ').trim();
+}
+
+function classAndId(el) {
+  return `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+}
+
+function meta(doc, ...names) {
+  for (const name of names) {
+    const el = DomUtils.findOne(
+      node => node.name === 'meta' && (node.attribs.property === name || node.attribs.name === name),
+      doc.children,
+      true
+    );
+    if (el?.attribs.content) return el.attribs.content.trim();
+  }
+  return null;
+}
+
+// ============================================================
+// CLEANUP - drop boilerplate before scoring
+// ============================================================
+function removeBoilerplate(doc) {
+  const doomed = DomUtils.findAll(el => {
+    if (STRIP_TAGS.has(el.name)) return true;
+    if (el.attribs.hidden !== undefined || el.attribs['aria-hidden'] === 'true') return true;
+
+    const label = classAndId(el);
+    return el.name !== 'body' && el.name !== 'article' && UNLIKELY.test(label) && !LIKELY.test(label);
+  }, doc.children);
+
+  doomed.forEach(el => DomUtils.removeElement(el));
+}
+
+function linkDensity(el) {
+  const total = textOf(el).length;
+  if (total === 0) return 0;
+
+  const linked = DomUtils.findAll(node => node.name === 'a', el.children)
+    .reduce((sum, a) => sum + textOf(a).length, 0);
+  return linked / total;
+}
+
+// ============================================================
+// SCORING - paragraphs vote for their parent (and half for the
+// grandparent); the highest-scoring container holds the article
+// ============================================================
+function findBestCandidate(doc) {
+  const scores = new Map();
+  const addScore = (el, value) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) {
+      const label = classAndId(el);
+      const base = (LIKELY.test(label) ? 25 : 0) + (el.name === 'article' ? 25 : 0);
+      scores.set(el, base);
+    }
+    scores.set(el, scores.get(el) + value);
+  };
+
+  for (const p of DomUtils.findAll(el => el.name === 'p', doc.children)) {
+    const text = textOf(p);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    const commas = (text.match(/[,،、]/g) || []).length;
+    const value = 1 + commas + Math.min(3, Math.floor(text.length / 100));
+    addScore(p.parent, value);
+    addScore(p.parent?.parent, value / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+function collectParagraphs(container) {
+  return DomUtils.findAll(el => BLOCK_TEXT_TAGS.has(el.name), container.children)
+    // Nested blocks (p inside li/blockquote) are read through their outermost block
+    .filter(el => !hasBlockAncestorWithin(el, container))
+    .map(el => ({ el, text: textOf(el) }))
+    .filter(({ el, text }) => text.length >= (el.name === 'p' ? MIN_PARAGRAPH_LENGTH : 15) && linkDensity(el) < 0.5)
+    .map(({ text }) => text);
+}
+
+function hasBlockAncestorWithin(el, container) {
+  for (let node = el.parent; node && node !== container; node = node.parent) {
+    if (BLOCK_TEXT_TAGS.has(node.name)) return true;
+  }
+  return false;
+}
+
+// Many publishers embed the full body in schema.org JSON-LD
+function jsonLdArticleBody(doc) {
+  const scripts = DomUtils.findAll(
+    el => el.name === 'script' && el.attribs.type === 'application/ld+json',
+    doc.children
+  );
+
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse(DomUtils.textContent(script));
+      const nodes = [].concat(data['@graph'] || data);
+      const article = nodes.find(node => typeof node?.articleBody === 'string');
+      if (article) return article.articleBody.replace(/\s+/g, ' ').trim();
+    } catch {
+      // Malformed JSON-LD is common; ignore it
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// ENTRY POINT
+// Returns { title, siteName, image, canonicalUrl, text, excerpt, wordCount }
+// ============================================================
+function extractArticle(html) {
+  const doc = parseDocument(html || '');
+
+  const titleEl = DomUtils.findOne(el => el.name === 'title', doc.children, true);
+  const canonical = DomUtils.findOne(
+    el => el.name === 'link' && el.attribs.rel === 'canonical' && !!el.attribs.href,
+    doc.children,
+    true
+  );
+
+  const result = {
+    title: meta(doc, 'og:title', 'twitter:title') || (titleEl ? textOf(titleEl) : ''),
+    siteName: meta(doc, 'og:site_name'),
+    image: meta(doc, 'og:image', 'twitter:image'),
+    canonicalUrl: canonical ? canonical.attribs.href : null,
+    description: meta(doc, 'og:description', 'description')
+  };
+
+  // Read JSON-LD before the cleanup pass strips <script>
+  const structuredBody = jsonLdArticleBody(doc);
+
+  removeBoilerplate(doc);
+  const best = findBestCandidate(doc);
+  let text = best ? collectParagraphs(best).join('\n\n') : '';
+
+  if (structuredBody && structuredBody.length > text.length) {
+    text = structuredBody;
+  }
+
+  const words = text ? text.split(/\s+/).length : 0;
+  return {
+    ...result,
+    text,
+    excerpt: result.description || text.slice(0, 280),
+    wordCount: words
+  };
+}
+
+module.exports = { extractArticle };
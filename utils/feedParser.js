@@ -0,0 +1,150 @@
+// utils/feedParser.js - RSS 2.0 / RSS 1.0 (RDF) / Atom feed parsing
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+const SNIPPET_LENGTH = 300;
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif)(\?|$)/i;
+
+// ============================================================
+// DOM HELPERS
+// ============================================================
+function childElements(el, name) {
+  return (el.children || []).filter(child => DomUtils.isTag(child) && child.name === name);
+}
+
+function childText(el, ...names) {
+  for (const name of names) {
+    const [child] = childElements(el, name);
+    const text = child ? DomUtils.textContent(child).trim() : '';
+    if (text) return text;
+  }
+  return '';
+}
+
+// Item descriptions are HTML fragments; reduce them to plain text
+// and pick up the first inline image on the way.
+function readHtmlFragment(html) {
+  if (!html) return { text: '', image: null };
+
+  const fragment = parseDocument(html);
+  const img = DomUtils.findOne(el => el.name === 'img' && !!el.attribs.src, fragment.children, true);
+  const text = DomUtils.textContent(fragment).replace(/\s+/g, ' ').trim();
+
+  return {
+    text: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : text,
+    image: img ? img.attribs.src : null
+  };
+}
+
+function isImageMedia(attribs) {
+  if (!attribs.url) return false;
+  if (attribs.medium) return attribs.medium === 'image';
+  if (attribs.type) return attribs.type.startsWith('image/');
+  return IMAGE_EXTENSION.test(attribs.url);
+}
+
+// enclosure, media:content, media:thumbnail (also inside media:group)
+function findMediaImage(item) {
+  const enclosure = childElements(item, 'enclosure')
+    .find(el => el.attribs.url && (el.attribs.type || 'image/').startsWith('image/'));
+  if (enclosure) return enclosure.attribs.url;
+
+  const media = DomUtils.getElementsByTagName('media:content', item.children, true)
+    .find(el => isImageMedia(el.attribs));
+  if (media) return media.attribs.url;
+
+  const thumbnail = DomUtils.getElementsByTagName('media:thumbnail', item.children, true)
+    .find(el => el.attribs.url);
+  return thumbnail ? thumbnail.attribs.url : null;
+}
+
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// ============================================================
+// RSS 2.0 and RSS 1.0 (RDF)
+// ============================================================
+function parseRssItem(item) {
+  const guid = childElements(item, 'guid')[0];
+  const guidText = guid ? DomUtils.textContent(guid).trim() : '';
+  const guidIsLink = guid && guid.attribs.isPermaLink !== 'false' && /^https?:\/\//.test(guidText);
+
+  const body = readHtmlFragment(childText(item, 'description', 'content:encoded'));
+
+  return {
+    id: guidText || null,
+    title: readHtmlFragment(childText(item, 'title')).text,
+    link: childText(item, 'link') || (guidIsLink ? guidText : null),
+    description: body.text,
+    image: findMediaImage(item) || body.image,
+    pubDate: parseDate(childText(item, 'pubDate', 'dc:date'))
+  };
+}
+
+function parseRss(root) {
+  const channel = DomUtils.findOne(el => el.name === 'channel', root.children, false);
+
+  return {
+    type: root.name === 'rss' ? 'rss' : 'rdf',
+    title: channel ? childText(channel, 'title') : '',
+    items: DomUtils.getElementsByTagName('item', root.children, true).map(parseRssItem)
+  };
+}
+
+// ============================================================
+// ATOM 1.0
+// ============================================================
+function atomLink(entry) {
+  const links = childElements(entry, 'link').filter(el => el.attribs.href);
+  const alternate = links.find(el => !el.attribs.rel || el.attribs.rel === 'alternate');
+  return (alternate || links[0])?.attribs.href || null;
+}
+
+function atomImage(entry) {
+  const enclosure = childElements(entry, 'link')
+    .find(el => el.attribs.rel === 'enclosure' && (el.attribs.type || '').startsWith('image/'));
+  return enclosure ? enclosure.attribs.href : findMediaImage(entry);
+}
+
+function parseAtomEntry(entry) {
+  const body = readHtmlFragment(childText(entry, 'summary', 'content'));
+
+  return {
+    id: childText(entry, 'id') || null,
+    title: readHtmlFragment(childText(entry, 'title')).text,
+    link: atomLink(entry),
+    description: body.text,
+    image: atomImage(entry) || body.image,
+    pubDate: parseDate(childText(entry, 'published', 'updated'))
+  };
+}
+
+function parseAtom(root) {
+  return {
+    type: 'atom',
+    title: childText(root, 'title'),
+    items: childElements(root, 'entry').map(parseAtomEntry)
+  };
+}
+
+// ============================================================
+// ENTRY POINT
+// Returns { type, title, items: [{ id, title, link, description, image, pubDate }] }
+// or null when the document is not a recognised feed.
+// ============================================================
+function parseFeedXml(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) return null;
+
+  const doc = parseDocument(xml, { xmlMode: true });
+  const root = DomUtils.findOne(
+    el => el.name === 'rss' || el.name === 'feed' || el.name === 'rdf:RDF',
+    doc.children,
+    false
+  );
+
+  if (!root) return null;
+  return root.name === 'feed' ? parseAtom(root) : parseRss(root);
+}
+
+module.exports = { parseFeedXml };
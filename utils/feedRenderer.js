@@ -0,0 +1,148 @@
+// utils/feedRenderer.js - RSS 2.0, Atom 1.0 and JSON Feed 1.1 output
+// for normalized articles
+const { escapeXml, w3cDate, PUBLICATION_NAME } = require('./sitemap');
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const IMAGE_TYPES = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif' };
+
+// Feed readers need a real link; fallback stories point at "#"
+function isLinkable(article) {
+  return /^https?:\/\//i.test(article.url || '');
+}
+
+function imageType(url) {
+  const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return IMAGE_TYPES[(extension || '').toLowerCase()] || 'image/jpeg';
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return url;
+  }
+}
+
+// Newest publishedAt among the articles, or null
+function latestDate(articles) {
+  const times = articles.map(article => new Date(article.publishedAt).getTime()).filter(Number.isFinite);
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function summaryHtml(article) {
+  return article.aiSummary ? `<p>${escapeXml(article.aiSummary)}</p>` : '';
+}
+
+// ============================================================
+// RENDERERS
+// feed: { title, description, homeUrl, feedUrl, language, articles }
+// ============================================================
+function renderRss(feed, updated) {
+  const items = feed.articles.map(article => [
+    '    <item>',
+    `      <title>${escapeXml(article.title)}</title>`,
+    `      <link>${escapeXml(article.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(article.id)}</guid>`,
+    `      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>`,
+    article.snippet ? `      <description>${escapeXml(article.snippet)}</description>` : null,
+    article.aiSummary ? `      <content:encoded>${escapeXml(summaryHtml(article))}</content:encoded>` : null,
+    article.source ? `      <source url="${escapeXml(originOf(article.url))}">${escapeXml(article.source)}</source>` : null,
+    article.image ? `      <enclosure url="${escapeXml(article.image)}" type="${imageType(article.image)}" length="0"/>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, updated) {
+  const entries = feed.articles.map(article => [
+    '  <entry>',
+    `    <title>${escapeXml(article.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(article.url)}"/>`,
+    `    <id>urn:newszoid:article:${escapeXml(article.id)}</id>`,
+    `    <published>${w3cDate(article.publishedAt)}</published>`,
+    `    <updated>${w3cDate(article.publishedAt)}</updated>`,
+    `    <author><name>${escapeXml(article.source || PUBLICATION_NAME)}</name></author>`,
+    article.snippet ? `    <summary>${escapeXml(article.snippet)}</summary>` : null,
+    article.aiSummary ? `    <content type="html">${escapeXml(summaryHtml(article))}</content>` : null,
+    article.image ? `    <link rel="enclosure" type="${imageType(article.image)}" href="${escapeXml(article.image)}"/>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${w3cDate(updated)}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function renderJson(feed) {
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    language: feed.language,
+    items: feed.articles.map(article => ({
+      id: article.id,
+      url: article.url,
+      title: article.title,
+      summary: article.snippet || undefined,
+      content_text: article.aiSummary || article.snippet || article.title,
+      image: article.image || undefined,
+      date_published: w3cDate(article.publishedAt),
+      authors: article.source ? [{ name: article.source }] : undefined,
+      _newszoid: { source: article.source, ai_summary: article.aiSummary || null }
+    }))
+  }, null, 2)}\n`;
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+/**
+ * Renders a feed. Articles without an http(s) link are dropped.
+ * Returns { body, contentType, lastModified } - lastModified is the
+ * newest article date (the build time for an empty feed).
+ */
+function renderFeed(format, feed, { now = new Date() } = {}) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown feed format: ${format}`);
+
+  const articles = feed.articles.filter(isLinkable);
+  const lastModified = latestDate(articles) || now;
+
+  return {
+    body: render({ ...feed, articles }, lastModified),
+    contentType: FEED_FORMATS[format],
+    lastModified
+  };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  renderFeed
+};
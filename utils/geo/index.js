@@ -0,0 +1,166 @@
+// utils/geo/index.js - India geography lookups for local news:
+// place names and aliases, districts, states and nearest city by coordinates
+const { STATES, CITIES } = require('./places');
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_PHRASE_WORDS = 5;
+
+// Beyond this a reader is not "in" the nearest listed city, so
+// coordinate lookups fall back to that city's state
+const NEAREST_CITY_MAX_KM = 60;
+
+const STATES_BY_CODE = new Map(STATES.map(state => [state.code, state]));
+
+// Lowercase, strip accents and punctuation: "Navi-Mumbai, India" -> "navi mumbai india"
+function normalizePlaceName(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function buildIndex(entries, namesOf) {
+  const index = new Map();
+  for (const entry of entries) {
+    for (const name of namesOf(entry)) {
+      const key = normalizePlaceName(name);
+      if (key && !index.has(key)) index.set(key, entry);
+    }
+  }
+  return index;
+}
+
+const CITY_INDEX = buildIndex(CITIES, city => [city.name, city.key.replace(/-/g, ' '), ...city.aliases]);
+const DISTRICT_INDEX = buildIndex(CITIES, city => [city.district]);
+const STATE_INDEX = buildIndex(STATES, state => [state.name, ...state.aliases]);
+
+// ============================================================
+// PLACE RECORDS - what callers get back
+// ============================================================
+function stateInfo(code) {
+  const state = STATES_BY_CODE.get(code);
+  return { code: state.code, name: state.name };
+}
+
+function cityPlace(city, matchedBy) {
+  return {
+    type: 'city',
+    key: city.key,
+    name: city.name,
+    district: city.district,
+    state: stateInfo(city.state),
+    lat: city.lat,
+    lon: city.lon,
+    matchedBy
+  };
+}
+
+// A town we have no entry for, served with its state's news
+function statePlace(state, town = null) {
+  return {
+    type: 'state',
+    key: `state-${state.code.toLowerCase()}`,
+    name: state.name,
+    town,
+    state: { code: state.code, name: state.name },
+    lat: state.lat,
+    lon: state.lon,
+    matchedBy: 'state'
+  };
+}
+
+// ============================================================
+// TEXT LOOKUP
+// Whole phrases only - "Navi Mumbai" is its own city, not Mumbai.
+// Order: exact name or alias, then the longest known city phrase
+// inside the text, then a district, then a state.
+// ============================================================
+function* phrases(words) {
+  for (let size = Math.min(MAX_PHRASE_WORDS, words.length); size > 0; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      yield words.slice(start, start + size).join(' ');
+    }
+  }
+}
+
+function findInText(index, normalized) {
+  const words = normalized.split(' ');
+  for (const phrase of phrases(words)) {
+    if (index.has(phrase)) return index.get(phrase);
+  }
+  return null;
+}
+
+function resolveLocation(location) {
+  const normalized = normalizePlaceName(location);
+  if (!normalized) return null;
+
+  const exact = CITY_INDEX.get(normalized);
+  if (exact) return cityPlace(exact, 'name');
+
+  const city = findInText(CITY_INDEX, normalized);
+  if (city) return cityPlace(city, 'name');
+
+  const district = findInText(DISTRICT_INDEX, normalized);
+  if (district) return cityPlace(district, 'district');
+
+  const state = findInText(STATE_INDEX, normalized);
+  if (state) {
+    // "Kasauli, Himachal Pradesh" -> Himachal Pradesh news, town Kasauli
+    const town = String(location).split(',')[0].trim();
+    const isStateItself = normalizePlaceName(town) === normalizePlaceName(state.name) ||
+      STATE_INDEX.get(normalizePlaceName(town)) === state;
+    return statePlace(state, isStateItself ? null : town);
+  }
+
+  return null;
+}
+
+// ============================================================
+// COORDINATE LOOKUP
+// ============================================================
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Nearest listed city to a point, with distanceKm.
+ * Points further than maxKm from every city resolve to the nearest
+ * city's state instead.
+ */
+function nearestPlace(lat, lon, { maxKm = NEAREST_CITY_MAX_KM } = {}) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const city of CITIES) {
+    const distance = distanceKm(lat, lon, city.lat, city.lon);
+    if (distance < bestDistance) {
+      best = city;
+      bestDistance = distance;
+    }
+  }
+
+  const distance = Math.round(bestDistance * 10) / 10;
+  const place = bestDistance <= maxKm
+    ? cityPlace(best, 'coordinates')
+    : { ...statePlace(STATES_BY_CODE.get(best.state)), matchedBy: 'coordinates' };
+
+  return { ...place, distanceKm: distance };
+}
+
+module.exports = {
+  STATES,
+  CITIES,
+  normalizePlaceName,
+  resolveLocation,
+  nearestPlace,
+  distanceKm
+};
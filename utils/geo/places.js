@@ -0,0 +1,172 @@
+// utils/geo/places.js - Bundled India geography: states/UTs and major cities
+//
+// Coordinates are the administrative centre (state capital, city centre),
+// rounded to 4 decimals. `district` is the district the city falls in;
+// district names double as lookup keys for places not listed here.
+
+// code: ISO 3166-2:IN subdivision code
+const STATES = [
+  { code: 'AN', name: 'Andaman and Nicobar Islands', aliases: ['andaman', 'andaman and nicobar'], lat: 11.6234, lon: 92.7265 },
+  { code: 'AP', name: 'Andhra Pradesh', aliases: ['andhra'], lat: 16.5131, lon: 80.5165 },
+  { code: 'AR', name: 'Arunachal Pradesh', aliases: ['arunachal'], lat: 27.0844, lon: 93.6053 },
+  { code: 'AS', name: 'Assam', aliases: [], lat: 26.1433, lon: 91.7898 },
+  { code: 'BR', name: 'Bihar', aliases: [], lat: 25.5941, lon: 85.1376 },
+  { code: 'CH', name: 'Chandigarh', aliases: [], lat: 30.7333, lon: 76.7794 },
+  { code: 'CT', name: 'Chhattisgarh', aliases: ['chattisgarh'], lat: 21.2514, lon: 81.6296 },
+  { code: 'DH', name: 'Dadra and Nagar Haveli and Daman and Diu', aliases: ['dadra and nagar haveli', 'daman and diu'], lat: 20.3974, lon: 72.8328 },
+  { code: 'DL', name: 'Delhi', aliases: ['nct of delhi', 'national capital territory'], lat: 28.6139, lon: 77.2090 },
+  { code: 'GA', name: 'Goa', aliases: [], lat: 15.4909, lon: 73.8278 },
+  { code: 'GJ', name: 'Gujarat', aliases: [], lat: 23.2156, lon: 72.6369 },
+  { code: 'HP', name: 'Himachal Pradesh', aliases: ['himachal'], lat: 31.1048, lon: 77.1734 },
+  { code: 'HR', name: 'Haryana', aliases: [], lat: 30.7333, lon: 76.7794 },
+  { code: 'JH', name: 'Jharkhand', aliases: [], lat: 23.3441, lon: 85.3096 },
+  { code: 'JK', name: 'Jammu and Kashmir', aliases: ['j&k', 'j and k', 'kashmir'], lat: 34.0837, lon: 74.7973 },
+  { code: 'KA', name: 'Karnataka', aliases: [], lat: 12.9716, lon: 77.5946 },
+  { code: 'KL', name: 'Kerala', aliases: [], lat: 8.5241, lon: 76.9366 },
+  { code: 'LA', name: 'Ladakh', aliases: [], lat: 34.1526, lon: 77.5771 },
+  { code: 'LD', name: 'Lakshadweep', aliases: [], lat: 10.5593, lon: 72.6358 },
+  { code: 'MH', name: 'Maharashtra', aliases: [], lat: 19.0760, lon: 72.8777 },
+  { code: 'ML', name: 'Meghalaya', aliases: [], lat: 25.5788, lon: 91.8933 },
+  { code: 'MN', name: 'Manipur', aliases: [], lat: 24.8170, lon: 93.9368 },
+  { code: 'MP', name: 'Madhya Pradesh', aliases: [], lat: 23.2599, lon: 77.4126 },
+  { code: 'MZ', name: 'Mizoram', aliases: [], lat: 23.7271, lon: 92.7176 },
+  { code: 'NL', name: 'Nagaland', aliases: [], lat: 25.6751, lon: 94.1086 },
+  { code: 'OR', name: 'Odisha', aliases: ['orissa'], lat: 20.2961, lon: 85.8245 },
+  { code: 'PB', name: 'Punjab', aliases: [], lat: 30.7333, lon: 76.7794 },
+  { code: 'PY', name: 'Puducherry', aliases: ['pondicherry'], lat: 11.9416, lon: 79.8083 },
+  { code: 'RJ', name: 'Rajasthan', aliases: [], lat: 26.9124, lon: 75.7873 },
+  { code: 'SK', name: 'Sikkim', aliases: [], lat: 27.3389, lon: 88.6065 },
+  { code: 'TG', name: 'Telangana', aliases: [], lat: 17.3850, lon: 78.4867 },
+  { code: 'TN', name: 'Tamil Nadu', aliases: [], lat: 13.0827, lon: 80.2707 },
+  { code: 'TR', name: 'Tripura', aliases: [], lat: 23.8315, lon: 91.2868 },
+  { code: 'UK', name: 'Uttarakhand', aliases: ['uttaranchal'], lat: 30.3165, lon: 78.0322 },
+  { code: 'UP', name: 'Uttar Pradesh', aliases: [], lat: 26.8467, lon: 80.9462 },
+  { code: 'WB', name: 'West Bengal', aliases: ['bengal'], lat: 22.5726, lon: 88.3639 }
+];
+
+// key: stable slug (stored in Article.locations for ingested cities)
+const CITIES = [
+  // Delhi NCR
+  { key: 'delhi', name: 'Delhi', state: 'DL', district: 'New Delhi', aliases: ['new delhi', 'delhi ncr', 'ncr'], lat: 28.6139, lon: 77.2090 },
+  { key: 'noida', name: 'Noida', state: 'UP', district: 'Gautam Buddh Nagar', aliases: [], lat: 28.5355, lon: 77.3910 },
+  { key: 'greater-noida', name: 'Greater Noida', state: 'UP', district: 'Gautam Buddh Nagar', aliases: [], lat: 28.4744, lon: 77.5040 },
+  { key: 'ghaziabad', name: 'Ghaziabad', state: 'UP', district: 'Ghaziabad', aliases: [], lat: 28.6692, lon: 77.4538 },
+  { key: 'gurugram', name: 'Gurugram', state: 'HR', district: 'Gurugram', aliases: ['gurgaon'], lat: 28.4595, lon: 77.0266 },
+  { key: 'faridabad', name: 'Faridabad', state: 'HR', district: 'Faridabad', aliases: [], lat: 28.4089, lon: 77.3178 },
+
+  // Maharashtra
+  { key: 'mumbai', name: 'Mumbai', state: 'MH', district: 'Mumbai City', aliases: ['bombay'], lat: 19.0760, lon: 72.8777 },
+  { key: 'navi-mumbai', name: 'Navi Mumbai', state: 'MH', district: 'Thane', aliases: ['new bombay'], lat: 19.0330, lon: 73.0297 },
+  { key: 'thane', name: 'Thane', state: 'MH', district: 'Thane', aliases: [], lat: 19.2183, lon: 72.9781 },
+  { key: 'pune', name: 'Pune', state: 'MH', district: 'Pune', aliases: ['poona'], lat: 18.5204, lon: 73.8567 },
+  { key: 'nagpur', name: 'Nagpur', state: 'MH', district: 'Nagpur', aliases: [], lat: 21.1458, lon: 79.0882 },
+  { key: 'nashik', name: 'Nashik', state: 'MH', district: 'Nashik', aliases: ['nasik'], lat: 19.9975, lon: 73.7898 },
+  { key: 'aurangabad', name: 'Chhatrapati Sambhajinagar', state: 'MH', district: 'Chhatrapati Sambhajinagar', aliases: ['aurangabad', 'sambhajinagar'], lat: 19.8762, lon: 75.3433 },
+  { key: 'kolhapur', name: 'Kolhapur', state: 'MH', district: 'Kolhapur', aliases: [], lat: 16.7050, lon: 74.2433 },
+  { key: 'solapur', name: 'Solapur', state: 'MH', district: 'Solapur', aliases: ['sholapur'], lat: 17.6599, lon: 75.9064 },
+
+  // Karnataka
+  { key: 'bangalore', name: 'Bengaluru', state: 'KA', district: 'Bengaluru Urban', aliases: ['bangalore'], lat: 12.9716, lon: 77.5946 },
+  { key: 'mysuru', name: 'Mysuru', state: 'KA', district: 'Mysuru', aliases: ['mysore'], lat: 12.2958, lon: 76.6394 },
+  { key: 'mangaluru', name: 'Mangaluru', state: 'KA', district: 'Dakshina Kannada', aliases: ['mangalore'], lat: 12.9141, lon: 74.8560 },
+  { key: 'hubballi', name: 'Hubballi', state: 'KA', district: 'Dharwad', aliases: ['hubli', 'hubli dharwad'], lat: 15.3647, lon: 75.1240 },
+  { key: 'belagavi', name: 'Belagavi', state: 'KA', district: 'Belagavi', aliases: ['belgaum'], lat: 15.8497, lon: 74.4977 },
+
+  // Tamil Nadu and Puducherry
+  { key: 'chennai', name: 'Chennai', state: 'TN', district: 'Chennai', aliases: ['madras'], lat: 13.0827, lon: 80.2707 },
+  { key: 'coimbatore', name: 'Coimbatore', state: 'TN', district: 'Coimbatore', aliases: ['kovai'], lat: 11.0168, lon: 76.9558 },
+  { key: 'madurai', name: 'Madurai', state: 'TN', district: 'Madurai', aliases: [], lat: 9.9252, lon: 78.1198 },
+  { key: 'tiruchirappalli', name: 'Tiruchirappalli', state: 'TN', district: 'Tiruchirappalli', aliases: ['trichy', 'tiruchi'], lat: 10.7905, lon: 78.7047 },
+  { key: 'salem', name: 'Salem', state: 'TN', district: 'Salem', aliases: [], lat: 11.6643, lon: 78.1460 },
+  { key: 'puducherry', name: 'Puducherry', state: 'PY', district: 'Puducherry', aliases: ['pondicherry', 'pondy'], lat: 11.9416, lon: 79.8083 },
+
+  // Kerala
+  { key: 'thiruvananthapuram', name: 'Thiruvananthapuram', state: 'KL', district: 'Thiruvananthapuram', aliases: ['trivandrum'], lat: 8.5241, lon: 76.9366 },
+  { key: 'kochi', name: 'Kochi', state: 'KL', district: 'Ernakulam', aliases: ['cochin'], lat: 9.9312, lon: 76.2673 },
+  { key: 'kozhikode', name: 'Kozhikode', state: 'KL', district: 'Kozhikode', aliases: ['calicut'], lat: 11.2588, lon: 75.7804 },
+  { key: 'thrissur', name: 'Thrissur', state: 'KL', district: 'Thrissur', aliases: ['trichur'], lat: 10.5276, lon: 76.2144 },
+
+  // Telangana and Andhra Pradesh
+  { key: 'hyderabad', name: 'Hyderabad', state: 'TG', district: 'Hyderabad', aliases: ['secunderabad', 'cyberabad'], lat: 17.3850, lon: 78.4867 },
+  { key: 'warangal', name: 'Warangal', state: 'TG', district: 'Hanamkonda', aliases: [], lat: 17.9689, lon: 79.5941 },
+  { key: 'visakhapatnam', name: 'Visakhapatnam', state: 'AP', district: 'Visakhapatnam', aliases: ['vizag', 'vishakhapatnam'], lat: 17.6868, lon: 83.2185 },
+  { key: 'vijayawada', name: 'Vijayawada', state: 'AP', district: 'NTR', aliases: ['bezawada'], lat: 16.5062, lon: 80.6480 },
+  { key: 'guntur', name: 'Guntur', state: 'AP', district: 'Guntur', aliases: [], lat: 16.3067, lon: 80.4365 },
+  { key: 'tirupati', name: 'Tirupati', state: 'AP', district: 'Tirupati', aliases: [], lat: 13.6288, lon: 79.4192 },
+
+  // West Bengal
+  { key: 'kolkata', name: 'Kolkata', state: 'WB', district: 'Kolkata', aliases: ['calcutta'], lat: 22.5726, lon: 88.3639 },
+  { key: 'howrah', name: 'Howrah', state: 'WB', district: 'Howrah', aliases: [], lat: 22.5958, lon: 88.2636 },
+  { key: 'siliguri', name: 'Siliguri', state: 'WB', district: 'Darjeeling', aliases: [], lat: 26.7271, lon: 88.3953 },
+  { key: 'durgapur', name: 'Durgapur', state: 'WB', district: 'Paschim Bardhaman', aliases: [], lat: 23.5204, lon: 87.3119 },
+
+  // Gujarat
+  { key: 'ahmedabad', name: 'Ahmedabad', state: 'GJ', district: 'Ahmedabad', aliases: ['amdavad'], lat: 23.0225, lon: 72.5714 },
+  { key: 'surat', name: 'Surat', state: 'GJ', district: 'Surat', aliases: [], lat: 21.1702, lon: 72.8311 },
+  { key: 'vadodara', name: 'Vadodara', state: 'GJ', district: 'Vadodara', aliases: ['baroda'], lat: 22.3072, lon: 73.1812 },
+  { key: 'rajkot', name: 'Rajkot', state: 'GJ', district: 'Rajkot', aliases: [], lat: 22.3039, lon: 70.8022 },
+  { key: 'gandhinagar', name: 'Gandhinagar', state: 'GJ', district: 'Gandhinagar', aliases: [], lat: 23.2156, lon: 72.6369 },
+
+  // Rajasthan
+  { key: 'jaipur', name: 'Jaipur', state: 'RJ', district: 'Jaipur', aliases: [], lat: 26.9124, lon: 75.7873 },
+  { key: 'jodhpur', name: 'Jodhpur', state: 'RJ', district: 'Jodhpur', aliases: [], lat: 26.2389, lon: 73.0243 },
+  { key: 'udaipur', name: 'Udaipur', state: 'RJ', district: 'Udaipur', aliases: [], lat: 24.5854, lon: 73.7125 },
+  { key: 'kota', name: 'Kota', state: 'RJ', district: 'Kota', aliases: [], lat: 25.2138, lon: 75.8648 },
+
+  // Uttar Pradesh
+  { key: 'lucknow', name: 'Lucknow', state: 'UP', district: 'Lucknow', aliases: [], lat: 26.8467, lon: 80.9462 },
+  { key: 'kanpur', name: 'Kanpur', state: 'UP', district: 'Kanpur Nagar', aliases: ['cawnpore'], lat: 26.4499, lon: 80.3319 },
+  { key: 'varanasi', name: 'Varanasi', state: 'UP', district: 'Varanasi', aliases: ['banaras', 'benares', 'kashi'], lat: 25.3176, lon: 82.9739 },
+  { key: 'prayagraj', name: 'Prayagraj', state: 'UP', district: 'Prayagraj', aliases: ['allahabad'], lat: 25.4358, lon: 81.8463 },
+  { key: 'agra', name: 'Agra', state: 'UP', district: 'Agra', aliases: [], lat: 27.1767, lon: 78.0081 },
+  { key: 'meerut', name: 'Meerut', state: 'UP', district: 'Meerut', aliases: [], lat: 28.9845, lon: 77.7064 },
+
+  // Madhya Pradesh and Chhattisgarh
+  { key: 'bhopal', name: 'Bhopal', state: 'MP', district: 'Bhopal', aliases: [], lat: 23.2599, lon: 77.4126 },
+  { key: 'indore', name: 'Indore', state: 'MP', district: 'Indore', aliases: [], lat: 22.7196, lon: 75.8577 },
+  { key: 'gwalior', name: 'Gwalior', state: 'MP', district: 'Gwalior', aliases: [], lat: 26.2183, lon: 78.1828 },
+  { key: 'jabalpur', name: 'Jabalpur', state: 'MP', district: 'Jabalpur', aliases: [], lat: 23.1815, lon: 79.9864 },
+  { key: 'raipur', name: 'Raipur', state: 'CT', district: 'Raipur', aliases: [], lat: 21.2514, lon: 81.6296 },
+
+  // Bihar, Jharkhand and Odisha
+  { key: 'patna', name: 'Patna', state: 'BR', district: 'Patna', aliases: [], lat: 25.5941, lon: 85.1376 },
+  { key: 'gaya', name: 'Gaya', state: 'BR', district: 'Gaya', aliases: [], lat: 24.7914, lon: 85.0002 },
+  { key: 'ranchi', name: 'Ranchi', state: 'JH', district: 'Ranchi', aliases: [], lat: 23.3441, lon: 85.3096 },
+  { key: 'jamshedpur', name: 'Jamshedpur', state: 'JH', district: 'East Singhbhum', aliases: ['tatanagar'], lat: 22.8046, lon: 86.2029 },
+  { key: 'dhanbad', name: 'Dhanbad', state: 'JH', district: 'Dhanbad', aliases: [], lat: 23.7957, lon: 86.4304 },
+  { key: 'bhubaneswar', name: 'Bhubaneswar', state: 'OR', district: 'Khordha', aliases: [], lat: 20.2961, lon: 85.8245 },
+  { key: 'cuttack', name: 'Cuttack', state: 'OR', district: 'Cuttack', aliases: [], lat: 20.4625, lon: 85.8830 },
+
+  // Punjab, Haryana, Chandigarh and the hill states
+  { key: 'chandigarh', name: 'Chandigarh', state: 'CH', district: 'Chandigarh', aliases: ['tricity'], lat: 30.7333, lon: 76.7794 },
+  { key: 'mohali', name: 'Mohali', state: 'PB', district: 'SAS Nagar', aliases: ['sahibzada ajit singh nagar'], lat: 30.7046, lon: 76.7179 },
+  { key: 'ludhiana', name: 'Ludhiana', state: 'PB', district: 'Ludhiana', aliases: [], lat: 30.9010, lon: 75.8573 },
+  { key: 'amritsar', name: 'Amritsar', state: 'PB', district: 'Amritsar', aliases: [], lat: 31.6340, lon: 74.8723 },
+  { key: 'jalandhar', name: 'Jalandhar', state: 'PB', district: 'Jalandhar', aliases: [], lat: 31.3260, lon: 75.5762 },
+  { key: 'shimla', name: 'Shimla', state: 'HP', district: 'Shimla', aliases: ['simla'], lat: 31.1048, lon: 77.1734 },
+  { key: 'dehradun', name: 'Dehradun', state: 'UK', district: 'Dehradun', aliases: [], lat: 30.3165, lon: 78.0322 },
+  { key: 'haridwar', name: 'Haridwar', state: 'UK', district: 'Haridwar', aliases: [], lat: 29.9457, lon: 78.1642 },
+  { key: 'srinagar', name: 'Srinagar', state: 'JK', district: 'Srinagar', aliases: [], lat: 34.0837, lon: 74.7973 },
+  { key: 'jammu', name: 'Jammu', state: 'JK', district: 'Jammu', aliases: [], lat: 32.7266, lon: 74.8570 },
+  { key: 'leh', name: 'Leh', state: 'LA', district: 'Leh', aliases: [], lat: 34.1526, lon: 77.5771 },
+
+  // North East
+  { key: 'guwahati', name: 'Guwahati', state: 'AS', district: 'Kamrup Metropolitan', aliases: ['gauhati'], lat: 26.1445, lon: 91.7362 },
+  { key: 'shillong', name: 'Shillong', state: 'ML', district: 'East Khasi Hills', aliases: [], lat: 25.5788, lon: 91.8933 },
+  { key: 'imphal', name: 'Imphal', state: 'MN', district: 'Imphal West', aliases: [], lat: 24.8170, lon: 93.9368 },
+  { key: 'agartala', name: 'Agartala', state: 'TR', district: 'West Tripura', aliases: [], lat: 23.8315, lon: 91.2868 },
+  { key: 'aizawl', name: 'Aizawl', state: 'MZ', district: 'Aizawl', aliases: [], lat: 23.7271, lon: 92.7176 },
+  { key: 'kohima', name: 'Kohima', state: 'NL', district: 'Kohima', aliases: [], lat: 25.6751, lon: 94.1086 },
+  { key: 'itanagar', name: 'Itanagar', state: 'AR', district: 'Papum Pare', aliases: [], lat: 27.0844, lon: 93.6053 },
+  { key: 'gangtok', name: 'Gangtok', state: 'SK', district: 'Gangtok', aliases: [], lat: 27.3389, lon: 88.6065 },
+
+  // Goa and the smaller union territories
+  { key: 'panaji', name: 'Panaji', state: 'GA', district: 'North Goa', aliases: ['panjim'], lat: 15.4909, lon: 73.8278 },
+  { key: 'margao', name: 'Margao', state: 'GA', district: 'South Goa', aliases: ['madgaon'], lat: 15.2832, lon: 73.9862 },
+  { key: 'port-blair', name: 'Sri Vijaya Puram', state: 'AN', district: 'South Andaman', aliases: ['port blair'], lat: 11.6234, lon: 92.7265 },
+  { key: 'daman', name: 'Daman', state: 'DH', district: 'Daman', aliases: [], lat: 20.3974, lon: 72.8328 },
+  { key: 'silvassa', name: 'Silvassa', state: 'DH', district: 'Dadra and Nagar Haveli', aliases: [], lat: 20.2766, lon: 73.0083 },
+  { key: 'kavaratti', name: 'Kavaratti', state: 'LD', district: 'Lakshadweep', aliases: [], lat: 10.5593, lon: 72.6358 }
+];
+
+module.exports = { STATES, CITIES };
@@ -0,0 +1,32 @@
+// utils/httpClient.js
+const axios = require('axios');
+
+// Network errors, timeouts and 5xx may clear up; other 4xx will not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 408 || status >= 500;
+}
+
+// ============================================================
+// HELPER: Fetch with timeout and retry
+// ============================================================
+async function fetchWithRetry(url, options = {}, retries = 2) {
+  for (let i = 0; i <= retries; i++) {
+    try {
+      const response = await axios({
+        url,
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        data: options.body,
+        timeout: options.timeout || 8000,
+        responseType: options.responseType || 'json'
+      });
+      return response.data;
+    } catch (error) {
+      if (i === retries || !isRetryable(error)) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+    }
+  }
+}
+
+module.exports = { fetchWithRetry, isRetryable };
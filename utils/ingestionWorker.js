@@ -0,0 +1,154 @@
+// utils/ingestionWorker.js - Background provider fetches into the Article store
+const { fetchFromProviders, getActiveProviders } = require('./providers');
+const { INDIAN_CITIES } = require('./newsSources');
+const { getCategory, listCategories } = require('./categories');
+const { isStoreReady, upsertArticles, pruneArticles, addArticleEntities } = require('./articleStore');
+const { enrichEntities } = require('./entities');
+const { publishEvent } = require('./newsEvents');
+const { findBreakingStories, takeNewBreaking } = require('./breakingNews');
+
+const INTERVAL_MINUTES = parseInt(process.env.INGESTION_INTERVAL_MINUTES || '30', 10);
+const PAGE_SIZE = parseInt(process.env.INGESTION_PAGE_SIZE || '20', 10);
+const RETENTION_DAYS = parseInt(process.env.ARTICLE_RETENTION_DAYS || '30', 10);
+// LLM entity tagging on top of the dictionary tagger: off unless
+// ENTITY_LLM_ENRICH=true, and capped per category/city per run
+const ENRICH_ENTITIES = process.env.ENTITY_LLM_ENRICH === 'true';
+const ENRICH_PER_JOB = parseInt(process.env.ENTITY_LLM_PER_JOB || '3', 10);
+
+let timer = null;
+let running = null;
+
+// Tells stream clients about new articles and stories breaking among them
+function announce(fetched, inserted, { category, location }) {
+  const categories = [category || 'local'];
+
+  inserted.forEach(article => {
+    publishEvent('article', { article, ...(location ? { location } : { category }) }, { categories });
+  });
+
+  takeNewBreaking(findBreakingStories(fetched)).forEach(story => {
+    publishEvent('breaking', { ...story, ...(location ? { location } : { category }) }, { categories });
+  });
+}
+
+async function enrichNewArticles(inserted) {
+  if (!ENRICH_ENTITIES) return;
+
+  for (const article of inserted.slice(0, ENRICH_PER_JOB)) {
+    try {
+      await addArticleEntities(article.id, await enrichEntities(article));
+    } catch (error) {
+      console.error(`Entity enrichment failed for ${article.id}:`, error.message);
+    }
+  }
+}
+
+// ============================================================
+// INGEST a single category or city
+// ============================================================
+async function ingestCategory(category) {
+  const config = getCategory(category);
+  const ctx = {
+    query: config?.query || category,
+    providerQueries: config?.providerQueries,
+    page: 1,
+    pageSize: PAGE_SIZE,
+    category,
+    feeds: config?.feeds
+  };
+
+  if (getActiveProviders(ctx).length === 0) return { upserted: 0, modified: 0 };
+
+  const { articles } = await fetchFromProviders(ctx);
+  const result = await upsertArticles(articles, { category });
+  announce(articles, result.inserted, { category });
+  await enrichNewArticles(result.inserted);
+  return result;
+}
+
+async function ingestCity(cityKey) {
+  const city = INDIAN_CITIES[cityKey];
+  const ctx = {
+    query: city.query,
+    page: 1,
+    pageSize: PAGE_SIZE,
+    category: 'local',
+    feeds: city.feeds
+  };
+
+  if (getActiveProviders(ctx).length === 0) return { upserted: 0, modified: 0 };
+
+  const { articles } = await fetchFromProviders(ctx);
+  const result = await upsertArticles(articles, { location: cityKey });
+  announce(articles, result.inserted, { location: cityKey });
+  await enrichNewArticles(result.inserted);
+  return result;
+}
+
+// ============================================================
+// FULL RUN - every category then every city, one at a time
+// so a run never fans out more than one query's worth of requests
+// ============================================================
+async function runIngestion() {
+  if (!isStoreReady()) return null;
+  if (running) return running;
+
+  running = (async () => {
+    const startedAt = Date.now();
+    const totals = { upserted: 0, modified: 0, failed: 0 };
+
+    const jobs = [
+      ...listCategories().map(({ slug }) => ['category', slug, () => ingestCategory(slug)]),
+      ...Object.keys(INDIAN_CITIES).map(city => ['city', city, () => ingestCity(city)])
+    ];
+
+    for (const [kind, name, job] of jobs) {
+      try {
+        const result = await job();
+        totals.upserted += result.upserted;
+        totals.modified += result.modified;
+      } catch (error) {
+        totals.failed++;
+        console.error(`Ingestion error (${kind} ${name}):`, error.message);
+      }
+    }
+
+    try {
+      totals.pruned = await pruneArticles(RETENTION_DAYS);
+    } catch (error) {
+      console.error('Article prune error:', error.message);
+    }
+
+    console.log(
+      `📰 Ingestion complete in ${Date.now() - startedAt}ms: ` +
+      `${totals.upserted} new, ${totals.modified} updated, ${totals.failed} failed`
+    );
+    return totals;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+function startIngestionWorker() {
+  if (timer || process.env.INGESTION_ENABLED === 'false') return;
+
+  console.log(`📰 Ingestion worker started (every ${INTERVAL_MINUTES} min)`);
+  runIngestion();
+  timer = setInterval(runIngestion, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+function stopIngestionWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  ingestCategory,
+  ingestCity,
+  runIngestion,
+  startIngestionWorker,
+  stopIngestionWorker
+};
@@ -0,0 +1,36 @@
+// utils/llm/backends/gemini.js - Google Gemini via @google/generative-ai
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { llmError } = require('../errors');
+
+function createGeminiBackend({ apiKey, model = 'gemini-pro' }) {
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+
+    // The SDK takes no abort signal; the client enforces the timeout and
+    // keeps the concurrency slot until the request settles
+    async generate(prompt) {
+      try {
+        const result = await client.generateContent(prompt);
+        const usage = result.response.usageMetadata || {};
+
+        return {
+          text: result.response.text(),
+          promptTokens: usage.promptTokenCount,
+          completionTokens: usage.candidatesTokenCount
+        };
+      } catch (error) {
+        const status = Number((error.message || '').match(/\[(\d{3})[^\]]*\]/)?.[1]) || null;
+        throw llmError(error.message, {
+          code: status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR',
+          status,
+          retryable: !status || status === 429 || status >= 500
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createGeminiBackend };
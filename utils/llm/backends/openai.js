@@ -0,0 +1,51 @@
+// utils/llm/backends/openai.js - Any OpenAI-compatible chat completions API
+// (OpenAI, or a local Ollama / llama.cpp server at e.g. http://localhost:11434/v1)
+const axios = require('axios');
+const { llmError } = require('../errors');
+
+function createOpenAiBackend({ baseUrl, apiKey, model }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, { timeout, signal } = {}) {
+      try {
+        const response = await axios.post(
+          endpoint,
+          {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2
+          },
+          {
+            timeout,
+            signal,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+          }
+        );
+
+        const { choices = [], usage = {} } = response.data || {};
+        return {
+          text: choices[0]?.message?.content || '',
+          promptTokens: usage.prompt_tokens,
+          completionTokens: usage.completion_tokens
+        };
+      } catch (error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw llmError(`LLM request timed out after ${timeout}ms`, { code: 'TIMEOUT', retryable: true });
+        }
+
+        const status = error.response?.status || null;
+        throw llmError(error.response?.data?.error?.message || error.message, {
+          code: status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR',
+          status,
+          retryable: !status || status === 429 || status >= 500
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAiBackend };
@@ -0,0 +1,14 @@
+// utils/llm/errors.js - Errors raised by the LLM client
+//
+// code: NOT_CONFIGURED | BUDGET_EXCEEDED | TIMEOUT | RATE_LIMITED | UPSTREAM_ERROR
+// retryable: whether the client may try the same call again
+function llmError(message, { code, status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.name = 'LlmError';
+  error.code = code;
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+module.exports = { llmError };
@@ -0,0 +1,252 @@
+// utils/llm/index.js - LLM client: backend selection, timeouts, retries,
+// a global concurrency cap and daily usage accounting
+const mongoose = require('mongoose');
+const LlmUsage = require('../../models/LlmUsage');
+const { renderPrompt } = require('./prompts');
+const { llmError } = require('./errors');
+const { createGeminiBackend } = require('./backends/gemini');
+const { createOpenAiBackend } = require('./backends/openai');
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Backends that do not report usage get a rough 4-characters-per-token estimate
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Models often wrap JSON in ```json fences or add a sentence around it
+function parseJsonReply(raw) {
+  const unfenced = String(raw || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(llmError(`LLM request timed out after ${ms}ms`, { code: 'TIMEOUT', retryable: true })),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ============================================================
+// CLIENT FACTORY
+// backend: { name, model, generate(prompt, { timeout, signal }) }
+// onUsage: called with one accounting entry per request
+// ============================================================
+function createLlmClient({
+  backend,
+  timeoutMs = 20000,
+  maxRetries = 2,
+  retryDelayMs = 500,
+  maxConcurrency = 2,
+  dailyTokenBudget = 0,
+  onUsage = () => {}
+}) {
+  let active = 0;
+  const waiting = [];
+  let usage = { day: today(), requests: 0, failures: 0, promptTokens: 0, completionTokens: 0 };
+
+  async function acquireSlot() {
+    if (active < maxConcurrency) {
+      active++;
+      return;
+    }
+    // The releasing caller hands its slot straight to the next waiter
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  function currentUsage() {
+    if (usage.day !== today()) {
+      usage = { day: today(), requests: 0, failures: 0, promptTokens: 0, completionTokens: 0 };
+    }
+    return usage;
+  }
+
+  function account(prompt, { promptTokens = 0, completionTokens = 0, failed = false }) {
+    const counters = currentUsage();
+    counters.requests++;
+    if (failed) counters.failures++;
+    counters.promptTokens += promptTokens;
+    counters.completionTokens += completionTokens;
+
+    onUsage({
+      day: counters.day,
+      backend: backend.name,
+      model: backend.model,
+      prompt: `${prompt.name}@${prompt.version}`,
+      promptTokens,
+      completionTokens,
+      failed
+    });
+  }
+
+  async function callOnce(prompt, timeout) {
+    await acquireSlot();
+    const controller = new AbortController();
+    const request = Promise.resolve().then(() => backend.generate(prompt.text, { timeout, signal: controller.signal }));
+
+    // The slot is held until the backend call settles, not just until the
+    // timeout, so a backend that cannot abort never exceeds maxConcurrency
+    request.then(releaseSlot, releaseSlot);
+
+    try {
+      return await withTimeout(request, timeout);
+    } catch (error) {
+      controller.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Renders a prompt template and runs it, retrying timeouts, rate limits
+   * and 5xx responses with exponential backoff.
+   * Returns { text, prompt, promptVersion, backend, model, promptTokens, completionTokens }
+   */
+  async function generate(promptName, vars = {}, { timeout = timeoutMs } = {}) {
+    const prompt = renderPrompt(promptName, vars);
+
+    const spent = currentUsage().promptTokens + currentUsage().completionTokens;
+    if (dailyTokenBudget > 0 && spent >= dailyTokenBudget) {
+      throw llmError('Daily LLM token budget exhausted', { code: 'BUDGET_EXCEEDED' });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await callOnce(prompt, timeout);
+        const promptTokens = result.promptTokens ?? estimateTokens(prompt.text);
+        const completionTokens = result.completionTokens ?? estimateTokens(result.text);
+        account(prompt, { promptTokens, completionTokens });
+
+        return {
+          text: result.text,
+          prompt: prompt.name,
+          promptVersion: prompt.version,
+          backend: backend.name,
+          model: backend.model,
+          promptTokens,
+          completionTokens
+        };
+      } catch (error) {
+        account(prompt, { promptTokens: estimateTokens(prompt.text), failed: true });
+
+        if (!error.retryable || attempt >= maxRetries) throw error;
+
+        const delay = retryDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+        console.warn(`LLM ${backend.name} ${error.code}, retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    backend: backend.name,
+    model: backend.model,
+    generate,
+    getUsage: () => ({ ...currentUsage(), dailyTokenBudget, active, queued: waiting.length })
+  };
+}
+
+// ============================================================
+// DEFAULT CLIENT - configured from the environment
+//   LLM_BACKEND: gemini | openai (default: whichever is configured)
+//   GEMINI_API_KEY, GEMINI_MODEL
+//   LLM_BASE_URL, LLM_API_KEY, LLM_MODEL (OpenAI-compatible server)
+// ============================================================
+function backendFromEnv() {
+  const preferred = (process.env.LLM_BACKEND || '').toLowerCase();
+  const hasGemini = !!process.env.GEMINI_API_KEY;
+  const hasOpenAi = !!process.env.LLM_BASE_URL;
+
+  if (hasGemini && (preferred === 'gemini' || !preferred || !hasOpenAi)) {
+    return createGeminiBackend({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-pro'
+    });
+  }
+  if (hasOpenAi) {
+    return createOpenAiBackend({
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      model: process.env.LLM_MODEL || 'llama3'
+    });
+  }
+  return null;
+}
+
+function persistUsage(entry) {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const { day, backend, model, prompt, promptTokens, completionTokens, failed } = entry;
+  LlmUsage.updateOne(
+    { day, backend, model, prompt },
+    { $inc: { requests: 1, failures: failed ? 1 : 0, promptTokens, completionTokens } },
+    { upsert: true }
+  ).catch(err => console.error('LLM usage error:', err.message));
+}
+
+let defaultClient;
+
+function getLlmClient() {
+  if (defaultClient === undefined) {
+    let backend = null;
+    try {
+      backend = backendFromEnv();
+    } catch (error) {
+      console.error('LLM backend init failed:', error.message);
+    }
+
+    defaultClient = backend
+      ? createLlmClient({
+          backend,
+          timeoutMs: envInt('LLM_TIMEOUT_MS', 20000),
+          maxRetries: envInt('LLM_MAX_RETRIES', 2),
+          maxConcurrency: Math.max(1, envInt('LLM_MAX_CONCURRENCY', 2)),
+          dailyTokenBudget: envInt('LLM_DAILY_TOKEN_BUDGET', 0),
+          onUsage: persistUsage
+        })
+      : null;
+  }
+  return defaultClient;
+}
+
+function isLlmEnabled() {
+  return !!getLlmClient();
+}
+
+async function generate(promptName, vars, options) {
+  const client = getLlmClient();
+  if (!client) throw llmError('No LLM backend configured', { code: 'NOT_CONFIGURED' });
+  return client.generate(promptName, vars, options);
+}
+
+module.exports = {
+  createLlmClient,
+  getLlmClient,
+  isLlmEnabled,
+  generate,
+  parseJsonReply
+};
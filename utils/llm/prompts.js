@@ -0,0 +1,68 @@
+// utils/llm/prompts.js - Versioned prompt templates
+//
+// Bump a template's version whenever its wording changes. The version is
+// recorded in usage accounting and returned with generated summaries, so
+// output from an old prompt can be told apart from the current one.
+
+const PROMPTS = {
+  'summary.brief': {
+    version: 2,
+    render: ({ text }) => `
+Summarize the following news in 2–3 neutral lines.
+No opinions, no assumptions.
+
+${text}
+`
+  },
+
+  'summary.structured': {
+    version: 1,
+    render: ({ instructions, schema, previousError, title, text }) => `You summarize news articles. Be neutral: no opinions, no assumptions,
+only facts stated in the article.
+
+${instructions}
+List the people, organizations, places and events the article names as entities.
+
+Reply with a single JSON object and nothing else, in this shape:
+${JSON.stringify(schema, null, 2)}
+${previousError ? `\nYour previous reply was rejected: ${previousError}. Reply with valid JSON only.\n` : ''}
+Article:
+${title ? `${title}\n\n` : ''}${text}
+`
+  },
+
+  'entities.extract': {
+    version: 1,
+    render: ({ types, title, text }) => `List the people, organizations, places and topics this news article is about.
+Use each one's full, commonly used name (e.g. "Reserve Bank of India", not "the central bank").
+Only include names stated in the text. At most 10.
+
+Reply with a single JSON object and nothing else, in this shape:
+{ "entities": [{ "name": string, "type": ${types.map(type => `"${type}"`).join(' | ')} }] }
+
+Article:
+${title ? `${title}\n\n` : ''}${text}
+`
+  },
+
+  'translate.fields': {
+    version: 1,
+    render: ({ language, fields, previousError }) => `Translate the values of this JSON object from English to ${language}.
+Keep the keys and the structure exactly as they are. Keep names of people,
+places and organizations recognizable; do not add or drop information.
+${previousError ? `\nYour previous reply was rejected: ${previousError}. Reply with valid JSON only.\n` : ''}
+Reply with the translated JSON object and nothing else.
+
+${JSON.stringify(fields, null, 2)}
+`
+  }
+};
+
+function renderPrompt(name, vars = {}) {
+  const template = PROMPTS[name];
+  if (!template) throw new Error(`Unknown prompt template: ${name}`);
+
+  return { name, version: template.version, text: template.render(vars) };
+}
+
+module.exports = { PROMPTS, renderPrompt };
@@ -0,0 +1,74 @@
+// utils/newsEvents.js - In-process event hub behind GET /api/news/stream
+//
+// Event types:
+//   article:  a newly ingested article { article, category?, location? }
+//   summary:  an AI summary finished { articleId, summary }
+//   breaking: a story several outlets picked up at once { clusterId, article, sources }
+//
+// IDs are "<instance>-<sequence>". A client can resume after a
+// reconnect only on the instance that issued its last ID and only while
+// that ID is still in the replay buffer.
+const EventEmitter = require('events');
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE || '500', 10);
+const INSTANCE_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+
+/**
+ * Publishes an event to every subscriber and the replay buffer.
+ * categories: the categories it belongs to; empty means every client
+ */
+function publishEvent(type, data, { categories = [] } = {}) {
+  sequence++;
+  const event = { id: `${INSTANCE_ID}-${sequence}`, sequence, type, data, categories, at: Date.now() };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Events after lastEventId, oldest first. null when the ID cannot be
+ * resumed (another instance, a restart, or already out of the buffer).
+ */
+function eventsAfter(lastEventId) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId || '');
+  if (!match || match[1] !== INSTANCE_ID) return null;
+
+  const after = parseInt(match[2], 10);
+  if (after > sequence) return null;
+  if (after < sequence && (buffer.length === 0 || buffer[0].sequence > after + 1)) return null;
+
+  return buffer.filter(event => event.sequence > after);
+}
+
+// No filter means every category
+function matchesCategories(event, categories) {
+  if (!categories || categories.length === 0 || event.categories.length === 0) return true;
+  return event.categories.some(category => categories.includes(category));
+}
+
+// One SSE message; JSON.stringify never emits raw newlines
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+module.exports = {
+  publishEvent,
+  subscribe,
+  eventsAfter,
+  matchesCategories,
+  formatEvent
+};
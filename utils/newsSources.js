@@ -0,0 +1,167 @@
+// utils/newsSources.js - What we fetch for each category and city
+
+// ============================================================
+// CATEGORY MAPPING - Built-in categories: API queries and the
+// RSS/Atom feeds that cover them. Seeds the admin-managed
+// Category collection (see utils/categories).
+// ============================================================
+const THE_HINDU = 'https://www.thehindu.com';
+
+const CATEGORY_MAP = {
+  general: { query: 'latest news', feeds: [`${THE_HINDU}/feeder/default.rss`] },
+  india: { query: 'India news', feeds: [`${THE_HINDU}/news/national/feeder/default.rss`] },
+  world: { query: 'international world news', feeds: [`${THE_HINDU}/news/international/feeder/default.rss`] },
+  business: { query: 'business finance economy', feeds: [`${THE_HINDU}/business/feeder/default.rss`] },
+  technology: { query: 'technology AI innovation', feeds: [`${THE_HINDU}/sci-tech/technology/feeder/default.rss`] },
+  sports: { query: 'sports cricket football', feeds: [`${THE_HINDU}/sport/feeder/default.rss`] },
+  environment: { query: 'climate environment pollution', feeds: [`${THE_HINDU}/sci-tech/energy-and-environment/feeder/default.rss`] },
+  education: { query: 'education schools universities', feeds: [`${THE_HINDU}/education/feeder/default.rss`] },
+  health: { query: 'health medicine healthcare', feeds: [`${THE_HINDU}/sci-tech/health/feeder/default.rss`] },
+  science: { query: 'science research space', feeds: [`${THE_HINDU}/sci-tech/science/feeder/default.rss`] },
+  economy: { query: 'inflation economy GDP', feeds: [`${THE_HINDU}/business/Economy/feeder/default.rss`] },
+  legal: { query: 'court law judiciary', feeds: [] },
+  culture: { query: 'culture arts entertainment', feeds: [`${THE_HINDU}/entertainment/feeder/default.rss`] },
+  'global-politics': { query: 'international politics diplomacy', feeds: [] },
+  'global-finance': { query: 'global markets finance', feeds: [] }
+};
+
+// ============================================================
+// LANGUAGES - content languages the news endpoints accept.
+// Category keywords per language; categories without an entry
+// fall back to the English query. Feeds above are English only.
+// ============================================================
+const DEFAULT_LANGUAGE = 'en';
+const CONTENT_LANGUAGES = ['en', 'hi', 'mr', 'ta', 'bn'];
+
+const CATEGORY_QUERIES = {
+  hi: {
+    general: 'ताज़ा समाचार',
+    india: 'भारत समाचार',
+    world: 'अंतरराष्ट्रीय समाचार',
+    business: 'व्यापार अर्थव्यवस्था',
+    technology: 'तकनीक',
+    sports: 'खेल क्रिकेट',
+    environment: 'पर्यावरण प्रदूषण',
+    education: 'शिक्षा',
+    health: 'स्वास्थ्य',
+    science: 'विज्ञान',
+    economy: 'अर्थव्यवस्था महंगाई',
+    legal: 'अदालत कानून',
+    culture: 'मनोरंजन संस्कृति'
+  },
+  mr: {
+    general: 'ताज्या बातम्या',
+    india: 'भारत बातम्या',
+    world: 'आंतरराष्ट्रीय बातम्या',
+    business: 'व्यापार अर्थव्यवस्था',
+    technology: 'तंत्रज्ञान',
+    sports: 'क्रीडा क्रिकेट',
+    environment: 'पर्यावरण',
+    education: 'शिक्षण',
+    health: 'आरोग्य',
+    science: 'विज्ञान',
+    economy: 'अर्थव्यवस्था महागाई',
+    legal: 'न्यायालय कायदा',
+    culture: 'मनोरंजन संस्कृती'
+  },
+  ta: {
+    general: 'சமீபத்திய செய்திகள்',
+    india: 'இந்தியா செய்திகள்',
+    world: 'உலக செய்திகள்',
+    business: 'வணிகம் பொருளாதாரம்',
+    technology: 'தொழில்நுட்பம்',
+    sports: 'விளையாட்டு கிரிக்கெட்',
+    environment: 'சுற்றுச்சூழல்',
+    education: 'கல்வி',
+    health: 'சுகாதாரம்',
+    science: 'அறிவியல்',
+    economy: 'பொருளாதாரம் பணவீக்கம்',
+    legal: 'நீதிமன்றம் சட்டம்',
+    culture: 'பொழுதுபோக்கு கலாச்சாரம்'
+  },
+  bn: {
+    general: 'সর্বশেষ খবর',
+    india: 'ভারত খবর',
+    world: 'আন্তর্জাতিক খবর',
+    business: 'ব্যবসা অর্থনীতি',
+    technology: 'প্রযুক্তি',
+    sports: 'খেলা ক্রিকেট',
+    environment: 'পরিবেশ দূষণ',
+    education: 'শিক্ষা',
+    health: 'স্বাস্থ্য',
+    science: 'বিজ্ঞান',
+    economy: 'অর্থনীতি মূল্যবৃদ্ধি',
+    legal: 'আদালত আইন',
+    culture: 'বিনোদন সংস্কৃতি'
+  }
+};
+
+// "news" in each language, appended to localized city names
+const NEWS_WORD = { hi: 'समाचार', mr: 'बातम्या', ta: 'செய்திகள்', bn: 'খবর' };
+
+// Query, per-provider queries and feeds for a category in a language.
+// config: a category record (see utils/categories), built-ins by default
+function categorySource(category, lang = DEFAULT_LANGUAGE, config = CATEGORY_MAP[category]) {
+  if (lang === DEFAULT_LANGUAGE) {
+    return {
+      query: config?.query || category,
+      providerQueries: config?.providerQueries || {},
+      feeds: config?.feeds || []
+    };
+  }
+  // Provider overrides are written in English, so they are dropped too
+  return {
+    query: CATEGORY_QUERIES[lang]?.[category] || config?.query || category,
+    providerQueries: {},
+    feeds: []
+  };
+}
+
+// ============================================================
+// LOCATION MAPPING - cities the ingestion worker keeps stocked.
+// Keys are utils/geo city keys; every other place is resolved
+// by utils/geo and searched by name.
+// ============================================================
+const htCityFeed = slug => `https://www.hindustantimes.com/feeds/rss/cities/${slug}-news/rssfeed.xml`;
+
+const INDIAN_CITIES = {
+  'delhi': { name: 'Delhi', query: 'Delhi NCR news', feeds: [htCityFeed('delhi')],
+    localNames: { hi: 'दिल्ली', mr: 'दिल्ली', ta: 'டெல்லி', bn: 'দিল্লি' } },
+  'mumbai': { name: 'Mumbai', query: 'Mumbai news', feeds: [htCityFeed('mumbai')],
+    localNames: { hi: 'मुंबई', mr: 'मुंबई', ta: 'மும்பை', bn: 'মুম্বই' } },
+  'bangalore': { name: 'Bangalore', query: 'Bangalore Bengaluru news', feeds: [htCityFeed('bengaluru')],
+    localNames: { hi: 'बेंगलुरु', mr: 'बेंगळुरू', ta: 'பெங்களூரு', bn: 'বেঙ্গালুরু' } },
+  'chennai': { name: 'Chennai', query: 'Chennai news', feeds: [`${THE_HINDU}/news/cities/chennai/feeder/default.rss`],
+    localNames: { hi: 'चेन्नई', mr: 'चेन्नई', ta: 'சென்னை', bn: 'চেন্নাই' } },
+  'kolkata': { name: 'Kolkata', query: 'Kolkata news', feeds: [htCityFeed('kolkata')],
+    localNames: { hi: 'कोलकाता', mr: 'कोलकाता', ta: 'கொல்கத்தா', bn: 'কলকাতা' } },
+  'hyderabad': { name: 'Hyderabad', query: 'Hyderabad news', feeds: [`${THE_HINDU}/news/cities/Hyderabad/feeder/default.rss`],
+    localNames: { hi: 'हैदराबाद', mr: 'हैदराबाद', ta: 'ஹைதராபாத்', bn: 'হায়দরাবাদ' } },
+  'pune': { name: 'Pune', query: 'Pune news', feeds: [htCityFeed('pune')],
+    localNames: { hi: 'पुणे', mr: 'पुणे', ta: 'புனே', bn: 'পুনে' } },
+  'ahmedabad': { name: 'Ahmedabad', query: 'Ahmedabad news', feeds: [],
+    localNames: { hi: 'अहमदाबाद', mr: 'अहमदाबाद', ta: 'அகமதாபாத்', bn: 'আহমেদাবাদ' } }
+};
+
+// Query and feeds for a place resolved by utils/geo, in a language.
+// Small towns resolved to their state are searched as the state.
+function localSource(place, lang = DEFAULT_LANGUAGE) {
+  const city = place.type === 'city' ? INDIAN_CITIES[place.key] : null;
+
+  if (lang === DEFAULT_LANGUAGE) {
+    if (city) return { query: city.query, feeds: city.feeds };
+    return { query: `${place.name} news`, feeds: [] };
+  }
+
+  const name = city?.localNames?.[lang] || place.name;
+  return { query: `${name} ${NEWS_WORD[lang] || ''}`.trim(), feeds: [] };
+}
+
+module.exports = {
+  CATEGORY_MAP,
+  INDIAN_CITIES,
+  DEFAULT_LANGUAGE,
+  CONTENT_LANGUAGES,
+  categorySource,
+  localSource
+};
@@ -0,0 +1,87 @@
+// utils/personalization.js - Reader profile and "For You" ranking
+const { isActiveCategory } = require('./categories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AFFINITY_HALF_LIFE_DAYS = 14;   // older reading counts for less
+const FRESHNESS_HALF_LIFE_HOURS = 12; // older stories rank lower
+const VIEW_WEIGHT_SECONDS = 30;       // a view without tracked time counts as 30s
+
+function decay(ageMs, halfLifeMs) {
+  return Math.pow(0.5, Math.max(0, ageMs) / halfLifeMs);
+}
+
+function displayName(category) {
+  return category
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// ============================================================
+// PROFILE - category affinity and source preferences
+// categoryStats: [{ _id: category, totalTime, views, lastViewed }]
+// sourceCounts: { 'The Hindu': 4, ... }
+// ============================================================
+function buildProfile(categoryStats, sourceCounts = {}) {
+  const now = Date.now();
+  const raw = {};
+
+  for (const stat of categoryStats) {
+    const category = String(stat._id || '').toLowerCase().trim();
+    if (!isActiveCategory(category)) continue;
+
+    const engagement = (stat.totalTime || 0) + VIEW_WEIGHT_SECONDS * (stat.views || 1);
+    const age = now - new Date(stat.lastViewed || now).getTime();
+    raw[category] = (raw[category] || 0) + engagement * decay(age, AFFINITY_HALF_LIFE_DAYS * DAY_MS);
+  }
+
+  const total = Object.values(raw).reduce((sum, value) => sum + value, 0);
+  const affinity = {};
+  for (const [category, value] of Object.entries(raw)) {
+    affinity[category] = total > 0 ? value / total : 0;
+  }
+
+  const maxSource = Math.max(0, ...Object.values(sourceCounts));
+  const sources = {};
+  for (const [source, count] of Object.entries(sourceCounts)) {
+    sources[source] = maxSource > 0 ? count / maxSource : 0;
+  }
+
+  return { affinity, sources, isNew: Object.keys(affinity).length === 0 };
+}
+
+// Categories worth pulling candidates for, strongest first
+function topCategories(profile, limit = 5) {
+  return Object.entries(profile.affinity)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([category]) => category);
+}
+
+// ============================================================
+// RANK - affinity x freshness x source preference, unread only
+// ============================================================
+function rankForUser(candidates, profile, readIds = new Set()) {
+  const now = Date.now();
+
+  return candidates
+    .filter(article => !readIds.has(article.id))
+    .map(article => {
+      const category = (article.feedCategory || article.category || '').toLowerCase();
+      const affinity = profile.affinity[category] || 0;
+      const sourcePreference = profile.sources[article.source] || 0;
+      const freshness = decay(now - new Date(article.publishedAt).getTime(), FRESHNESS_HALF_LIFE_HOURS * 60 * 60 * 1000);
+
+      const score = (0.1 + affinity) * freshness * (1 + 0.5 * sourcePreference);
+
+      let explanation = profile.isNew ? 'Top stories right now' : `Popular in ${displayName(category || 'general')}`;
+      if (affinity > 0) explanation = `Because you read ${displayName(category)}`;
+      if (sourcePreference >= 0.5 && affinity === 0) explanation = `From ${article.source}, a source you read often`;
+
+      const { feedCategory, ...rest } = article;
+      return { ...rest, category: feedCategory || rest.category, score, explanation };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { buildProfile, topCategories, rankForUser };
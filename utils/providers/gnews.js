@@ -0,0 +1,45 @@
+// utils/providers/gnews.js
+const { normalizeArticle, hasApiKey } = require('./normalize');
+
+module.exports = {
+  name: 'gnews',
+  label: 'GNews',
+  weight: 1,
+  maxPageSize: 10,
+  languages: ['ar', 'de', 'el', 'en', 'es', 'fr', 'he', 'hi', 'it', 'ja', 'ml', 'mr', 'nl', 'no', 'pt', 'ro', 'ru', 'sv', 'ta', 'te', 'uk', 'zh'],
+
+  isConfigured() {
+    return hasApiKey(process.env.GNEWS_API_KEY, 'your_gnews_api_key_here');
+  },
+
+  buildRequests({ query, page, pageSize, from, to, sort, lang = 'en', country }) {
+    const params = new URLSearchParams({
+      q: query,
+      lang,
+      max: String(pageSize),
+      page: String(page),
+      token: process.env.GNEWS_API_KEY
+    });
+    if (country) params.set('country', country);
+    if (from) params.set('from', from.toISOString());
+    if (to) params.set('to', to.toISOString());
+    if (sort) params.set('sortby', sort === 'relevance' ? 'relevance' : 'publishedAt');
+    return [{ url: `https://gnews.io/api/v4/search?${params}` }];
+  },
+
+  parse(data) {
+    return Array.isArray(data?.articles) ? data.articles : [];
+  },
+
+  normalize(raw) {
+    return normalizeArticle('gnews', {
+      title: raw.title,
+      snippet: raw.description || raw.content,
+      url: raw.url,
+      image: raw.image,
+      publishedAt: raw.publishedAt,
+      source: raw.source?.name || 'GNews',
+      category: raw.category
+    });
+  }
+};
@@ -0,0 +1,49 @@
+// utils/providers/guardian.js
+const { normalizeArticle, hasApiKey } = require('./normalize');
+
+const PRODUCTION_OFFICES = { gb: 'uk', us: 'us', au: 'aus' };
+
+module.exports = {
+  name: 'guardian',
+  label: 'The Guardian',
+  weight: 1,
+  maxPageSize: 20,
+  languages: ['en'],
+
+  isConfigured() {
+    return hasApiKey(process.env.GUARDIAN_API_KEY, 'your_guardian_api_key_here');
+  },
+
+  buildRequests({ query, page, pageSize, from, to, sort, country }) {
+    const params = new URLSearchParams({
+      'api-key': process.env.GUARDIAN_API_KEY,
+      q: query,
+      'show-fields': 'trailText,thumbnail,bodyText',
+      page: String(page),
+      'page-size': String(pageSize)
+    });
+    // The nearest thing to a region is the office that produced the piece
+    if (PRODUCTION_OFFICES[country]) params.set('production-office', PRODUCTION_OFFICES[country]);
+    // Guardian date filters take calendar dates only
+    if (from) params.set('from-date', from.toISOString().slice(0, 10));
+    if (to) params.set('to-date', to.toISOString().slice(0, 10));
+    if (sort) params.set('order-by', sort === 'relevance' ? 'relevance' : 'newest');
+    return [{ url: `https://content.guardianapis.com/search?${params}` }];
+  },
+
+  parse(data) {
+    return Array.isArray(data?.response?.results) ? data.response.results : [];
+  },
+
+  normalize(raw) {
+    return normalizeArticle('guardian', {
+      title: raw.webTitle,
+      snippet: raw.fields?.trailText || raw.fields?.bodyText?.substring(0, 200),
+      url: raw.webUrl,
+      image: raw.fields?.thumbnail,
+      publishedAt: raw.webPublicationDate,
+      source: 'The Guardian',
+      category: raw.sectionName
+    });
+  }
+};
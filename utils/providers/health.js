@@ -0,0 +1,197 @@
+// utils/providers/health.js - Per-provider circuit breakers and health stats
+//
+// closed:    requests flow; `failureThreshold` consecutive failures open it
+// open:      requests are skipped until the cooldown ends
+// half-open: one probe request is let through; success closes the
+//            breaker, failure opens it again; a probe that sent no
+//            request is released and the next call probes instead
+// Auth (401/403) and quota (402/429) failures open the breaker at once
+// for their own, longer cooldown, or until an admin resets it.
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Milliseconds from a Retry-After header (delta seconds or HTTP date)
+function retryAfterMs(value, now) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// kind: 'auth' | 'quota' | 'error'
+function classifyError(error, now = Date.now()) {
+  const status = error?.response?.status || null;
+
+  if (status === 401 || status === 403) return { kind: 'auth', status };
+  if (status === 402 || status === 429) {
+    return { kind: 'quota', status, retryAfterMs: retryAfterMs(error.response.headers?.['retry-after'], now) };
+  }
+  return { kind: 'error', status };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// ============================================================
+// HEALTH TRACKER
+// failureThreshold: consecutive failures that open a breaker
+// cooldownMs: how long a breaker stays open before a probe
+// quotaCooldownMs: open time after 402/429 without Retry-After
+// authCooldownMs: open time after 401/403
+// windowSize: recent calls kept for error rate and latency
+// ============================================================
+function createProviderHealth({
+  failureThreshold = envInt('PROVIDER_BREAKER_THRESHOLD', 5),
+  cooldownMs = envInt('PROVIDER_BREAKER_COOLDOWN_SECONDS', 60) * 1000,
+  quotaCooldownMs = envInt('PROVIDER_QUOTA_COOLDOWN_MINUTES', 60) * 60 * 1000,
+  authCooldownMs = envInt('PROVIDER_AUTH_COOLDOWN_MINUTES', 360) * 60 * 1000,
+  windowSize = 50,
+  now = () => Date.now()
+} = {}) {
+  const records = new Map();
+
+  function record(name) {
+    if (!records.has(name)) {
+      records.set(name, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        openUntil: null,
+        reason: null,
+        probing: false,
+        requests: 0,
+        failures: 0,
+        skipped: 0,
+        recent: [],
+        lastError: null,
+        lastSuccessAt: null
+      });
+    }
+    return records.get(name);
+  }
+
+  function open(name, entry, reason, durationMs) {
+    const at = now();
+    entry.state = 'open';
+    entry.openedAt = at;
+    entry.openUntil = at + durationMs;
+    entry.reason = reason;
+    entry.probing = false;
+    console.warn(`⚡ Provider ${name} circuit open (${reason}) for ${Math.round(durationMs / 1000)}s`);
+  }
+
+  function track(entry, ok, ms) {
+    entry.requests++;
+    if (!ok) entry.failures++;
+    entry.recent.push({ ok, ms });
+    if (entry.recent.length > windowSize) entry.recent.shift();
+  }
+
+  /**
+   * Whether a request to the provider may go out now. Moves an open
+   * breaker whose cooldown has ended to half-open and admits one probe.
+   */
+  function canRequest(name) {
+    const entry = record(name);
+
+    if (entry.state === 'open') {
+      if (now() < entry.openUntil) {
+        entry.skipped++;
+        return false;
+      }
+      entry.state = 'half-open';
+    }
+
+    if (entry.state === 'half-open') {
+      if (entry.probing) {
+        entry.skipped++;
+        return false;
+      }
+      entry.probing = true;
+    }
+    return true;
+  }
+
+  /**
+   * Gives back a half-open probe slot that sent no request, leaving the
+   * breaker state and stats as they were
+   */
+  function releaseProbe(name) {
+    const entry = record(name);
+    if (entry.state === 'half-open') entry.probing = false;
+  }
+
+  function recordSuccess(name, ms) {
+    const entry = record(name);
+    track(entry, true, ms);
+    entry.lastSuccessAt = now();
+    entry.consecutiveFailures = 0;
+
+    if (entry.state !== 'closed') {
+      console.log(`✅ Provider ${name} circuit closed`);
+    }
+    Object.assign(entry, { state: 'closed', openedAt: null, openUntil: null, reason: null, probing: false });
+  }
+
+  function recordFailure(name, error, ms) {
+    const entry = record(name);
+    const at = now();
+    const failure = classifyError(error, at);
+
+    track(entry, false, ms);
+    entry.consecutiveFailures++;
+    entry.lastError = { message: error?.message || String(error), status: failure.status, kind: failure.kind, at };
+
+    if (failure.kind === 'auth') {
+      open(name, entry, 'auth', authCooldownMs);
+    } else if (failure.kind === 'quota') {
+      open(name, entry, 'quota', failure.retryAfterMs ?? quotaCooldownMs);
+    } else if (entry.state === 'half-open' || entry.consecutiveFailures >= failureThreshold) {
+      open(name, entry, 'failures', cooldownMs);
+    }
+  }
+
+  function reset(name) {
+    records.delete(name);
+  }
+
+  function status(name) {
+    const entry = record(name);
+    const latencies = entry.recent.map(call => call.ms).sort((a, b) => a - b);
+    const recentFailures = entry.recent.filter(call => !call.ok).length;
+
+    return {
+      state: entry.state,
+      reason: entry.reason,
+      openedAt: entry.openedAt ? new Date(entry.openedAt).toISOString() : null,
+      openUntil: entry.openUntil ? new Date(entry.openUntil).toISOString() : null,
+      consecutiveFailures: entry.consecutiveFailures,
+      requests: entry.requests,
+      failures: entry.failures,
+      skipped: entry.skipped,
+      errorRate: entry.recent.length > 0 ? Math.round((recentFailures / entry.recent.length) * 1000) / 1000 : null,
+      latencyMs: {
+        avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95)
+      },
+      lastError: entry.lastError
+        ? { ...entry.lastError, at: new Date(entry.lastError.at).toISOString() }
+        : null,
+      lastSuccessAt: entry.lastSuccessAt ? new Date(entry.lastSuccessAt).toISOString() : null
+    };
+  }
+
+  return { canRequest, releaseProbe, recordSuccess, recordFailure, reset, status };
+}
+
+module.exports = {
+  classifyError,
+  createProviderHealth
+};
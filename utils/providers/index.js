@@ -0,0 +1,203 @@
+// utils/providers/index.js
+const { fetchWithRetry } = require('../httpClient');
+const { createProviderHealth } = require('./health');
+
+// Circuit breakers make dead providers cheap, so one retry is enough
+const PROVIDER_RETRIES = parseInt(process.env.PROVIDER_RETRIES || '1', 10);
+
+const health = createProviderHealth();
+
+// ============================================================
+// PROVIDER REGISTRY
+// Each adapter declares:
+//   - name, label
+//   - weight: preference when the same story comes from several providers
+//   - maxPageSize: the provider's own per-request limit
+//   - searchable: false when the provider ignores ctx.query (feeds)
+//   - languages: ISO 639-1 codes the provider can return (omit for any)
+//   - isConfigured(ctx): whether keys/feeds are available
+//   - buildRequests(ctx): [{ url, headers?, responseType? }]
+//   - parse(data): raw items from the response payload
+//   - normalize(raw, ctx): the normalized article shape
+// Per-provider overrides come from the environment:
+//   PROVIDER_<NAME>_ENABLED, PROVIDER_<NAME>_WEIGHT, PROVIDER_<NAME>_MAX_PAGE_SIZE
+// ============================================================
+const providers = new Map();
+
+function registerProvider(adapter) {
+  providers.set(adapter.name, adapter);
+}
+
+[
+  require('./gnews'),
+  require('./guardian'),
+  require('./newsapi'),
+  require('./newsdata'),
+  require('./rss')
+].forEach(registerProvider);
+
+function getProviderNames() {
+  return [...providers.keys()];
+}
+
+function envOverride(name, key) {
+  return process.env[`PROVIDER_${name.toUpperCase()}_${key}`];
+}
+
+function getProviderSettings(adapter) {
+  const weight = parseFloat(envOverride(adapter.name, 'WEIGHT'));
+  const maxPageSize = parseInt(envOverride(adapter.name, 'MAX_PAGE_SIZE'), 10);
+
+  return {
+    enabled: envOverride(adapter.name, 'ENABLED') !== 'false',
+    weight: Number.isFinite(weight) ? weight : adapter.weight,
+    maxPageSize: maxPageSize > 0 ? Math.min(maxPageSize, adapter.maxPageSize) : adapter.maxPageSize
+  };
+}
+
+function getActiveProviders(ctx = {}) {
+  return [...providers.values()].filter(adapter =>
+    getProviderSettings(adapter).enabled &&
+    !(ctx.search && adapter.searchable === false) &&
+    (!adapter.languages || adapter.languages.includes(ctx.lang || 'en')) &&
+    adapter.isConfigured(ctx)
+  );
+}
+
+// ============================================================
+// FETCH one provider: build, request, parse and normalize
+// ============================================================
+async function fetchProvider(adapter, ctx) {
+  const { weight, maxPageSize } = getProviderSettings(adapter);
+  const requestCtx = {
+    ...ctx,
+    query: ctx.providerQueries?.[adapter.name] || ctx.query,
+    pageSize: Math.min(ctx.pageSize, maxPageSize)
+  };
+
+  // Nothing to ask for (e.g. past the provider's last page): no call
+  // was made, so there is nothing to record either way
+  const requests = adapter.buildRequests(requestCtx);
+  if (requests.length === 0) {
+    health.releaseProbe(adapter.name);
+    return { failed: false, entries: [] };
+  }
+
+  const started = Date.now();
+  const results = await Promise.all(
+    requests.map(async request => {
+      try {
+        const data = await fetchWithRetry(request.url, request, PROVIDER_RETRIES);
+        const articles = adapter.parse(data)
+          .slice(0, requestCtx.pageSize)
+          .map(raw => adapter.normalize(raw, requestCtx))
+          .filter(Boolean);
+        return { articles };
+      } catch (error) {
+        console.error(`API Error (${adapter.name}):`, error.message);
+        return { articles: [], error };
+      }
+    })
+  );
+
+  // The provider failed only if every request did (one dead feed
+  // should not trip the whole RSS provider)
+  const errors = results.filter(result => result.error);
+  const failed = errors.length === results.length;
+  if (failed) {
+    health.recordFailure(adapter.name, errors[0].error, Date.now() - started);
+  } else {
+    health.recordSuccess(adapter.name, Date.now() - started);
+  }
+
+  return {
+    failed,
+    entries: results.flatMap(result => result.articles).map(article => ({ article, weight }))
+  };
+}
+
+// ============================================================
+// AGGREGATE across providers: merge, deduplicate, sort
+// ctx: { query, providerQueries, page, pageSize, category, feeds, search, from, to, sort }
+// providerQueries: per-provider replacements for query, by provider name
+// feeds: RSS/Atom URLs specific to the category or city being fetched
+// search: free-text search; skips providers that are not searchable
+// from/to: Date bounds, sort: 'relevance' | 'date' (search only)
+// Providers whose circuit is open are skipped and listed in `skipped`;
+// those that were asked but failed outright are listed in `failed`.
+// ============================================================
+async function fetchFromProviders(ctx) {
+  const configured = getActiveProviders(ctx);
+  const active = configured.filter(adapter => health.canRequest(adapter.name));
+  const page = Math.max(1, ctx.page || 1);
+  const pageSize = Math.max(1, ctx.pageSize || 10);
+
+  const responses = await Promise.allSettled(
+    active.map(adapter => fetchProvider(adapter, { ...ctx, page, pageSize }).catch(error => {
+      // A throwing adapter still has to release a half-open probe
+      health.recordFailure(adapter.name, error, 0);
+      throw error;
+    }))
+  );
+
+  const failed = active
+    .filter((adapter, i) => responses[i].status === 'rejected' || responses[i].value.failed)
+    .map(adapter => adapter.name);
+  const entries = responses
+    .filter(r => r.status === 'fulfilled')
+    .flatMap(r => r.value.entries);
+
+  // Deduplicate by ID (derived from the canonical URL), keeping the
+  // copy from the highest-weighted provider
+  entries.sort((a, b) => b.weight - a.weight);
+  const seen = new Set();
+  const unique = entries.filter(({ article }) => {
+    if (seen.has(article.id)) return false;
+    seen.add(article.id);
+    return true;
+  });
+
+  // Dated articles first, then newest first; provider weight breaks ties
+  unique.sort((a, b) =>
+    (Number(!!a.article.dateEstimated) - Number(!!b.article.dateEstimated)) ||
+    (new Date(b.article.publishedAt) - new Date(a.article.publishedAt)) ||
+    (b.weight - a.weight)
+  );
+
+  return {
+    providers: active.map(adapter => adapter.name),
+    skipped: configured.filter(adapter => !active.includes(adapter)).map(adapter => adapter.name),
+    failed,
+    articles: unique.map(entry => entry.article)
+  };
+}
+
+// ============================================================
+// STATUS - configuration and breaker state for every provider
+// ============================================================
+function getProviderStatus() {
+  return [...providers.values()].map(adapter => ({
+    name: adapter.name,
+    label: adapter.label,
+    ...getProviderSettings(adapter),
+    configured: adapter.isConfigured({}),
+    ...health.status(adapter.name)
+  }));
+}
+
+// Closes the breaker, e.g. after rotating a key or topping up a quota
+function resetProvider(name) {
+  if (!providers.has(name)) return false;
+  health.reset(name);
+  return true;
+}
+
+module.exports = {
+  registerProvider,
+  getProviderNames,
+  getActiveProviders,
+  getProviderSettings,
+  fetchFromProviders,
+  getProviderStatus,
+  resetProvider
+};
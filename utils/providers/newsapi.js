@@ -0,0 +1,49 @@
+// utils/providers/newsapi.js
+const { normalizeArticle, hasApiKey } = require('./normalize');
+
+module.exports = {
+  name: 'newsapi',
+  label: 'NewsAPI',
+  weight: 0.8,
+  maxPageSize: 100,
+  languages: ['ar', 'de', 'en', 'es', 'fr', 'he', 'it', 'nl', 'no', 'pt', 'ru', 'sv', 'ud', 'zh'],
+
+  isConfigured() {
+    return hasApiKey(process.env.NEWSAPI_API_KEY, 'your_newsapi_api_key_here');
+  },
+
+  // /everything has no country filter, so ctx.country is not sent
+  buildRequests({ query, page, pageSize, from, to, sort, lang = 'en' }) {
+    const params = new URLSearchParams({
+      q: query,
+      language: lang,
+      sortBy: sort === 'relevance' ? 'relevancy' : 'publishedAt',
+      pageSize: String(pageSize),
+      page: String(page)
+    });
+    if (from) params.set('from', from.toISOString());
+    if (to) params.set('to', to.toISOString());
+    return [{
+      url: `https://newsapi.org/v2/everything?${params}`,
+      headers: { 'X-Api-Key': process.env.NEWSAPI_API_KEY }
+    }];
+  },
+
+  parse(data) {
+    // NewsAPI marks articles pulled after publication as "[Removed]"
+    return Array.isArray(data?.articles)
+      ? data.articles.filter(a => a.title && a.title !== '[Removed]')
+      : [];
+  },
+
+  normalize(raw) {
+    return normalizeArticle('newsapi', {
+      title: raw.title,
+      snippet: raw.description || raw.content,
+      url: raw.url,
+      image: raw.urlToImage,
+      publishedAt: raw.publishedAt,
+      source: raw.source?.name || 'NewsAPI'
+    });
+  }
+};
@@ -0,0 +1,46 @@
+// utils/providers/newsdata.js
+const { normalizeArticle, hasApiKey } = require('./normalize');
+
+module.exports = {
+  name: 'newsdata',
+  label: 'NewsData.io',
+  weight: 0.8,
+  maxPageSize: 10,
+
+  isConfigured() {
+    return hasApiKey(process.env.NEWSDATA_API_KEY, 'your_newsdata_api_key_here');
+  },
+
+  buildRequests({ query, page, pageSize, lang = 'en', country }) {
+    // NewsData paginates with an opaque `nextPage` cursor, so it only
+    // contributes to the first page of a listing. Date filters need the
+    // paid archive endpoint; search results are date-filtered after merging.
+    if (page > 1) return [];
+
+    const params = new URLSearchParams({
+      apikey: process.env.NEWSDATA_API_KEY,
+      q: query,
+      language: lang,
+      size: String(pageSize)
+    });
+    if (country) params.set('country', country);
+    return [{ url: `https://newsdata.io/api/1/news?${params}` }];
+  },
+
+  parse(data) {
+    return Array.isArray(data?.results) ? data.results : [];
+  },
+
+  normalize(raw) {
+    return normalizeArticle('newsdata', {
+      title: raw.title,
+      snippet: raw.description,
+      url: raw.link,
+      image: raw.image_url,
+      // pubDate is UTC without a zone designator: "2024-05-01 09:30:00"
+      publishedAt: raw.pubDate ? `${raw.pubDate.replace(' ', 'T')}Z` : null,
+      source: raw.source_name || raw.source_id || 'NewsData',
+      category: Array.isArray(raw.category) ? raw.category[0] : raw.category
+    });
+  }
+};
@@ -0,0 +1,38 @@
+// utils/providers/normalize.js
+const { articleIdForUrl, hashId } = require('../articleId');
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/600x400?text=News';
+
+// ============================================================
+// NORMALIZED ARTICLE SHAPE - shared by every provider adapter
+// ============================================================
+function normalizeArticle(provider, fields = {}) {
+  const published = parseDate(fields.publishedAt);
+
+  return {
+    id: articleIdForUrl(fields.url) || `${provider}_${hashId(`${fields.title}|${fields.source}`)}`,
+    title: fields.title || 'Untitled',
+    snippet: fields.snippet || '',
+    url: fields.url || '#',
+    image: fields.image || PLACEHOLDER_IMAGE,
+    // Items without a usable date get the fetch time, flagged so the
+    // store keeps their first-seen date and feeds rank them lower
+    publishedAt: (published || new Date()).toISOString(),
+    dateEstimated: !published,
+    source: fields.source || 'Newszoid',
+    provider,
+    category: fields.category || 'general',
+    aiSummary: null
+  };
+}
+
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+// Treats unset keys and the placeholders from .env.example as "not configured"
+function hasApiKey(key, placeholder) {
+  return Boolean(key) && key !== placeholder;
+}
+
+module.exports = { normalizeArticle, hasApiKey, PLACEHOLDER_IMAGE };
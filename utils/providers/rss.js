@@ -0,0 +1,63 @@
+// utils/providers/rss.js
+const { parseFeedXml } = require('../feedParser');
+const { normalizeArticle } = require('./normalize');
+
+// Comma-separated list of feed URLs that apply to every query
+function defaultFeeds() {
+  return (process.env.RSS_FEED_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+// Per-category/per-city feeds arrive on ctx.feeds (see utils/categories / INDIAN_CITIES),
+// already chosen for ctx.lang; the RSS_FEED_URLS defaults are English
+function feedsFor(ctx = {}) {
+  const defaults = (ctx.lang || 'en') === 'en' ? defaultFeeds() : [];
+  return [...new Set([...(ctx.feeds || []), ...defaults])];
+}
+
+module.exports = {
+  name: 'rss',
+  label: 'RSS / Atom',
+  weight: 0.6,
+  maxPageSize: 50,
+  // Feeds are fixed lists, not a query API
+  searchable: false,
+
+  isConfigured(ctx) {
+    return feedsFor(ctx).length > 0;
+  },
+
+  buildRequests(ctx) {
+    // Feeds are not paginated; the merged list is paged by the caller
+    if (ctx.page > 1) return [];
+
+    return feedsFor(ctx).map(url => ({
+      url,
+      responseType: 'text',
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' }
+    }));
+  },
+
+  parse(data) {
+    const feed = parseFeedXml(data);
+    if (!feed) return [];
+
+    return feed.items
+      .filter(item => item.title && item.link)
+      .map(item => ({ ...item, feedTitle: feed.title }));
+  },
+
+  normalize(raw, ctx = {}) {
+    return normalizeArticle('rss', {
+      title: raw.title,
+      snippet: raw.description,
+      url: raw.link,
+      image: raw.image,
+      publishedAt: raw.pubDate,
+      source: raw.feedTitle || 'RSS',
+      category: ctx.category
+    });
+  }
+};
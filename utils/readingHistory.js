@@ -0,0 +1,69 @@
+// utils/readingHistory.js - One reading-history entry per reader and
+// article: merging duplicates and enforcing the unique index
+const ReadingHistory = require('../models/ReadingHistory');
+
+/**
+ * Update that folds a duplicate entry into the one that is kept: views
+ * and time add up, the first and last view times are kept.
+ */
+function historyMergeUpdate(duplicate) {
+  const update = {
+    $inc: { views: duplicate.views || 0, timeSpent: duplicate.timeSpent || 0 }
+  };
+  if (duplicate.createdAt) update.$min = { createdAt: duplicate.createdAt };
+  if (duplicate.updatedAt) update.$max = { updatedAt: duplicate.updatedAt };
+  return update;
+}
+
+// ============================================================
+// DEDUPE - entries written before the unique index existed (every
+// view used to insert a row); the oldest row of each pair is kept
+// Returns { groups, removed }
+// ============================================================
+async function dedupeReadingHistory() {
+  const groups = ReadingHistory.aggregate([
+    { $group: { _id: { userId: '$userId', articleId: '$articleId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true).cursor();
+
+  let merged = 0;
+  let removed = 0;
+  for await (const group of groups) {
+    const [kept, ...duplicates] = await ReadingHistory.find({ _id: { $in: group.ids } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    for (const duplicate of duplicates) {
+      // Timestamps off: the merged times are the readers', not now
+      await ReadingHistory.updateOne({ _id: kept._id }, historyMergeUpdate(duplicate), { timestamps: false });
+      await ReadingHistory.deleteOne({ _id: duplicate._id });
+      removed++;
+    }
+    merged++;
+  }
+
+  return { groups: merged, removed };
+}
+
+/**
+ * Builds the reading-history indexes (autoIndex is off for the model).
+ * When the unique { userId, articleId } index cannot build because of
+ * duplicates, merges them first and tries again.
+ */
+async function ensureReadingHistoryIndexes() {
+  try {
+    await ReadingHistory.createIndexes();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const { groups, removed } = await dedupeReadingHistory();
+    console.log(`Reading history: merged ${removed} duplicate entries into ${groups}`);
+    await ReadingHistory.createIndexes();
+  }
+}
+
+module.exports = {
+  historyMergeUpdate,
+  dedupeReadingHistory,
+  ensureReadingHistoryIndexes
+};
@@ -0,0 +1,108 @@
+// utils/related.js - "Read next" ranking: shared keywords (TF-IDF over
+// title and snippet), shared entities, same category and freshness
+const { queryTerms } = require('./search');
+const { extractEntities } = require('./entities');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FRESHNESS_HALF_LIFE_HOURS = 48;
+
+// Relative value of each signal; freshness scales the sum
+const WEIGHTS = {
+  keywords: 0.5,
+  entities: 0.35,
+  category: 0.15
+};
+
+// Headline words say more about the story than the snippet's
+const TITLE_TERM_WEIGHT = 2;
+
+// term -> count, headline terms counted double
+function termCounts({ title = '', snippet = '' }) {
+  const counts = new Map();
+  const add = (terms, weight) => terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+
+  add(queryTerms(title).filter(term => term.length > 1), TITLE_TERM_WEIGHT);
+  add(queryTerms(snippet).filter(term => term.length > 1), 1);
+  return counts;
+}
+
+// term -> weight, from the counts and each term's document frequency
+function tfidfVector(counts, documentFrequency, documents) {
+  const vector = new Map();
+  for (const [term, count] of counts) {
+    const idf = Math.log(1 + documents / (documentFrequency.get(term) || 1));
+    vector.set(term, count * idf);
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  if (dot === 0) return 0;
+
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+// Stored articles carry their tags; provider articles are tagged here
+function entitySlugs(article) {
+  const entities = article.entities && article.entities.length > 0 ? article.entities : extractEntities(article);
+  return new Set(entities.map(entity => entity.slug));
+}
+
+// Share of the smaller tag set found in the other
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(slug => { if (b.has(slug)) shared++; });
+  return shared / Math.min(a.size, b.size);
+}
+
+function freshness(publishedAt, now) {
+  const age = now - new Date(publishedAt || now).getTime();
+  return Math.pow(0.5, Math.max(0, age) / (FRESHNESS_HALF_LIFE_HOURS * HOUR_MS));
+}
+
+// ============================================================
+// RANK - candidates most like the article first, each with a
+// relatedScore. Candidates sharing neither a keyword nor an
+// entity are dropped, whatever their category.
+// exclude: IDs to leave out (the article itself is always left out)
+// ============================================================
+function rankRelated(article, candidates, { exclude = new Set(), limit = 10, now = Date.now() } = {}) {
+  const pool = candidates.filter(candidate => candidate.id !== article.id && !exclude.has(candidate.id));
+  if (pool.length === 0) return [];
+
+  const counts = [article, ...pool].map(termCounts);
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const vectors = counts.map(terms => tfidfVector(terms, documentFrequency, counts.length));
+  const target = vectors[0];
+  const targetEntities = entitySlugs(article);
+  const category = (article.category || '').toLowerCase();
+
+  return pool
+    .map((candidate, i) => {
+      const keywords = cosine(target, vectors[i + 1]);
+      const entities = overlap(targetEntities, entitySlugs(candidate));
+      if (keywords === 0 && entities === 0) return null;
+
+      const sameCategory = category && (candidate.category || '').toLowerCase() === category ? 1 : 0;
+      const relevance = WEIGHTS.keywords * keywords + WEIGHTS.entities * entities + WEIGHTS.category * sameCategory;
+      // Freshness halves the score at most, so a close match from last week still beats a loose one from today
+      const score = relevance * (0.5 + 0.5 * freshness(candidate.publishedAt, now));
+
+      return { ...candidate, relatedScore: Math.round(score * 1000) / 1000 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.relatedScore - a.relatedScore)
+    .slice(0, limit);
+}
+
+module.exports = { rankRelated };
@@ -0,0 +1,212 @@
+// utils/safeFetch.js - Fetch user-supplied URLs without reaching internal hosts
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+const MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES || String(2 * 1024 * 1024), 10);
+const TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS || '10000', 10);
+const MAX_REDIRECTS = 3;
+
+function fetchError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// ============================================================
+// ADDRESS CHECKS - loopback, private, link-local, CGNAT,
+// multicast and reserved ranges are never fetched
+// ============================================================
+function ipv4ToInt(address) {
+  return address.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
+}
+
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].map(([base, bits]) => ({
+  base: ipv4ToInt(base),
+  mask: bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0
+}));
+
+function isBlockedIPv4(address) {
+  const value = ipv4ToInt(address);
+  return BLOCKED_IPV4.some(({ base, mask }) => ((value & mask) >>> 0) === base);
+}
+
+// Eight 16-bit groups, or null; a dotted IPv4 tail becomes two groups
+function ipv6Groups(address) {
+  let value = address.toLowerCase().replace(/%.*$/, '');
+
+  const dotted = value.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const int = ipv4ToInt(dotted[2]);
+    value = `${dotted[1]}${(int >>> 16).toString(16)}:${(int & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = value.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = 8 - left.length - right.length;
+  if (value.includes('::') ? missing < 1 : missing !== 0) return null;
+
+  return [...left, ...Array(missing).fill('0'), ...right].map(group => parseInt(group, 16));
+}
+
+/**
+ * The IPv4 address an IPv6 address carries: IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-translated (::ffff:0:a.b.c.d) and IPv4-compatible (::a.b.c.d),
+ * in dotted or hex form. URL parsing rewrites [::ffff:127.0.0.1] to
+ * [::ffff:7f00:1], so the hex form matters.
+ */
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  if (!groups) return null;
+
+  if (groups.slice(0, 4).some(group => group !== 0)) return null;
+
+  const [fifth, sixth] = groups.slice(4, 6);
+  const mapped = (fifth === 0 && sixth === 0xffff) || (fifth === 0xffff && sixth === 0);
+  // :: and ::1 are not IPv4
+  const compatible = fifth === 0 && sixth === 0 && groups[6] !== 0;
+  if (!mapped && !compatible) return null;
+
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+function isBlockedIPv6(address) {
+  const value = address.toLowerCase();
+
+  const ipv4 = embeddedIPv4(value);
+  if (ipv4) return isBlockedIPv4(ipv4);
+
+  return value === '::' ||
+    value === '::1' ||
+    /^f[cd]/.test(value) ||          // fc00::/7 unique local
+    /^fe[89ab]/.test(value) ||       // fe80::/10 link local
+    /^ff/.test(value) ||             // multicast
+    value.startsWith('64:ff9b:') ||  // NAT64
+    value.startsWith('2001:db8:');   // documentation
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isBlockedIPv4(address);
+  if (family === 6) return isBlockedIPv6(address);
+  return true;
+}
+
+// Runs at connect time for every request and redirect, so a hostname
+// cannot pass validation and then re-resolve to an internal address.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(fetchError(`Blocked address for ${hostname}`, 400, 'BLOCKED_HOST'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Literal IPs never go through DNS lookup, so check them up front
+function assertAllowedUrl(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    throw fetchError('Invalid URL', 400, 'INVALID_URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw fetchError('Only http and https URLs are allowed', 400, 'BLOCKED_PROTOCOL');
+  }
+  if (url.port && url.port !== '80' && url.port !== '443') {
+    throw fetchError('Only default ports are allowed', 400, 'BLOCKED_PORT');
+  }
+  if (url.username || url.password) {
+    throw fetchError('Credentials in URLs are not allowed', 400, 'INVALID_URL');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    throw fetchError('Blocked host', 400, 'BLOCKED_HOST');
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fetchError('Blocked host', 400, 'BLOCKED_HOST');
+  }
+
+  return url;
+}
+
+// ============================================================
+// FETCH an HTML page with size, time and redirect limits
+// Returns { url (final), contentType, body }
+// ============================================================
+async function fetchPage(target, { maxBytes = MAX_BYTES, timeout = TIMEOUT_MS } = {}) {
+  assertAllowedUrl(target);
+
+  let response;
+  try {
+    response = await axios({
+      url: target,
+      method: 'GET',
+      responseType: 'text',
+      timeout,
+      maxContentLength: maxBytes,
+      maxRedirects: MAX_REDIRECTS,
+      proxy: false,
+      lookup: safeLookup,
+      decompress: true,
+      headers: {
+        'User-Agent': 'NewszoidBot/1.0 (+https://www.newszoid.com)',
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+      },
+      beforeRedirect: options => {
+        assertAllowedUrl(options.href || `${options.protocol}//${options.hostname}${options.path}`);
+      }
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    if (error.cause?.status) throw error.cause;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      throw fetchError('Timed out fetching the page', 504, 'TIMEOUT');
+    }
+    if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+      throw fetchError('Page is too large', 413, 'TOO_LARGE');
+    }
+    if (error.response) {
+      throw fetchError(`Page returned HTTP ${error.response.status}`, 502, 'UPSTREAM_STATUS');
+    }
+    throw fetchError('Could not fetch the page', 502, 'FETCH_FAILED');
+  }
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+    throw fetchError('URL is not an HTML page', 415, 'NOT_HTML');
+  }
+
+  return {
+    url: response.request?.res?.responseUrl || target,
+    contentType,
+    body: response.data
+  };
+}
+
+module.exports = { fetchPage, isBlockedAddress, assertAllowedUrl };
@@ -0,0 +1,80 @@
+// utils/search.js - Query terms, relevance scoring and snippet highlighting
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'was', 'with'
+]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Lowercased, de-duplicated terms; stop words only count when the query is nothing else
+function queryTerms(query) {
+  const words = (query || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  const terms = words.filter(word => !STOP_WORDS.has(word));
+  return [...new Set(terms.length ? terms : words)];
+}
+
+function termPattern(terms) {
+  return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
+}
+
+// ============================================================
+// RELEVANCE - title matches count three times a snippet match;
+// the phrase itself and coverage of every term earn a bonus
+// ============================================================
+function scoreArticle(article, query) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return 0;
+
+  const title = (article.title || '').toLowerCase();
+  const snippet = (article.snippet || '').toLowerCase();
+  const count = (text, term) => (text.match(new RegExp(escapeRegExp(term), 'gu')) || []).length;
+
+  let score = 0;
+  let matched = 0;
+  for (const term of terms) {
+    const hits = 3 * count(title, term) + count(snippet, term);
+    if (hits > 0) matched++;
+    score += hits;
+  }
+
+  const phrase = query.toLowerCase().trim();
+  if (terms.length > 1 && (title.includes(phrase) || snippet.includes(phrase))) score += 5;
+
+  return score * (matched / terms.length);
+}
+
+// ============================================================
+// HIGHLIGHT - HTML-escaped text with <mark> around matched terms,
+// trimmed to a window around the first match
+// ============================================================
+function highlightText(text, query, maxLength = 220) {
+  const terms = queryTerms(query);
+  let excerpt = text || '';
+
+  if (excerpt.length > maxLength) {
+    const first = terms.length ? excerpt.search(termPattern(terms)) : -1;
+    const start = Math.max(0, Math.min(first - 40, excerpt.length - maxLength));
+    excerpt = `${start > 0 ? '…' : ''}${excerpt.slice(start, start + maxLength).trim()}…`;
+  }
+
+  if (terms.length === 0) return escapeHtml(excerpt);
+
+  // split() with a capture group alternates plain text and matched terms
+  return excerpt
+    .split(termPattern(terms))
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+module.exports = { escapeRegExp, queryTerms, scoreArticle, highlightText };
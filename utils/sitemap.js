@@ -0,0 +1,145 @@
+// utils/sitemap.js - Sitemap XML: Google News, category/story pages and the index
+//
+// Site pages: /<category> for categories and /<category>/<title-slug>-<id>
+// for stories, under SITE_URL.
+
+const SITE_URL = (process.env.SITE_URL || 'https://www.newszoid.com').replace(/\/+$/, '');
+const PUBLICATION_NAME = process.env.SITE_NAME || 'Newszoid';
+
+// Google News sitemaps may only list articles from the last two days,
+// at most 1000 of them
+const NEWS_WINDOW_MS = 48 * 60 * 60 * 1000;
+const NEWS_MAX_URLS = 1000;
+
+// Limit for any one regular sitemap file
+const MAX_URLS = 50000;
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const NEWS_NS = 'http://www.google.com/schemas/sitemap-news/0.9';
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+// W3C datetime without milliseconds: 2026-01-02T19:40:40Z
+function w3cDate(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function slugify(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+function siteUrl(path) {
+  return `${SITE_URL}${path}`;
+}
+
+function categoryUrl(slug) {
+  return siteUrl(`/${slug}`);
+}
+
+function articleUrl(article) {
+  const slug = slugify(article.title);
+  return siteUrl(`/${article.category || 'general'}/${slug ? `${slug}-` : ''}${article.id}`);
+}
+
+// ============================================================
+// BUILDERS
+// ============================================================
+
+/**
+ * Google News sitemap for the given articles. Anything outside the
+ * 48-hour window, dated in the future or without a real date is left out.
+ */
+function buildNewsSitemap(articles, { now = Date.now(), language = 'en' } = {}) {
+  const urls = articles
+    .filter(article => {
+      if (article.dateEstimated) return false;
+      const published = new Date(article.publishedAt).getTime();
+      return published >= now - NEWS_WINDOW_MS && published <= now;
+    })
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+    .slice(0, NEWS_MAX_URLS)
+    .map(article => `  <url>
+    <loc>${escapeXml(articleUrl(article))}</loc>
+    <news:news>
+      <news:publication>
+        <news:name>${escapeXml(PUBLICATION_NAME)}</news:name>
+        <news:language>${escapeXml(language)}</news:language>
+      </news:publication>
+      <news:publication_date>${w3cDate(article.publishedAt)}</news:publication_date>
+      <news:title>${escapeXml(article.title)}</news:title>
+    </news:news>
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="${SITEMAP_NS}"
+        xmlns:news="${NEWS_NS}">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// entries: [{ loc, lastmod?, changefreq?, priority? }]
+function buildUrlSet(entries) {
+  const urls = entries.slice(0, MAX_URLS).map(({ loc, lastmod, changefreq, priority }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod ? `    <lastmod>${w3cDate(lastmod)}</lastmod>` : null,
+    changefreq ? `    <changefreq>${changefreq}</changefreq>` : null,
+    priority !== undefined ? `    <priority>${priority.toFixed(1)}</priority>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="${SITEMAP_NS}">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// entries: [{ loc, lastmod? }]
+function buildSitemapIndex(entries) {
+  const sitemaps = entries.map(({ loc, lastmod }) => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod ? `    <lastmod>${w3cDate(lastmod)}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="${SITEMAP_NS}">
+${sitemaps.join('\n')}
+</sitemapindex>
+`;
+}
+
+module.exports = {
+  SITE_URL,
+  PUBLICATION_NAME,
+  NEWS_WINDOW_MS,
+  NEWS_MAX_URLS,
+  MAX_URLS,
+  escapeXml,
+  w3cDate,
+  siteUrl,
+  categoryUrl,
+  articleUrl,
+  slugify,
+  buildNewsSitemap,
+  buildUrlSet,
+  buildSitemapIndex
+};
@@ -0,0 +1,66 @@
+// utils/snapshotStore.js - Last-known-good article lists, so an upstream
+// outage serves real (if older) news instead of placeholder data
+const NodeCache = require('node-cache');
+const Snapshot = require('../models/Snapshot');
+const { isStoreReady } = require('./articleStore');
+
+const MAX_ARTICLES = 50;
+
+const MAX_MEMORY_KEYS = parseInt(process.env.SNAPSHOT_MEMORY_KEYS || '2000', 10);
+
+// Kept without expiry: a snapshot is only useful if it outlives the outage
+const recent = new NodeCache({ stdTTL: 0, maxKeys: MAX_MEMORY_KEYS, useClones: false });
+
+// node-cache refuses every set once maxKeys is reached, updates included,
+// so re-insert the key and make room by dropping the longest-unwritten one
+function remember(snapshot) {
+  recent.del(snapshot.key);
+  if (recent.keys().length >= MAX_MEMORY_KEYS) recent.del(recent.keys()[0]);
+  recent.set(snapshot.key, snapshot);
+}
+
+// ============================================================
+// SAVE the latest successful fetch for a key
+// ============================================================
+async function saveSnapshot(key, articles) {
+  if (!articles || articles.length === 0) return null;
+
+  const snapshot = { key, articles: articles.slice(0, MAX_ARTICLES), fetchedAt: new Date() };
+  remember(snapshot);
+
+  if (isStoreReady()) {
+    await Snapshot.updateOne(
+      { key },
+      { $set: { articles: snapshot.articles, fetchedAt: snapshot.fetchedAt } },
+      { upsert: true }
+    );
+  }
+  return snapshot;
+}
+
+// ============================================================
+// LOAD - { key, articles, fetchedAt } or null before the first
+// successful fetch
+// ============================================================
+async function loadSnapshot(key) {
+  const cached = recent.get(key);
+  if (cached) return cached;
+  if (!isStoreReady()) return null;
+
+  const doc = await Snapshot.findOne({ key }).lean();
+  if (!doc) return null;
+
+  const snapshot = { key, articles: doc.articles, fetchedAt: doc.fetchedAt };
+  remember(snapshot);
+  return snapshot;
+}
+
+function snapshotAgeSeconds(snapshot, now = Date.now()) {
+  return Math.max(0, Math.round((now - new Date(snapshot.fetchedAt).getTime()) / 1000));
+}
+
+module.exports = {
+  saveSnapshot,
+  loadSnapshot,
+  snapshotAgeSeconds
+};
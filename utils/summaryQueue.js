@@ -0,0 +1,223 @@
+// utils/summaryQueue.js - Bounded background queue that writes AI summaries
+const NodeCache = require('node-cache');
+const Summary = require('../models/Summary');
+const llm = require('./llm');
+const { isStoreReady, setArticleSummary } = require('./articleStore');
+const { publishEvent } = require('./newsEvents');
+
+const QUEUE_SIZE = parseInt(process.env.SUMMARY_QUEUE_SIZE || '100', 10);
+const CONCURRENCY = parseInt(process.env.SUMMARY_QUEUE_CONCURRENCY || '2', 10);
+const MAX_ATTEMPTS = 3;
+const RETRY_FAILED_AFTER_MS = 30 * 60 * 1000;
+
+// Recent records, so list responses do not hit Mongo for every article
+// (and so summaries still work when Mongo is down)
+const MAX_MEMORY_KEYS = parseInt(process.env.SUMMARY_MEMORY_KEYS || '5000', 10);
+const recent = new NodeCache({ stdTTL: 60 * 60, maxKeys: MAX_MEMORY_KEYS, useClones: false });
+
+// node-cache refuses every set once maxKeys is reached, updates included,
+// so re-insert the key and make room by dropping the longest-unwritten one
+function remember(articleId, record) {
+  recent.del(articleId);
+  if (recent.keys().length >= MAX_MEMORY_KEYS) recent.del(recent.keys()[0]);
+  recent.set(articleId, record);
+}
+
+const queue = [];
+const queued = new Set();
+let active = 0;
+let stopped = false;
+
+function publicRecord(record) {
+  const { articleId, status, summary, model, promptVersion, attempts, error, updatedAt } = record;
+  return { articleId, status, summary, model, promptVersion, attempts, error, updatedAt };
+}
+
+async function saveRecord(record, input) {
+  const saved = { ...record, updatedAt: new Date() };
+  remember(record.articleId, saved);
+
+  if (isStoreReady()) {
+    const update = { ...publicRecord(saved) };
+    delete update.updatedAt;
+    if (input !== undefined) update.input = input;
+
+    await Summary.updateOne({ articleId: record.articleId }, { $set: update }, { upsert: true });
+  }
+  return saved;
+}
+
+// ============================================================
+// READ
+// ============================================================
+async function getSummary(articleId) {
+  const cached = recent.get(articleId);
+  if (cached) return publicRecord(cached);
+  if (!isStoreReady()) return null;
+
+  const doc = await Summary.findOne({ articleId }).lean();
+  if (!doc) return null;
+
+  remember(articleId, doc);
+  return publicRecord(doc);
+}
+
+// Finished summary text by article ID, for attaching to list responses
+async function getSummaries(articleIds) {
+  const found = new Map();
+  const missing = [];
+
+  for (const articleId of articleIds) {
+    const cached = recent.get(articleId);
+    if (cached) {
+      if (cached.status === 'done') found.set(articleId, cached.summary);
+    } else {
+      missing.push(articleId);
+    }
+  }
+
+  if (missing.length > 0 && isStoreReady()) {
+    const docs = await Summary.find({ articleId: { $in: missing }, status: 'done' }).lean();
+    docs.forEach(doc => {
+      remember(doc.articleId, doc);
+      found.set(doc.articleId, doc.summary);
+    });
+  }
+
+  return found;
+}
+
+// ============================================================
+// WORKER
+// ============================================================
+async function processJob({ articleId, input, attempts, category }) {
+  try {
+    const reply = await llm.generate('summary.brief', { text: input });
+    const summary = reply.text.trim();
+    if (!summary) throw new Error('Model returned an empty summary');
+
+    await saveRecord({
+      articleId,
+      status: 'done',
+      summary,
+      model: reply.model,
+      promptVersion: reply.promptVersion,
+      attempts: attempts + 1,
+      error: null
+    });
+
+    publishEvent('summary', { articleId, summary }, { categories: category ? [category] : [] });
+
+    if (isStoreReady()) await setArticleSummary(articleId, summary);
+  } catch (error) {
+    console.error(`Summary job failed for ${articleId}:`, error.message);
+    await saveRecord({
+      articleId,
+      status: 'failed',
+      summary: null,
+      model: null,
+      promptVersion: null,
+      attempts: attempts + 1,
+      error: error.code || error.message
+    }).catch(err => console.error('Summary store error:', err.message));
+  }
+}
+
+function drain() {
+  while (!stopped && active < CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    active++;
+
+    processJob(job).finally(() => {
+      active--;
+      queued.delete(job.articleId);
+      drain();
+    });
+  }
+}
+
+function shouldRetry(record) {
+  if (record.attempts >= MAX_ATTEMPTS) return false;
+  return Date.now() - new Date(record.updatedAt).getTime() > RETRY_FAILED_AFTER_MS;
+}
+
+/**
+ * Queues a summary for an article unless one exists or is in progress.
+ * Returns the current record, or null when AI is disabled or the queue is full.
+ */
+async function enqueueSummary(article) {
+  if (!llm.isLlmEnabled() || stopped) return null;
+
+  const articleId = article.id;
+  const existing = await getSummary(articleId);
+
+  if (existing) {
+    if (existing.status === 'done') return existing;
+    if (existing.status === 'pending' && queued.has(articleId)) return existing;
+    if (existing.status === 'failed' && !shouldRetry(existing)) return existing;
+  }
+
+  if (queue.length >= QUEUE_SIZE) return null;
+
+  const input = `${article.title}\n${article.snippet || ''}`;
+  const attempts = existing?.attempts || 0;
+  const record = await saveRecord({
+    articleId,
+    status: 'pending',
+    summary: null,
+    model: null,
+    promptVersion: null,
+    attempts,
+    error: null
+  }, input);
+
+  queue.push({ articleId, input, attempts, category: article.category });
+  queued.add(articleId);
+  drain();
+
+  return publicRecord(record);
+}
+
+// ============================================================
+// LIFECYCLE - pick up jobs left pending by the previous process
+// ============================================================
+async function startSummaryQueue() {
+  stopped = false;
+  if (!llm.isLlmEnabled() || !isStoreReady()) return;
+
+  const pending = await Summary.find({ status: 'pending' })
+    .select('+input')
+    .sort({ updatedAt: 1 })
+    .limit(QUEUE_SIZE)
+    .lean();
+
+  pending
+    .filter(doc => doc.input && !queued.has(doc.articleId))
+    .forEach(doc => {
+      queue.push({ articleId: doc.articleId, input: doc.input, attempts: doc.attempts });
+      queued.add(doc.articleId);
+    });
+
+  if (pending.length > 0) console.log(`🧠 Resuming ${pending.length} pending summaries`);
+  drain();
+}
+
+// Jobs still queued stay pending in Mongo and resume on the next start
+function stopSummaryQueue() {
+  stopped = true;
+  queue.length = 0;
+  queued.clear();
+}
+
+function getQueueStats() {
+  return { queued: queue.length, active, capacity: QUEUE_SIZE, concurrency: CONCURRENCY };
+}
+
+module.exports = {
+  getSummary,
+  getSummaries,
+  enqueueSummary,
+  startSummaryQueue,
+  stopSummaryQueue,
+  getQueueStats
+};
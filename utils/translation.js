@@ -0,0 +1,146 @@
+// utils/translation.js - LLM translation of article fields into Indian languages
+const NodeCache = require('node-cache');
+const Translation = require('../models/Translation');
+const llm = require('./llm');
+const { llmError } = require('./llm/errors');
+const { hashId } = require('./articleId');
+const { isStoreReady } = require('./articleStore');
+const { DEFAULT_LANGUAGE } = require('./newsSources');
+
+const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  mr: 'Marathi',
+  ta: 'Tamil',
+  bn: 'Bengali'
+};
+
+const MAX_ATTEMPTS = 2;
+const MAX_MEMORY_KEYS = parseInt(process.env.TRANSLATION_MEMORY_KEYS || '5000', 10);
+const recent = new NodeCache({ stdTTL: 6 * 60 * 60, maxKeys: MAX_MEMORY_KEYS, useClones: false });
+
+// node-cache refuses every set once maxKeys is reached, so make room by
+// dropping the longest-unwritten key; Mongo keeps the full set
+function remember(key, record) {
+  recent.del(key);
+  if (recent.keys().length >= MAX_MEMORY_KEYS) recent.del(recent.keys()[0]);
+  recent.set(key, record);
+}
+
+function isSupportedLanguage(lang) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+}
+
+// Explicit lang wins, then the signed-in reader's saved preference
+function resolveLanguage(requested, user) {
+  const lang = (requested || user?.meta?.language || DEFAULT_LANGUAGE).toLowerCase();
+  return isSupportedLanguage(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+// ============================================================
+// VALIDATION - the reply must mirror the source: same keys,
+// strings for strings, same-length string arrays for arrays
+// ============================================================
+function matchesShape(source, translated) {
+  if (!translated || typeof translated !== 'object') return false;
+
+  return Object.entries(source).every(([key, value]) => {
+    const candidate = translated[key];
+    if (Array.isArray(value)) {
+      return Array.isArray(candidate) && candidate.length === value.length &&
+        candidate.every(item => typeof item === 'string' && item.trim());
+    }
+    return typeof candidate === 'string' && (candidate.trim() || !value);
+  });
+}
+
+function pickFields(source, translated) {
+  const result = {};
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = Array.isArray(value)
+      ? translated[key].map(item => item.trim())
+      : translated[key].trim();
+  }
+  return result;
+}
+
+async function loadTranslation(key) {
+  const cached = recent.get(key);
+  if (cached) return cached;
+  if (!isStoreReady()) return null;
+
+  const doc = await Translation.findOne({ key }).lean();
+  if (doc) remember(key, doc);
+  return doc;
+}
+
+async function saveTranslation(record) {
+  remember(record.key, record);
+  if (isStoreReady()) {
+    await Translation.updateOne({ key: record.key }, { $set: record }, { upsert: true });
+  }
+}
+
+// ============================================================
+// ENTRY POINT
+// fields: { title, snippet, summary, keyPoints: [...] } - empty values are skipped
+// Returns { lang, fields, cached }; English input is returned unchanged.
+// ============================================================
+async function translateFields(fields, lang, { articleId = null } = {}) {
+  if (!isSupportedLanguage(lang)) throw new Error(`Unsupported language: ${lang}`);
+
+  const source = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (Array.isArray(value) ? value.length > 0 : value) source[key] = value;
+  }
+
+  if (lang === DEFAULT_LANGUAGE || Object.keys(source).length === 0) {
+    return { lang, fields: source, cached: false };
+  }
+
+  // Keyed by the source text too, so an article whose summary arrives
+  // later is translated again rather than served a stale copy
+  const key = `${articleId || 'text'}:${lang}:${hashId(JSON.stringify(source))}`;
+  const stored = await loadTranslation(key);
+  if (stored) return { lang, fields: stored.fields, cached: true };
+
+  if (!llm.isLlmEnabled()) {
+    throw llmError('No LLM backend configured', { code: 'NOT_CONFIGURED' });
+  }
+
+  let previousError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const reply = await llm.generate('translate.fields', {
+      language: LANGUAGES[lang],
+      fields: source,
+      previousError
+    });
+
+    const translated = llm.parseJsonReply(reply.text);
+    if (matchesShape(source, translated)) {
+      const record = {
+        key,
+        articleId,
+        lang,
+        fields: pickFields(source, translated),
+        model: reply.model,
+        promptVersion: reply.promptVersion
+      };
+      await saveTranslation(record);
+      return { lang, fields: record.fields, cached: false };
+    }
+
+    previousError = 'the JSON did not have the same keys and structure as the input';
+    console.warn(`Translation rejected (attempt ${attempt})`);
+  }
+
+  throw llmError('Model did not return a valid translation', { code: 'INVALID_OUTPUT', status: 502 });
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  isSupportedLanguage,
+  resolveLanguage,
+  translateFields
+};
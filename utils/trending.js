@@ -0,0 +1,186 @@
+// utils/trending.js - Time-decayed engagement scores from on-platform activity
+const Article = require('../models/Article');
+const Bookmark = require('../models/Bookmark');
+const Comment = require('../models/Comment');
+const ReadingHistory = require('../models/ReadingHistory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each window decays engagement with a half-life of a quarter of its length
+const WINDOWS = {
+  '1h': { ms: HOUR_MS, cacheSeconds: 60 },
+  '24h': { ms: 24 * HOUR_MS, cacheSeconds: 300 },
+  '7d': { ms: 7 * 24 * HOUR_MS, cacheSeconds: 900 }
+};
+
+// Relative value of each signal: saving or discussing a story says more than opening it
+const WEIGHTS = {
+  view: 1,
+  minuteRead: 0.5,
+  comment: 3,
+  bookmark: 4
+};
+const MAX_MINUTES_PER_READ = 10;
+
+// { $pow: [0.5, age / halfLife] } for the given date field
+function decayExpression(field, now, halfLifeMs) {
+  return {
+    $pow: [0.5, { $divide: [{ $subtract: [now, `$${field}`] }, halfLifeMs] }]
+  };
+}
+
+async function historySignals(since, now, halfLifeMs) {
+  return ReadingHistory.aggregate([
+    { $match: { updatedAt: { $gte: since } } },
+    {
+      $project: {
+        articleId: 1,
+        title: 1,
+        category: 1,
+        userId: 1,
+        views: 1,
+        minutes: { $min: [{ $divide: [{ $ifNull: ['$timeSpent', 0] }, 60] }, MAX_MINUTES_PER_READ] },
+        decay: decayExpression('updatedAt', now, halfLifeMs)
+      }
+    },
+    {
+      $group: {
+        _id: '$articleId',
+        title: { $first: '$title' },
+        category: { $first: '$category' },
+        views: { $sum: '$views' },
+        readers: { $addToSet: '$userId' },
+        viewScore: { $sum: { $multiply: ['$views', '$decay'] } },
+        readScore: { $sum: { $multiply: ['$minutes', '$decay'] } }
+      }
+    }
+  ]);
+}
+
+async function commentSignals(since, now, halfLifeMs) {
+  return Comment.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$articleId',
+        comments: { $sum: 1 },
+        commentScore: { $sum: decayExpression('createdAt', now, halfLifeMs) }
+      }
+    }
+  ]);
+}
+
+async function bookmarkSignals(since, now, halfLifeMs) {
+  return Bookmark.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$articleId',
+        title: { $first: '$title' },
+        url: { $first: '$url' },
+        snippet: { $first: '$snippet' },
+        image: { $first: '$image' },
+        bookmarks: { $sum: 1 },
+        bookmarkScore: { $sum: decayExpression('createdAt', now, halfLifeMs) }
+      }
+    }
+  ]);
+}
+
+// ============================================================
+// TRENDING - score every article with activity in the window,
+// then join metadata from the article store, bookmarks or history
+// ============================================================
+async function computeTrending({ window = '24h', category, limit = 20 } = {}) {
+  const config = WINDOWS[window] || WINDOWS['24h'];
+  const now = new Date();
+  const since = new Date(now.getTime() - config.ms);
+  const halfLifeMs = config.ms / 4;
+
+  const [history, comments, bookmarks] = await Promise.all([
+    historySignals(since, now, halfLifeMs),
+    commentSignals(since, now, halfLifeMs),
+    bookmarkSignals(since, now, halfLifeMs)
+  ]);
+
+  const entries = new Map();
+  const entryFor = articleId => {
+    if (!entries.has(articleId)) {
+      entries.set(articleId, {
+        articleId,
+        score: 0,
+        engagement: { views: 0, readers: 0, comments: 0, bookmarks: 0 }
+      });
+    }
+    return entries.get(articleId);
+  };
+
+  for (const row of history) {
+    const entry = entryFor(row._id);
+    entry.score += WEIGHTS.view * row.viewScore + WEIGHTS.minuteRead * row.readScore;
+    entry.engagement.views = row.views;
+    entry.engagement.readers = row.readers.length;
+    entry.fromHistory = row;
+  }
+  for (const row of comments) {
+    const entry = entryFor(row._id);
+    entry.score += WEIGHTS.comment * row.commentScore;
+    entry.engagement.comments = row.comments;
+  }
+  for (const row of bookmarks) {
+    const entry = entryFor(row._id);
+    entry.score += WEIGHTS.bookmark * row.bookmarkScore;
+    entry.engagement.bookmarks = row.bookmarks;
+    entry.fromBookmark = row;
+  }
+
+  // Rank before joining so only the head of the list needs metadata; a
+  // category filter keeps reading batches until it has enough matches
+  const ranked = [...entries.values()].sort((a, b) => b.score - a.score);
+  const batchSize = category ? limit * 5 : limit;
+  const wanted = category ? category.toLowerCase() : null;
+  const results = [];
+
+  for (let start = 0; start < ranked.length && results.length < limit; start += batchSize) {
+    const batch = ranked.slice(start, start + batchSize);
+    const stored = await Article.find({ articleId: { $in: batch.map(entry => entry.articleId) } });
+    const storedById = new Map(stored.map(doc => [doc.articleId, doc]));
+
+    for (const entry of batch) {
+      const doc = storedById.get(entry.articleId);
+      const bookmark = entry.fromBookmark;
+      const read = entry.fromHistory;
+
+      if (wanted) {
+        const categories = doc ? doc.categories : [(read?.category || '').toLowerCase()];
+        if (!categories.includes(wanted)) continue;
+      }
+
+      const article = doc
+        ? doc.toArticle()
+        : {
+            id: entry.articleId,
+            title: bookmark?.title || read?.title || 'Untitled',
+            snippet: bookmark?.snippet || '',
+            url: bookmark?.url || null,
+            image: bookmark?.image || '',
+            publishedAt: null,
+            source: 'Newszoid',
+            category: (read?.category || 'general').toLowerCase(),
+            aiSummary: null
+          };
+
+      results.push({
+        ...article,
+        trendingScore: Math.round(entry.score * 100) / 100,
+        engagement: entry.engagement
+      });
+      if (results.length >= limit) break;
+    }
+  }
+
+  return results;
+}
+
+module.exports = { WINDOWS, computeTrending };